@@ -10,6 +10,7 @@ import Dashboard from './pages/Dashboard';
 import NewImport from './pages/NewImport';
 import JobDetails from './pages/JobDetails';
 import Settings from './pages/Settings';
+import Schedules from './pages/Schedules';
 
 function App() {
   return (
@@ -20,6 +21,7 @@ function App() {
           <Route path="/" element={<Dashboard />} />
           <Route path="/import/new" element={<NewImport />} />
           <Route path="/jobs/:id" element={<JobDetails />} />
+          <Route path="/schedules" element={<Schedules />} />
           <Route path="/settings" element={<Settings />} />
         </Routes>
       </Container>
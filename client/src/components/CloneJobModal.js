@@ -0,0 +1,194 @@
+import React, { useState, useEffect } from 'react';
+import { Modal, Form, Button, Alert } from 'react-bootstrap';
+import { FaCopy } from 'react-icons/fa';
+import axios from 'axios';
+import { PRIORITY_LEVELS } from './PriorityBadge';
+import LlmProviderFields from './LlmProviderFields';
+import PromptTemplateSelect from './PromptTemplateSelect';
+
+const CloneJobModal = ({ job, show, onHide, onClone }) => {
+  const [name, setName] = useState('');
+  const [priority, setPriority] = useState(0);
+  const [options, setOptions] = useState({});
+  const [llmProviders, setLlmProviders] = useState([]);
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState('');
+
+  // Start from the job's own settings every time the modal opens
+  useEffect(() => {
+    if (show && job) {
+      setName(`${job.name} (copy)`);
+      setPriority(job.priority || 0);
+      setOptions({ ...job.options });
+      setError('');
+    }
+  }, [show, job]);
+
+  useEffect(() => {
+    if (show) {
+      Promise.all([axios.get('/api/met/llm-providers'), axios.get('/api/prompts')])
+        .then(([providersRes, templatesRes]) => {
+          setLlmProviders(providersRes.data);
+          setPromptTemplates(templatesRes.data);
+        })
+        .catch(err => console.error('Error fetching description options:', err));
+    }
+  }, [show]);
+
+  const updateOption = (key, value) => {
+    setOptions({ ...options, [key]: value });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    try {
+      setSubmitting(true);
+      await onClone({ name, priority, options });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to clone job. Please try again.');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Modal show={show} onHide={onHide}>
+      <Form onSubmit={handleSubmit}>
+        <Modal.Header closeButton>
+          <Modal.Title>Re-run Job</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {error && <Alert variant="danger">{error}</Alert>}
+
+          <p className="text-muted">
+            Creates a new job with the same {job.source === 'url' ? 'URL' : job.source === 'list' ? 'object list' : 'categories'} and the options below.
+          </p>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Job Name</Form.Label>
+            <Form.Control
+              type="text"
+              value={name}
+              onChange={(e) => setName(e.target.value)}
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Priority</Form.Label>
+            <Form.Select
+              value={priority}
+              onChange={(e) => setPriority(parseInt(e.target.value))}
+            >
+              {!PRIORITY_LEVELS.some(level => level.value === priority) && (
+                <option value={priority}>Priority {priority}</option>
+              )}
+              {PRIORITY_LEVELS.map(level => (
+                <option key={level.value} value={level.value}>{level.label}</option>
+              ))}
+            </Form.Select>
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Maximum Items</Form.Label>
+            <Form.Control
+              type="number"
+              min="1"
+              value={options.maxItems || ''}
+              onChange={(e) => updateOption('maxItems', parseInt(e.target.value))}
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Check
+              type="switch"
+              id="clone-skip-upload"
+              label="Generate CSV only (don't upload to Shopify)"
+              checked={Boolean(options.skipShopifyUpload)}
+              onChange={(e) => updateOption('skipShopifyUpload', e.target.checked)}
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Check
+              type="switch"
+              id="clone-skip-existing"
+              label="Skip artworks already imported"
+              checked={Boolean(options.skipExisting)}
+              onChange={(e) => updateOption('skipExisting', e.target.checked)}
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Check
+              type="switch"
+              id="clone-refresh-cache"
+              label="Fetch artwork details again instead of using cached ones"
+              checked={Boolean(options.refreshCache)}
+              onChange={(e) => updateOption('refreshCache', e.target.checked)}
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Check
+              type="switch"
+              id="clone-additional-images"
+              label="Include additional views of each artwork as extra product images"
+              checked={Boolean(options.includeAdditionalImages)}
+              onChange={(e) => updateOption('includeAdditionalImages', e.target.checked)}
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Default Price ($)</Form.Label>
+            <Form.Control
+              type="number"
+              min="0"
+              step="0.01"
+              value={options.defaultPrice || ''}
+              onChange={(e) => updateOption('defaultPrice', parseFloat(e.target.value))}
+            />
+          </Form.Group>
+
+          <Form.Group className="mb-3">
+            <Form.Label>Parallel Items</Form.Label>
+            <Form.Control
+              type="number"
+              min="1"
+              max="10"
+              value={options.concurrency || ''}
+              onChange={(e) => updateOption('concurrency', parseInt(e.target.value))}
+            />
+          </Form.Group>
+
+          <LlmProviderFields
+            providers={llmProviders}
+            provider={options.llmProvider}
+            model={options.llmModel}
+            onChange={(llm) => setOptions({ ...options, ...llm })}
+            idPrefix="clone"
+          />
+
+          <PromptTemplateSelect
+            templates={promptTemplates}
+            template={options.promptTemplate}
+            version={options.promptTemplateVersion}
+            onChange={(values) => setOptions({ ...options, ...values })}
+            idPrefix="clone"
+          />
+        </Modal.Body>
+        <Modal.Footer>
+          <Button variant="secondary" onClick={onHide}>
+            Cancel
+          </Button>
+          <Button type="submit" variant="primary" disabled={submitting}>
+            <FaCopy className="me-1" /> {submitting ? 'Creating...' : 'Create Job'}
+          </Button>
+        </Modal.Footer>
+      </Form>
+    </Modal>
+  );
+};
+
+export default CloneJobModal;
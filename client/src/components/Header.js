@@ -29,6 +29,13 @@ const Header = () => {
             >
               New Import
             </Nav.Link>
+            <Nav.Link 
+              as={Link} 
+              to="/schedules"
+              active={location.pathname === '/schedules'}
+            >
+              Schedules
+            </Nav.Link>
           </Nav>
           <Nav>
             <Link to="/import/new" className="me-2">
@@ -0,0 +1,140 @@
+import React from 'react';
+import { Card, Row, Col, Badge, Alert, CloseButton } from 'react-bootstrap';
+import moment from 'moment';
+
+const BOTTLENECK_LABELS = {
+  workers: 'processing time',
+  met: 'Met API rate limit',
+  shopify: 'Shopify API rate limit'
+};
+
+export const SEARCH_BACKENDS = [
+  { value: 'auto', label: 'Automatic' },
+  { value: 'collectionlisting', label: 'Met website search' },
+  { value: 'collectionapi', label: 'Met Collection API' }
+];
+
+export const getSearchBackendLabel = (value) => {
+  const backend = SEARCH_BACKENDS.find(option => option.value === value);
+  return backend ? backend.label : value;
+};
+
+const formatCost = (ai) => {
+  if (ai.cost === null) return 'Unknown';
+  return ai.cost < 0.01 && ai.cost > 0 ? '< $0.01' : `$${ai.cost.toFixed(2)}`;
+};
+
+const Stat = ({ label, value, hint }) => (
+  <Col xs={6} md={4} lg={2} className="mb-3">
+    <div className="text-muted small">{label}</div>
+    <div className="fs-5 fw-bold">{value}</div>
+    {hint && <div className="text-muted small">{hint}</div>}
+  </Col>
+);
+
+// Results of POST /api/jobs/preview, shown before an import is started
+const ImportPreview = ({ preview, onClose }) => {
+  const { sample, estimate } = preview;
+
+  return (
+    <Card className="mb-3 import-preview">
+      <Card.Header className="d-flex justify-content-between align-items-center">
+        <span>
+          Import Preview
+          {preview.backend && preview.source !== 'list' && <small className="text-muted ms-2">via {getSearchBackendLabel(preview.backend)}</small>}
+        </span>
+        <CloseButton onClick={onClose} />
+      </Card.Header>
+      <Card.Body>
+        {preview.warnings.map(warning => (
+          <Alert key={warning} variant="warning" className="py-2">{warning}</Alert>
+        ))}
+
+        <Row>
+          <Stat label={preview.source === 'list' ? 'Objects Listed' : 'Objects Found'} value={preview.totalFound} />
+          <Stat label="Would Process" value={preview.importCount} />
+          <Stat
+            label="Public Domain"
+            value={sample.size > 0 ? `${Math.round(sample.publicDomainRatio * 100)}%` : '-'}
+            hint={`${sample.eligibleCount} of ${sample.size} sampled`}
+          />
+          <Stat
+            label="Expected Imports"
+            value={estimate.expectedImports}
+            hint={`${estimate.expectedSkips} skipped`}
+          />
+          <Stat
+            label="Estimated Time"
+            value={estimate.seconds > 0 ? moment.duration(estimate.seconds, 'seconds').humanize() : '-'}
+            hint={`limited by ${BOTTLENECK_LABELS[estimate.bottleneck]}`}
+          />
+          <Stat
+            label="Estimated AI Cost"
+            value={formatCost(estimate.ai)}
+            hint={`${[estimate.ai.provider, estimate.ai.model].filter(Boolean).join(' · ')}, ~${(estimate.ai.inputTokens + estimate.ai.outputTokens).toLocaleString()} tokens`}
+          />
+        </Row>
+
+        {preview.urlResults && (
+          <div className="mb-3">
+            <div className="text-muted small mb-1">Search URLs</div>
+            {preview.urlResults.map(result => (
+              <div key={result.url} className="small text-break">
+                {result.error ? (
+                  <span className="text-danger">Failed: </span>
+                ) : (
+                  <Badge bg="light" text="dark" className="me-1">{result.found} found, {result.added} new</Badge>
+                )}
+                {result.url}
+              </div>
+            ))}
+          </div>
+        )}
+
+        {preview.collections.length > 0 && (
+          <div className="mb-3">
+            <div className="text-muted small mb-1">Proposed collections (sampled artworks)</div>
+            {preview.collections.map(collection => (
+              <Badge key={collection.name} bg="light" text="dark" className="me-1 mb-1">
+                {collection.name} ({collection.count})
+              </Badge>
+            ))}
+          </div>
+        )}
+
+        {sample.artworks.length > 0 && (
+          <Row xs={2} md={4} className="g-2">
+            {sample.artworks.map(artwork => (
+              <Col key={artwork.objectId}>
+                <Card className={`h-100 ${artwork.eligible ? '' : 'opacity-50'}`}>
+                  {artwork.imageUrl && (
+                    <Card.Img variant="top" src={artwork.imageUrl} alt={artwork.title} className="import-preview-image" />
+                  )}
+                  <Card.Body className="p-2">
+                    <div className="small fw-bold text-truncate" title={artwork.title}>{artwork.title}</div>
+                    <div className="small text-muted text-truncate">
+                      {artwork.artist || 'Unknown artist'}{artwork.date && `, ${artwork.date}`}
+                    </div>
+                    {artwork.eligible ? (
+                      <div className="mt-1">
+                        {artwork.tags.map(tag => (
+                          <Badge key={tag} bg="secondary" className="me-1">{tag}</Badge>
+                        ))}
+                      </div>
+                    ) : artwork.matchesType === false ? (
+                      <Badge bg="light" text="dark" className="mt-1">Other artwork type</Badge>
+                    ) : (
+                      <Badge bg="warning" text="dark" className="mt-1">Would be skipped</Badge>
+                    )}
+                  </Card.Body>
+                </Card>
+              </Col>
+            ))}
+          </Row>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ImportPreview;
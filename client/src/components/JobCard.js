@@ -10,6 +10,7 @@ const JobCard = ({ job, onPause, onResume, onCancel }) => {
     switch (status) {
       case 'pending':
         return 'secondary';
+      case 'initializing':
       case 'initialized':
       case 'processing':
         return 'primary';
@@ -70,20 +71,33 @@ const JobCard = ({ job, onPause, onResume, onCancel }) => {
           </Alert>
         )}
         
+        {job.status === 'paused' && job.pauseReason === 'retry' && (
+          <Alert variant="warning" className="rate-limit-alert mb-3">
+            <strong>Waiting to retry failed items.</strong> Will resume in {getResumeTimeRemaining()}.
+          </Alert>
+        )}
+        
         <div className="d-flex justify-content-between mb-3">
           <div>
             <div className="mb-1">Started: {moment(job.createdAt).format('MMM D, YYYY [at] h:mm A')}</div>
+            {job.lease && job.lease.owner && (
+              <div className="mb-1">Worker: <code>{job.lease.owner}</code></div>
+            )}
             <div className="mb-1">
-              Processed: {job.processedIds ? job.processedIds.length : 0} of {job.totalObjects || 0} artworks
-              {job.failedIds && job.failedIds.length > 0 && ` (${job.failedIds.length} failed)`}
+              Processed: {job.processedCount || 0} of {job.totalObjects || 0} artworks
+              {job.failedCount > 0 && ` (${job.failedCount} failed)`}
+              {job.existingSkippedCount > 0 && ` (${job.existingSkippedCount} already imported)`}
             </div>
             <div>
               <small className="text-muted">
-                {job.source === 'url' ? 'From URL' : 'From Category'}: {
+                {job.source === 'url' ? 'From URL' : job.source === 'list' ? 'From List' : 'From Category'}: {
                   job.source === 'url' 
-                    ? job.query.url?.substring(0, 50) + (job.query.url?.length > 50 ? '...' : '')
-                    : (job.query.artworkTypes?.join(', ') || '') + 
-                      (job.query.keywords ? ` / Keywords: ${job.query.keywords}` : '')
+                    ? job.query.url?.substring(0, 50) + (job.query.url?.length > 50 ? '...' : '') +
+                      (job.query.urls?.length > 1 ? ` (+${job.query.urls.length - 1} more)` : '')
+                    : job.source === 'list'
+                      ? `${job.query.objectIds?.length || 0} objects`
+                      : (job.query.artworkTypes?.join(', ') || '') + 
+                        (job.query.keywords ? ` / Keywords: ${job.query.keywords}` : '')
                 }
               </small>
             </div>
@@ -113,11 +127,11 @@ const JobCard = ({ job, onPause, onResume, onCancel }) => {
           </div>
         </div>
         
-        {job.results && job.results.length > 0 && (
+        {job.recentResults && job.recentResults.length > 0 && (
           <div>
             <h6>Recently Processed:</h6>
             <div className="artwork-preview">
-              {job.results.slice(-4).map(result => (
+              {job.recentResults.map(result => (
                 <div key={result.objectId} className="artwork-item">
                   {result.imageUrl ? (
                     <img src={result.imageUrl} alt={result.title} />
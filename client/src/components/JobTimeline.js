@@ -0,0 +1,152 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Alert, Badge, Button, ButtonGroup, Form } from 'react-bootstrap';
+import axios from 'axios';
+import moment from 'moment';
+import useJobEvents from '../hooks/useJobEvents';
+
+const EVENTS_PER_PAGE = 100;
+
+const LEVEL_VARIANTS = {
+  info: 'secondary',
+  success: 'success',
+  warning: 'warning',
+  error: 'danger'
+};
+
+// Filters offered above the timeline, mapped to query parameters of GET /api/jobs/:id/events
+const FILTERS = {
+  all: {},
+  job: { type: 'created,initialized,search_fallback,search_url_failed,started,paused,resumed,cancelled,recovered,requeued,completed,failed' },
+  problems: { level: 'warning,error' },
+  shopify: { type: 'shopify_product_created' }
+};
+
+const formatType = (type) => type.replace(/_/g, ' ');
+
+const JobTimeline = ({ jobId }) => {
+  const [events, setEvents] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [filter, setFilter] = useState('all');
+  const [objectId, setObjectId] = useState('');
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    fetchEvents(1);
+  }, [jobId, filter, objectId]);
+
+  const fetchEvents = async (pageToLoad) => {
+    try {
+      const response = await axios.get(`/api/jobs/${jobId}/events`, {
+        params: {
+          ...FILTERS[filter],
+          objectId: objectId || undefined,
+          page: pageToLoad,
+          limit: EVENTS_PER_PAGE
+        }
+      });
+
+      // Events pushed in the meantime shift the pages, so skip entries we already have
+      const known = new Set(events.map(event => event._id));
+      setEvents(pageToLoad === 1
+        ? response.data.events
+        : [...events, ...response.data.events.filter(event => !known.has(event._id))]);
+      setTotal(response.data.total);
+      setPage(pageToLoad);
+      setError('');
+    } catch (err) {
+      setError('Failed to fetch the event log. Please try again.');
+      console.error('Error fetching job events:', err);
+    }
+  };
+
+  // Show new entries as they happen, unless a filter is active
+  useJobEvents({
+    log: (event) => {
+      if (filter !== 'all' || objectId) return;
+
+      setEvents(prevEvents => [event, ...prevEvents]);
+      setTotal(prevTotal => prevTotal + 1);
+    }
+  }, {
+    jobId,
+    onReconnect: () => fetchEvents(1),
+    // Reloading would drop the older pages the user loaded
+    onPoll: () => {
+      if (page === 1) fetchEvents(1);
+    }
+  });
+
+  return (
+    <Card>
+      <Card.Body>
+        <div className="d-flex flex-wrap justify-content-between align-items-center gap-2 mb-3">
+          <ButtonGroup size="sm">
+            {[['all', 'All'], ['job', 'Job'], ['problems', 'Problems'], ['shopify', 'Shopify']].map(([key, label]) => (
+              <Button
+                key={key}
+                variant={filter === key ? 'primary' : 'outline-primary'}
+                onClick={() => setFilter(key)}
+              >
+                {label}
+              </Button>
+            ))}
+          </ButtonGroup>
+          <Form.Control
+            type="number"
+            size="sm"
+            placeholder="Object ID"
+            style={{ maxWidth: '160px' }}
+            value={objectId}
+            onChange={(e) => setObjectId(e.target.value)}
+          />
+        </div>
+
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        {events.length === 0 ? (
+          <Alert variant="info">No events recorded yet.</Alert>
+        ) : (
+          <ul className="job-timeline">
+            {events.map(event => (
+              <li key={event._id} className={`job-timeline-event level-${event.level}`}>
+                <div className="d-flex justify-content-between">
+                  <div>
+                    <Badge bg={LEVEL_VARIANTS[event.level]} className="me-2 text-capitalize">
+                      {formatType(event.type)}
+                    </Badge>
+                    {event.objectId && (
+                      <Badge bg="light" text="dark" className="me-2">#{event.objectId}</Badge>
+                    )}
+                    {event.message}
+                  </div>
+                  <small className="text-muted text-nowrap ms-2" title={moment(event.createdAt).format('MMM D, YYYY HH:mm:ss')}>
+                    {moment(event.createdAt).format('HH:mm:ss')}
+                  </small>
+                </div>
+                {(event.actor || event.data?.errorClass) && (
+                  <div className="small text-muted mt-1">
+                    {event.actor && <span className="me-2">by {event.actor}</span>}
+                    {event.data?.errorClass && (
+                      <span className="me-2">
+                        {event.data.errorClass} error at {event.data.stage} stage, attempt {event.data.attempts}
+                      </span>
+                    )}
+                  </div>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+
+        {events.length < total && (
+          <Button variant="outline-secondary" size="sm" onClick={() => fetchEvents(page + 1)}>
+            Load older events ({total - events.length} more)
+          </Button>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default JobTimeline;
@@ -0,0 +1,47 @@
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+
+// Provider and model that write a job's descriptions, empty values use the server defaults
+const LlmProviderFields = ({ providers, provider, model, onChange, idPrefix }) => {
+  const defaultProvider = providers.find(entry => entry.isDefault);
+  const selected = providers.find(entry => entry.name === provider) || defaultProvider;
+
+  return (
+    <Row>
+      <Col md={6}>
+        <Form.Group className="mb-3" controlId={`${idPrefix}-llm-provider`}>
+          <Form.Label>Description Provider</Form.Label>
+          <Form.Select
+            value={provider || ''}
+            onChange={(e) => onChange({ llmProvider: e.target.value || null, llmModel: null })}
+          >
+            <option value="">
+              Server default{defaultProvider ? ` (${defaultProvider.label})` : ''}
+            </option>
+            {providers.map(entry => (
+              <option key={entry.name} value={entry.name} disabled={!entry.configured}>
+                {entry.label}{entry.configured ? '' : ' (not configured)'}
+              </option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+      <Col md={6}>
+        <Form.Group className="mb-3" controlId={`${idPrefix}-llm-model`}>
+          <Form.Label>Model</Form.Label>
+          <Form.Control
+            type="text"
+            value={model || ''}
+            placeholder={selected?.model || 'Provider default'}
+            onChange={(e) => onChange({ llmProvider: provider || null, llmModel: e.target.value || null })}
+          />
+          <Form.Text className="text-muted">
+            Leave empty for the provider's default model
+          </Form.Text>
+        </Form.Group>
+      </Col>
+    </Row>
+  );
+};
+
+export default LlmProviderFields;
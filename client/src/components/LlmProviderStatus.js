@@ -0,0 +1,64 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Alert, Table, Badge } from 'react-bootstrap';
+import axios from 'axios';
+
+// Settings section listing the description providers (see services/llmProviders.js)
+const LlmProviderStatus = () => {
+  const [providers, setProviders] = useState([]);
+  const [error, setError] = useState('');
+
+  useEffect(() => {
+    const fetchProviders = async () => {
+      try {
+        const response = await axios.get('/api/met/llm-providers');
+        setProviders(response.data);
+      } catch (err) {
+        setError('Failed to load description providers.');
+        console.error('Error fetching LLM providers:', err);
+      }
+    };
+
+    fetchProviders();
+  }, []);
+
+  return (
+    <Card className="form-card">
+      <Card.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <Table size="sm" className="mb-2">
+          <thead>
+            <tr>
+              <th>Provider</th>
+              <th>Default Model</th>
+              <th>Status</th>
+            </tr>
+          </thead>
+          <tbody>
+            {providers.map(provider => (
+              <tr key={provider.name}>
+                <td>
+                  {provider.label} <span className="text-muted small">({provider.name})</span>
+                  {provider.isDefault && <Badge bg="primary" className="ms-2">Default</Badge>}
+                </td>
+                <td>{provider.model || <span className="text-muted">Not set</span>}</td>
+                <td>
+                  <Badge bg={provider.configured ? 'success' : 'secondary'}>
+                    {provider.configured ? 'Configured' : 'Not configured'}
+                  </Badge>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </Table>
+
+        <div className="text-muted small">
+          The server's LLM_PROVIDER environment variable picks the default, jobs can choose another provider
+          and model in their advanced options.
+        </div>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default LlmProviderStatus;
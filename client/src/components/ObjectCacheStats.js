@@ -0,0 +1,89 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Alert, Button, Row, Col } from 'react-bootstrap';
+import { FaSyncAlt } from 'react-icons/fa';
+import axios from 'axios';
+import moment from 'moment';
+
+// Settings section for the Met object cache (see services/objectCache.js)
+const ObjectCacheStats = () => {
+  const [stats, setStats] = useState(null);
+  const [error, setError] = useState('');
+  const [message, setMessage] = useState('');
+
+  useEffect(() => {
+    fetchStats();
+  }, []);
+
+  const fetchStats = async () => {
+    try {
+      const response = await axios.get('/api/met/cache/stats');
+      setStats(response.data);
+      setError('');
+    } catch (err) {
+      setError('Failed to load cache statistics.');
+      console.error('Error fetching cache stats:', err);
+    }
+  };
+
+  const handleExpireAll = async () => {
+    if (!window.confirm('Fetch every cached artwork from the Met again the next time it is used?')) {
+      return;
+    }
+
+    try {
+      const response = await axios.post('/api/met/cache/refresh', { all: true });
+      setMessage(`${response.data.expired} cached artworks will be fetched again.`);
+      fetchStats();
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to expire the cache.');
+    }
+  };
+
+  return (
+    <Card className="form-card">
+      <Card.Body>
+        {error && <Alert variant="danger">{error}</Alert>}
+        {message && <Alert variant="success" onClose={() => setMessage('')} dismissible>{message}</Alert>}
+
+        {stats && (
+          <>
+            {!stats.enabled && (
+              <Alert variant="warning">The cache is turned off (MET_OBJECT_CACHE_TTL_HOURS=0).</Alert>
+            )}
+            <Row className="mb-3">
+              <Col xs={6} md={3}>
+                <div className="text-muted small">Cached Artworks</div>
+                <div className="fs-5 fw-bold">{stats.objects}</div>
+                <div className="text-muted small">{stats.stale} expired</div>
+              </Col>
+              <Col xs={6} md={3}>
+                <div className="text-muted small">Hit Rate</div>
+                <div className="fs-5 fw-bold">{Math.round(stats.hitRate * 100)}%</div>
+                <div className="text-muted small">{stats.hits} hits, {stats.misses + stats.refreshes} fetches</div>
+              </Col>
+              <Col xs={6} md={3}>
+                <div className="text-muted small">Changed at the Met</div>
+                <div className="fs-5 fw-bold">{stats.changed}</div>
+                <div className="text-muted small">{stats.changes} since start</div>
+              </Col>
+              <Col xs={6} md={3}>
+                <div className="text-muted small">Time to Live</div>
+                <div className="fs-5 fw-bold">{moment.duration(stats.ttlHours, 'hours').humanize()}</div>
+                <div className="text-muted small">counting since {moment(stats.since).fromNow()}</div>
+              </Col>
+            </Row>
+          </>
+        )}
+
+        <Button variant="outline-secondary" className="me-2" onClick={fetchStats}>
+          <FaSyncAlt className="me-2" /> Refresh
+        </Button>
+        <Button variant="outline-danger" onClick={handleExpireAll}>
+          Expire All
+        </Button>
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ObjectCacheStats;
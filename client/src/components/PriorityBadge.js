@@ -0,0 +1,26 @@
+import React from 'react';
+import { Badge } from 'react-bootstrap';
+
+// Named priority levels offered in forms, any other number is shown as is
+export const PRIORITY_LEVELS = [
+  { value: 20, label: 'Urgent', variant: 'danger' },
+  { value: 10, label: 'High', variant: 'warning' },
+  { value: 0, label: 'Normal', variant: 'secondary' },
+  { value: -10, label: 'Low', variant: 'light' }
+];
+
+const PriorityBadge = ({ priority = 0 }) => {
+  const level = PRIORITY_LEVELS.find(({ value }) => value === priority);
+
+  if (!level) {
+    return <Badge bg="info">Priority {priority}</Badge>;
+  }
+
+  return (
+    <Badge bg={level.variant} text={level.variant === 'light' || level.variant === 'warning' ? 'dark' : undefined}>
+      {level.label}
+    </Badge>
+  );
+};
+
+export default PriorityBadge;
@@ -0,0 +1,379 @@
+import React, { useState, useEffect } from 'react';
+import { Card, Alert, Button, Form, Row, Col, Badge, InputGroup } from 'react-bootstrap';
+import { FaSave, FaStar, FaArchive, FaFlask } from 'react-icons/fa';
+import axios from 'axios';
+import moment from 'moment';
+
+const EMPTY_FORM = { name: '', description: '', system: '', prompt: '', note: '' };
+
+// Settings section to edit the description prompt templates (see models/PromptTemplate.js)
+const PromptTemplateEditor = () => {
+  const [templates, setTemplates] = useState([]);
+  const [variables, setVariables] = useState([]);
+  const [builtIn, setBuiltIn] = useState(null);
+  const [selectedId, setSelectedId] = useState('');
+  const [template, setTemplate] = useState(null); // Selected template with its versions
+  const [viewedVersion, setViewedVersion] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState([]);
+  const [message, setMessage] = useState('');
+
+  // Test on an object
+  const [testObjectId, setTestObjectId] = useState('');
+  const [testResult, setTestResult] = useState(null);
+  const [testing, setTesting] = useState(false);
+
+  useEffect(() => {
+    fetchTemplates();
+    fetchVariables();
+  }, []);
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await axios.get('/api/prompts');
+      setTemplates(response.data);
+    } catch (err) {
+      setError('Failed to load prompt templates.');
+      console.error('Error fetching prompt templates:', err);
+    }
+  };
+
+  const fetchVariables = async () => {
+    try {
+      const response = await axios.get('/api/prompts/variables');
+      setVariables(response.data.variables);
+      setBuiltIn(response.data.builtIn);
+      setForm(current => (current.prompt ? current : { ...EMPTY_FORM, ...response.data.builtIn }));
+    } catch (err) {
+      console.error('Error fetching template variables:', err);
+    }
+  };
+
+  // Load a template into the form, showing its latest version
+  const selectTemplate = async (id) => {
+    setSelectedId(id);
+    setFieldErrors([]);
+    setTestResult(null);
+
+    if (!id) {
+      setTemplate(null);
+      setViewedVersion(null);
+      setForm({ ...EMPTY_FORM, ...(builtIn || {}) });
+      return;
+    }
+
+    try {
+      const response = await axios.get(`/api/prompts/${id}`);
+      const latest = response.data.versions[response.data.versions.length - 1];
+
+      setTemplate(response.data);
+      setViewedVersion(latest.version);
+      setForm({
+        name: response.data.name,
+        description: response.data.description || '',
+        system: latest.system,
+        prompt: latest.prompt,
+        note: ''
+      });
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to load the prompt template.');
+    }
+  };
+
+  // Show an older version, saving it makes it the latest again
+  const viewVersion = (number) => {
+    const version = template.versions.find(entry => entry.version === number);
+
+    setViewedVersion(number);
+    setForm({
+      ...form,
+      system: version.system,
+      prompt: version.prompt,
+      note: number === template.latestVersion ? '' : `Restored version ${number}`
+    });
+  };
+
+  const updateForm = (field, value) => {
+    setForm({ ...form, [field]: value });
+  };
+
+  const insertVariable = (name) => {
+    updateForm('prompt', `${form.prompt}{{${name}}}`);
+  };
+
+  const showError = (err, fallback) => {
+    setError(err.response?.data?.message || fallback);
+    setFieldErrors(err.response?.data?.errors || []);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors([]);
+    setMessage('');
+
+    try {
+      setSaving(true);
+      const content = { system: form.system, prompt: form.prompt, note: form.note };
+      let saved;
+
+      if (!template) {
+        const response = await axios.post('/api/prompts', { name: form.name, description: form.description, ...content });
+        saved = response.data;
+        setMessage(`Template "${saved.name}" created.`);
+      } else {
+        if (form.name !== template.name || form.description !== (template.description || '')) {
+          await axios.put(`/api/prompts/${template._id}`, { name: form.name, description: form.description });
+        }
+        const response = await axios.post(`/api/prompts/${template._id}/versions`, content);
+        saved = response.data;
+        setMessage(`Saved as version ${saved.latestVersion}.`);
+      }
+
+      await fetchTemplates();
+      await selectTemplate(saved._id);
+    } catch (err) {
+      showError(err, 'Failed to save the prompt template.');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleMakeDefault = async () => {
+    try {
+      await axios.put(`/api/prompts/${template._id}`, { isDefault: true });
+      setMessage(`Jobs without a template now use "${template.name}".`);
+      await fetchTemplates();
+      await selectTemplate(template._id);
+    } catch (err) {
+      showError(err, 'Failed to make the template the default.');
+    }
+  };
+
+  const handleArchive = async () => {
+    if (!window.confirm(`Archive "${template.name}"? Jobs that already use it keep working.`)) {
+      return;
+    }
+
+    try {
+      await axios.delete(`/api/prompts/${template._id}`);
+      setMessage(`Template "${template.name}" archived.`);
+      await fetchTemplates();
+      await selectTemplate('');
+    } catch (err) {
+      showError(err, 'Failed to archive the template.');
+    }
+  };
+
+  // Try the text in the form, saved or not, on a Met object
+  const handleTest = async (generate) => {
+    setError('');
+    setFieldErrors([]);
+
+    try {
+      setTesting(true);
+      const response = await axios.post('/api/prompts/test', {
+        objectId: parseInt(testObjectId),
+        system: form.system,
+        prompt: form.prompt,
+        generate
+      });
+      setTestResult(response.data);
+    } catch (err) {
+      showError(err, 'Failed to test the prompt.');
+    } finally {
+      setTesting(false);
+    }
+  };
+
+  const errorsFor = (field) => fieldErrors.filter(entry => entry.field === field).map(entry => entry.message).join('; ');
+
+  return (
+    <Card className="form-card">
+      <Card.Body>
+        {error && <Alert variant="danger" onClose={() => setError('')} dismissible>{error}</Alert>}
+        {message && <Alert variant="success" onClose={() => setMessage('')} dismissible>{message}</Alert>}
+
+        <Row className="mb-3">
+          <Col md={8}>
+            <Form.Select value={selectedId} onChange={(e) => selectTemplate(e.target.value)}>
+              <option value="">New template</option>
+              {templates.map(entry => (
+                <option key={entry._id} value={entry._id}>
+                  {entry.name} (v{entry.latestVersion}){entry.isDefault ? ' - default' : ''}
+                </option>
+              ))}
+            </Form.Select>
+            {templates.length === 0 && (
+              <Form.Text className="text-muted">
+                No templates yet, jobs use the built-in prompt. The first template you save becomes the default.
+              </Form.Text>
+            )}
+          </Col>
+          {template && (
+            <Col md={4}>
+              <Form.Select value={viewedVersion || ''} onChange={(e) => viewVersion(parseInt(e.target.value))}>
+                {[...template.versions].reverse().map(version => (
+                  <option key={version.version} value={version.version}>
+                    Version {version.version} - {moment(version.createdAt).format('MMM D, YYYY')}
+                    {version.note ? ` - ${version.note}` : ''}
+                  </option>
+                ))}
+              </Form.Select>
+            </Col>
+          )}
+        </Row>
+
+        <Form onSubmit={handleSave}>
+          <Row>
+            <Col md={6}>
+              <Form.Group className="mb-3" controlId="prompt-name">
+                <Form.Label>Name</Form.Label>
+                <Form.Control
+                  type="text"
+                  value={form.name}
+                  onChange={(e) => updateForm('name', e.target.value)}
+                  required
+                />
+              </Form.Group>
+            </Col>
+            <Col md={6}>
+              <Form.Group className="mb-3" controlId="prompt-description">
+                <Form.Label>Description</Form.Label>
+                <Form.Control
+                  type="text"
+                  placeholder="e.g. Playful tone for the summer collection"
+                  value={form.description}
+                  onChange={(e) => updateForm('description', e.target.value)}
+                />
+              </Form.Group>
+            </Col>
+          </Row>
+
+          <Form.Group className="mb-3" controlId="prompt-system">
+            <Form.Label>System Message</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={3}
+              value={form.system}
+              isInvalid={Boolean(errorsFor('system'))}
+              onChange={(e) => updateForm('system', e.target.value)}
+            />
+            <Form.Control.Feedback type="invalid">{errorsFor('system')}</Form.Control.Feedback>
+            <Form.Text className="text-muted">Left empty, the built-in system message is used</Form.Text>
+          </Form.Group>
+
+          <Form.Group className="mb-2" controlId="prompt-text">
+            <Form.Label>Prompt</Form.Label>
+            <Form.Control
+              as="textarea"
+              rows={14}
+              className="font-monospace small"
+              value={form.prompt}
+              isInvalid={Boolean(errorsFor('prompt'))}
+              onChange={(e) => updateForm('prompt', e.target.value)}
+            />
+            <Form.Control.Feedback type="invalid">{errorsFor('prompt')}</Form.Control.Feedback>
+            <Form.Text className="text-muted">
+              The instructions for the JSON reply (descriptions, SEO title, meta description, alt text, tags) are added automatically.
+            </Form.Text>
+          </Form.Group>
+
+          <div className="mb-3">
+            {variables.map(variable => (
+              <Badge
+                key={variable.name}
+                bg="light"
+                text="dark"
+                className="me-1 mb-1 border"
+                role="button"
+                title={variable.description}
+                onClick={() => insertVariable(variable.name)}
+              >
+                {`{{${variable.name}}}`}
+              </Badge>
+            ))}
+          </div>
+
+          <Form.Group className="mb-3" controlId="prompt-note">
+            <Form.Label>Change Note</Form.Label>
+            <Form.Control
+              type="text"
+              placeholder="What changed in this version"
+              value={form.note}
+              onChange={(e) => updateForm('note', e.target.value)}
+            />
+          </Form.Group>
+
+          <Button variant="primary" type="submit" className="me-2" disabled={saving}>
+            <FaSave className="me-2" />
+            {saving ? 'Saving...' : template ? 'Save as New Version' : 'Create Template'}
+          </Button>
+          {template && !template.isDefault && (
+            <Button variant="outline-primary" className="me-2" onClick={handleMakeDefault}>
+              <FaStar className="me-1" /> Make Default
+            </Button>
+          )}
+          {template && (
+            <Button variant="outline-danger" onClick={handleArchive}>
+              <FaArchive className="me-1" /> Archive
+            </Button>
+          )}
+        </Form>
+
+        <hr />
+
+        <h6>Test on an Object</h6>
+        <InputGroup className="mb-3">
+          <Form.Control
+            type="number"
+            min="1"
+            placeholder="Met object ID, e.g. 436535"
+            value={testObjectId}
+            onChange={(e) => setTestObjectId(e.target.value)}
+          />
+          <Button variant="outline-secondary" disabled={!testObjectId || testing} onClick={() => handleTest(false)}>
+            Show Prompt
+          </Button>
+          <Button variant="outline-primary" disabled={!testObjectId || testing} onClick={() => handleTest(true)}>
+            <FaFlask className="me-1" /> {testing ? 'Generating...' : 'Generate'}
+          </Button>
+        </InputGroup>
+
+        {testResult && (
+          <div>
+            <div className="text-muted small mb-2">
+              {testResult.title} ({testResult.objectId}), the unsaved text in the editor
+            </div>
+            <pre className="border rounded p-2 small bg-light" style={{ whiteSpace: 'pre-wrap', maxHeight: '300px', overflowY: 'auto' }}>
+              {testResult.system}
+              {'\n\n'}
+              {testResult.prompt}
+            </pre>
+
+            {testResult.descriptions && (
+              <>
+                <div className="text-muted small mb-2">
+                  Written by {testResult.descriptions.generatedBy.provider} · {testResult.descriptions.generatedBy.model}
+                </div>
+                {testResult.descriptions.review && (
+                  <Alert variant="warning">
+                    The reply did not match the schema, jobs would hold this item for review: {testResult.descriptions.review.errors.join('; ')}
+                  </Alert>
+                )}
+                <h6>Short Description</h6>
+                <p>{testResult.descriptions.shortDescription}</p>
+                <h6>Expanded Description</h6>
+                <p style={{ whiteSpace: 'pre-wrap' }}>{testResult.descriptions.expandedDescription}</p>
+              </>
+            )}
+          </div>
+        )}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default PromptTemplateEditor;
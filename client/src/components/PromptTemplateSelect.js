@@ -0,0 +1,50 @@
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+
+// Prompt template and version that write a job's descriptions, empty values use the default template
+const PromptTemplateSelect = ({ templates, template, version, onChange, idPrefix }) => {
+  const defaultTemplate = templates.find(entry => entry.isDefault);
+  const selected = templates.find(entry => entry._id === template);
+  const versions = selected ? Array.from({ length: selected.latestVersion }, (_, index) => selected.latestVersion - index) : [];
+
+  return (
+    <Row>
+      <Col md={8}>
+        <Form.Group className="mb-3" controlId={`${idPrefix}-prompt-template`}>
+          <Form.Label>Prompt Template</Form.Label>
+          <Form.Select
+            value={template || ''}
+            onChange={(e) => onChange({ promptTemplate: e.target.value || null, promptTemplateVersion: null })}
+          >
+            <option value="">
+              Default{defaultTemplate ? ` (${defaultTemplate.name})` : ' (built-in prompt)'}
+            </option>
+            {templates.map(entry => (
+              <option key={entry._id} value={entry._id}>{entry.name}</option>
+            ))}
+          </Form.Select>
+          <Form.Text className="text-muted">
+            Templates are edited under Settings
+          </Form.Text>
+        </Form.Group>
+      </Col>
+      <Col md={4}>
+        <Form.Group className="mb-3" controlId={`${idPrefix}-prompt-version`}>
+          <Form.Label>Version</Form.Label>
+          <Form.Select
+            value={version || ''}
+            disabled={!selected}
+            onChange={(e) => onChange({ promptTemplate: template, promptTemplateVersion: parseInt(e.target.value) || null })}
+          >
+            <option value="">Latest</option>
+            {versions.map(number => (
+              <option key={number} value={number}>Version {number}</option>
+            ))}
+          </Form.Select>
+        </Form.Group>
+      </Col>
+    </Row>
+  );
+};
+
+export default PromptTemplateSelect;
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+
+// Error classes the server can retry, see utils/errorClassifier.js
+const ERROR_CLASSES = [
+  { key: 'network', label: 'Network errors' },
+  { key: 'timeout', label: 'Timeouts' },
+  { key: 'rate_limit', label: 'Rate limits' },
+  { key: 'server_error', label: 'Server errors (5xx)' },
+  { key: 'not_found', label: 'Not found (404)' },
+  { key: 'client_error', label: 'Other client errors (4xx)' },
+  { key: 'unknown', label: 'Unknown errors' }
+];
+
+export const DEFAULT_RETRY = {
+  maxAttempts: 3,
+  backoffSeconds: 30,
+  retryOn: ['network', 'timeout', 'rate_limit', 'server_error']
+};
+
+const RetryOptionsFields = ({ retry, onChange, idPrefix }) => {
+  const toggleErrorClass = (key, checked) => {
+    const retryOn = checked
+      ? [...retry.retryOn, key]
+      : retry.retryOn.filter(errorClass => errorClass !== key);
+
+    onChange({ ...retry, retryOn });
+  };
+
+  return (
+    <>
+      <Row>
+        <Col md={6}>
+          <Form.Group className="mb-3">
+            <Form.Label>Max Attempts per Item</Form.Label>
+            <Form.Control
+              type="number"
+              min="1"
+              max="10"
+              value={retry.maxAttempts}
+              onChange={(e) => onChange({ ...retry, maxAttempts: parseInt(e.target.value) })}
+            />
+          </Form.Group>
+        </Col>
+        <Col md={6}>
+          <Form.Group className="mb-3">
+            <Form.Label>Retry Backoff (seconds)</Form.Label>
+            <Form.Control
+              type="number"
+              min="0"
+              value={retry.backoffSeconds}
+              onChange={(e) => onChange({ ...retry, backoffSeconds: parseInt(e.target.value) })}
+            />
+            <Form.Text className="text-muted">
+              Doubles after every failed attempt
+            </Form.Text>
+          </Form.Group>
+        </Col>
+      </Row>
+
+      <Form.Group className="mb-3">
+        <Form.Label>Retry On</Form.Label>
+        <div>
+          {ERROR_CLASSES.map(({ key, label }) => (
+            <Form.Check
+              key={key}
+              inline
+              type="checkbox"
+              id={`${idPrefix}-retry-${key}`}
+              label={label}
+              checked={retry.retryOn.includes(key)}
+              onChange={(e) => toggleErrorClass(key, e.target.checked)}
+            />
+          ))}
+        </div>
+        <Form.Text className="text-muted">
+          Items failing with other errors go straight to the dead-letter list
+        </Form.Text>
+      </Form.Group>
+    </>
+  );
+};
+
+export default RetryOptionsFields;
@@ -0,0 +1,161 @@
+import React, { useState } from 'react';
+import { Card, Alert, Button, Form, Row, Col, Badge } from 'react-bootstrap';
+import { FaCheck } from 'react-icons/fa';
+import axios from 'axios';
+import moment from 'moment';
+
+// Limits of utils/descriptionSchema.js, shown as counters under the fields
+const FIELDS = [
+  { name: 'shortDescription', label: 'Short Description', rows: 4, maxLength: 1500 },
+  { name: 'expandedDescription', label: 'Expanded Description', rows: 8, maxLength: 8000 },
+  { name: 'seoTitle', label: 'SEO Title', maxLength: 70 },
+  { name: 'metaDescription', label: 'Meta Description', rows: 2, maxLength: 160 },
+  { name: 'altText', label: 'Image Alt Text', rows: 2, maxLength: 250 }
+];
+
+const toForm = (item) => ({
+  ...Object.fromEntries(FIELDS.map(field => [field.name, item[field.name] || ''])),
+  suggestedTags: (item.suggestedTags || []).join(', ')
+});
+
+// Copy of one flagged item, approved once it matches the description schema
+const ReviewItem = ({ jobId, item, onApproved }) => {
+  const [form, setForm] = useState(() => toForm(item));
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState('');
+  const [fieldErrors, setFieldErrors] = useState([]);
+
+  const errorsFor = (field) => fieldErrors.filter(entry => entry.field === field).map(entry => entry.message).join('; ');
+
+  const handleApprove = async (e) => {
+    e.preventDefault();
+    setError('');
+    setFieldErrors([]);
+
+    try {
+      setSaving(true);
+      const response = await axios.put(`/api/jobs/${jobId}/items/${item.objectId}/review`, {
+        ...form,
+        suggestedTags: form.suggestedTags.split(',').map(tag => tag.trim()).filter(Boolean)
+      });
+      onApproved(item, response.data.publishQueued);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to approve the descriptions.');
+      setFieldErrors(err.response?.data?.errors || []);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <Card className="mb-3">
+      <Card.Body>
+        <div className="d-flex justify-content-between">
+          <h6>
+            {item.title} <span className="text-muted">({item.objectId})</span>
+          </h6>
+          <span className="text-muted small">
+            Flagged {moment(item.review.flaggedAt).fromNow()}
+            {item.generatedBy && ` · ${item.generatedBy.provider} · ${item.generatedBy.model}`}
+          </span>
+        </div>
+
+        {item.review.errors?.length > 0 && (
+          <div className="mb-2">
+            {item.review.errors.map((message, index) => (
+              <Badge key={index} bg="warning" text="dark" className="me-1 mb-1">{message}</Badge>
+            ))}
+          </div>
+        )}
+
+        {item.review.rawResponse && (
+          <details className="mb-3">
+            <summary className="small">Reply of the model</summary>
+            <pre className="border rounded p-2 small bg-light" style={{ whiteSpace: 'pre-wrap', maxHeight: '200px', overflowY: 'auto' }}>
+              {item.review.rawResponse}
+            </pre>
+          </details>
+        )}
+
+        {error && <Alert variant="danger">{error}</Alert>}
+
+        <Form onSubmit={handleApprove}>
+          <Row>
+            {FIELDS.map(field => (
+              <Col md={field.rows > 2 ? 12 : 6} key={field.name}>
+                <Form.Group className="mb-3" controlId={`review-${item.objectId}-${field.name}`}>
+                  <Form.Label>{field.label}</Form.Label>
+                  <Form.Control
+                    as={field.rows ? 'textarea' : 'input'}
+                    rows={field.rows}
+                    value={form[field.name]}
+                    isInvalid={Boolean(errorsFor(field.name))}
+                    onChange={(e) => setForm({ ...form, [field.name]: e.target.value })}
+                  />
+                  <Form.Control.Feedback type="invalid">{errorsFor(field.name)}</Form.Control.Feedback>
+                  <Form.Text className={form[field.name].length > field.maxLength ? 'text-danger' : 'text-muted'}>
+                    {form[field.name].length} / {field.maxLength}
+                  </Form.Text>
+                </Form.Group>
+              </Col>
+            ))}
+            <Col md={6}>
+              <Form.Group className="mb-3" controlId={`review-${item.objectId}-tags`}>
+                <Form.Label>Tags</Form.Label>
+                <Form.Control
+                  type="text"
+                  value={form.suggestedTags}
+                  isInvalid={Boolean(errorsFor('suggestedTags'))}
+                  onChange={(e) => setForm({ ...form, suggestedTags: e.target.value })}
+                />
+                <Form.Control.Feedback type="invalid">{errorsFor('suggestedTags')}</Form.Control.Feedback>
+                <Form.Text className="text-muted">1 to 10 tags, separated by commas</Form.Text>
+              </Form.Group>
+            </Col>
+          </Row>
+
+          <Button variant="primary" type="submit" disabled={saving}>
+            <FaCheck className="me-1" /> {saving ? 'Saving...' : 'Approve'}
+          </Button>
+        </Form>
+      </Card.Body>
+    </Card>
+  );
+};
+
+// Items whose generated descriptions did not match the schema, see GET /api/jobs/:id/review
+const ReviewQueue = ({ jobId, items, total, onApproved }) => {
+  const [approved, setApproved] = useState(null);
+
+  const handleApproved = (item, publishQueued) => {
+    setApproved({ title: item.title, publishQueued });
+    onApproved(item.objectId);
+  };
+
+  return (
+    <Card>
+      <Card.Body>
+        <h5>Descriptions to Review</h5>
+        <div className="text-muted small mb-3">
+          These items are left out of the CSV and the Shopify upload until their copy is approved.
+          {total > items.length && ` Showing the first ${items.length} of ${total} items.`}
+        </div>
+
+        {approved && (
+          <Alert variant="success" dismissible onClose={() => setApproved(null)}>
+            Approved "{approved.title}".{' '}
+            {approved.publishQueued
+              ? 'It is back in the job queue and will be uploaded to Shopify.'
+              : 'It is included in the CSV export, start a Shopify upload of the job to publish it.'}
+          </Alert>
+        )}
+
+        {items.map(item => (
+          <ReviewItem key={item.objectId} jobId={jobId} item={item} onApproved={handleApproved} />
+        ))}
+      </Card.Body>
+    </Card>
+  );
+};
+
+export default ReviewQueue;
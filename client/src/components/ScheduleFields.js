@@ -0,0 +1,91 @@
+import React from 'react';
+import { Form, Row, Col } from 'react-bootstrap';
+
+export const DEFAULT_SCHEDULE = {
+  enabled: false,
+  type: 'interval',
+  intervalMinutes: 7 * 24 * 60,
+  cron: '0 6 * * 1',
+  onlyNewItems: true
+};
+
+// Request fields of a schedule, see routes/scheduleRoutes.js
+export const getScheduleRequest = (schedule) => ({
+  ...(schedule.type === 'cron'
+    ? { cron: schedule.cron }
+    : { intervalMinutes: schedule.intervalMinutes }),
+  onlyNewItems: schedule.onlyNewItems
+});
+
+const ScheduleFields = ({ schedule, onChange, idPrefix }) => {
+  const update = (changes) => onChange({ ...schedule, ...changes });
+
+  return (
+    <div className="border rounded p-3 mb-3">
+      <Form.Check
+        type="switch"
+        id={`${idPrefix}-schedule-enabled`}
+        label="Repeat this import on a schedule"
+        checked={schedule.enabled}
+        onChange={(e) => update({ enabled: e.target.checked })}
+      />
+
+      {schedule.enabled && (
+        <div className="mt-3">
+          <Row>
+            <Col md={4}>
+              <Form.Group className="mb-3">
+                <Form.Label>Repeat</Form.Label>
+                <Form.Select
+                  value={schedule.type}
+                  onChange={(e) => update({ type: e.target.value })}
+                >
+                  <option value="interval">Every few minutes</option>
+                  <option value="cron">Cron expression</option>
+                </Form.Select>
+              </Form.Group>
+            </Col>
+            <Col md={8}>
+              {schedule.type === 'cron' ? (
+                <Form.Group className="mb-3">
+                  <Form.Label>Cron Expression</Form.Label>
+                  <Form.Control
+                    type="text"
+                    value={schedule.cron}
+                    onChange={(e) => update({ cron: e.target.value })}
+                  />
+                  <Form.Text className="text-muted">
+                    e.g. <code>0 6 * * 1</code> runs every Monday at 6:00 server time
+                  </Form.Text>
+                </Form.Group>
+              ) : (
+                <Form.Group className="mb-3">
+                  <Form.Label>Interval (minutes)</Form.Label>
+                  <Form.Control
+                    type="number"
+                    min="1"
+                    value={schedule.intervalMinutes}
+                    onChange={(e) => update({ intervalMinutes: parseInt(e.target.value) })}
+                  />
+                  <Form.Text className="text-muted">
+                    10080 minutes is one week
+                  </Form.Text>
+                </Form.Group>
+              )}
+            </Col>
+          </Row>
+
+          <Form.Check
+            type="switch"
+            id={`${idPrefix}-schedule-only-new`}
+            label="Only import items not imported by earlier runs"
+            checked={schedule.onlyNewItems}
+            onChange={(e) => update({ onlyNewItems: e.target.checked })}
+          />
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ScheduleFields;
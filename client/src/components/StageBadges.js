@@ -0,0 +1,53 @@
+import React from 'react';
+import { Badge, OverlayTrigger, Tooltip } from 'react-bootstrap';
+
+// Pipeline stages of an import item, in processing order
+const STAGES = [
+  { key: 'metadata', label: 'Metadata' },
+  { key: 'image', label: 'Image' },
+  { key: 'descriptions', label: 'Descriptions' },
+  { key: 'categorized', label: 'Categories' },
+  { key: 'published', label: 'Shopify' }
+];
+
+const getStageVariant = (status) => {
+  switch (status) {
+    case 'completed':
+      return 'success';
+    case 'failed':
+      return 'danger';
+    case 'skipped':
+      return 'light';
+    default:
+      return 'secondary';
+  }
+};
+
+const StageBadges = ({ stages }) => {
+  if (!stages) return null;
+  
+  return (
+    <div className="stage-badges">
+      {STAGES.map(({ key, label }) => {
+        const stage = stages[key] || { status: 'pending' };
+        const details = stage.error
+          ? `${label}: ${stage.error}`
+          : `${label}: ${stage.status}${stage.attempts > 1 ? ` after ${stage.attempts} attempts` : ''}`;
+        
+        return (
+          <OverlayTrigger key={key} placement="top" overlay={<Tooltip>{details}</Tooltip>}>
+            <Badge
+              bg={getStageVariant(stage.status)}
+              text={stage.status === 'skipped' ? 'dark' : undefined}
+              className="me-1"
+            >
+              {label}
+            </Badge>
+          </OverlayTrigger>
+        );
+      })}
+    </div>
+  );
+};
+
+export default StageBadges;
@@ -0,0 +1,61 @@
+import { useEffect, useRef } from 'react';
+
+const EVENT_TYPES = ['job', 'item', 'rate_limit', 'log', 'job_deleted'];
+
+// The stream only carries what the instance serving it processes, jobs of other
+// instances are picked up by this slow reload
+const POLL_INTERVAL = 30000;
+
+/**
+ * Subscribe to the server's job event stream (see routes/eventRoutes.js).
+ * handlers maps event types to callbacks receiving the event data. onReconnect runs
+ * when the stream comes back after an interruption, so callers can reload anything
+ * they missed in between. onPoll runs every POLL_INTERVAL while the page is visible,
+ * for progress of jobs processed by other server instances.
+ */
+const useJobEvents = (handlers, { jobId, onReconnect, onPoll } = {}) => {
+  // Keep the latest callbacks without reopening the stream on every render
+  const handlersRef = useRef(handlers);
+  const onReconnectRef = useRef(onReconnect);
+  const onPollRef = useRef(onPoll);
+  handlersRef.current = handlers;
+  onReconnectRef.current = onReconnect;
+  onPollRef.current = onPoll;
+
+  useEffect(() => {
+    const source = new EventSource(jobId ? `/api/events?jobId=${jobId}` : '/api/events');
+    let interrupted = false;
+
+    EVENT_TYPES.forEach(type => {
+      source.addEventListener(type, (e) => {
+        const handler = handlersRef.current[type];
+        if (handler) {
+          handler(JSON.parse(e.data));
+        }
+      });
+    });
+
+    // EventSource reconnects by itself after errors
+    source.onerror = () => {
+      interrupted = true;
+    };
+
+    source.onopen = () => {
+      if (interrupted) {
+        interrupted = false;
+        if (onReconnectRef.current) onReconnectRef.current();
+      }
+    };
+
+    const poll = setInterval(() => {
+      if (onPollRef.current && !document.hidden) onPollRef.current();
+    }, POLL_INTERVAL);
+
+    return () => {
+      source.close();
+      clearInterval(poll);
+    };
+  }, [jobId]);
+};
+
+export default useJobEvents;
@@ -19,7 +19,9 @@ import {
   FaEye, 
   FaUpload, 
   FaTrash, 
-  FaPlus
+  FaPlus,
+  FaArrowUp,
+  FaArrowDown
 } from 'react-icons/fa';
 import axios from 'axios';
 import moment from 'moment';
@@ -27,33 +29,76 @@ import moment from 'moment';
 // Import components
 import JobCard from '../components/JobCard';
 import LoadingSpinner from '../components/LoadingSpinner';
+import PriorityBadge from '../components/PriorityBadge';
+import useJobEvents from '../hooks/useJobEvents';
 
 const Dashboard = () => {
   const [activeTab, setActiveTab] = useState('active');
   const [jobs, setJobs] = useState([]);
+  const [workers, setWorkers] = useState([]);
+  const [queue, setQueue] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   
   useEffect(() => {
     fetchJobs();
-    
-    // Refresh jobs every 5 seconds for active ones
-    const interval = setInterval(() => {
-      if (activeTab === 'active') {
-        fetchJobs(false);
-      }
-    }, 5000);
-    
-    return () => clearInterval(interval);
   }, [activeTab]);
   
+  // Apply pushed job updates, with a slow reload for jobs of other instances
+  useJobEvents({
+    job: (update) => {
+      // Queue order and lease owners are computed on the server
+      if (activeTab === 'queue' || activeTab === 'workers') {
+        if (update.status || update.priority !== undefined || update.lease !== undefined) {
+          fetchJobs(false);
+        }
+        return;
+      }
+      
+      if (!jobs.some(job => job._id === update._id)) {
+        // A new job, or one that just moved into the current tab
+        if (update.status) fetchJobs(false);
+        return;
+      }
+      
+      setJobs(prevJobs => prevJobs.map(job => 
+        job._id === update._id ? { ...job, ...update } : job
+      ));
+    },
+    item: (item) => {
+      if (item.status !== 'completed') return;
+      
+      // Keep the latest finished artworks of each job card up to date
+      setJobs(prevJobs => prevJobs.map(job => 
+        job._id === item.jobId
+          ? { ...job, recentResults: [item, ...(job.recentResults || [])].slice(0, 4) }
+          : job
+      ));
+    },
+    job_deleted: ({ _id }) => {
+      setJobs(prevJobs => prevJobs.filter(job => job._id !== _id));
+      setQueue(prevQueue => prevQueue.filter(job => job._id !== _id));
+    }
+  }, {
+    onReconnect: () => fetchJobs(false),
+    onPoll: () => fetchJobs(false)
+  });
+  
   const fetchJobs = async (showLoading = true) => {
+    if (activeTab === 'workers') {
+      return fetchWorkers(showLoading);
+    }
+    
+    if (activeTab === 'queue') {
+      return fetchQueue(showLoading);
+    }
+    
     try {
       if (showLoading) setLoading(true);
       
       let endpoint = '/api/jobs';
       if (activeTab === 'active') {
-        endpoint += '?status=pending&status=initialized&status=processing&status=paused';
+        endpoint += '?status=pending&status=initializing&status=initialized&status=processing&status=paused';
       } else if (activeTab === 'completed') {
         endpoint += '?status=completed';
       } else if (activeTab === 'failed') {
@@ -71,6 +116,53 @@ const Dashboard = () => {
     }
   };
   
+  const fetchWorkers = async (showLoading = true) => {
+    try {
+      if (showLoading) setLoading(true);
+      
+      const response = await axios.get('/api/jobs/workers');
+      setWorkers(response.data);
+      setError('');
+    } catch (err) {
+      setError('Failed to fetch workers. Please try again.');
+      console.error('Error fetching workers:', err);
+    } finally {
+      if (showLoading) setLoading(false);
+    }
+  };
+  
+  const fetchQueue = async (showLoading = true) => {
+    try {
+      if (showLoading) setLoading(true);
+      
+      const response = await axios.get('/api/jobs/queue');
+      setQueue(response.data);
+      setError('');
+    } catch (err) {
+      setError('Failed to fetch the queue. Please try again.');
+      console.error('Error fetching queue:', err);
+    } finally {
+      if (showLoading) setLoading(false);
+    }
+  };
+  
+  // Move a waiting job up or down the queue
+  const handleMoveJob = async (index, direction) => {
+    const reordered = [...queue];
+    const [job] = reordered.splice(index, 1);
+    reordered.splice(index + direction, 0, job);
+    setQueue(reordered);
+    
+    try {
+      await axios.put('/api/jobs/queue', { jobIds: reordered.map(queuedJob => queuedJob._id) });
+      fetchQueue(false);
+    } catch (err) {
+      setError('Failed to reorder the queue. Please try again.');
+      console.error('Error reordering queue:', err);
+      fetchQueue(false);
+    }
+  };
+  
   const handlePauseJob = async (jobId) => {
     try {
       await axios.post(`/api/jobs/${jobId}/pause`);
@@ -134,6 +226,7 @@ const Dashboard = () => {
       case 'pending':
         variant = 'secondary';
         break;
+      case 'initializing':
       case 'initialized':
       case 'processing':
         variant = 'primary';
@@ -157,7 +250,7 @@ const Dashboard = () => {
   // Render active jobs tab
   const renderActiveJobs = () => {
     const activeJobs = jobs.filter(job => 
-      ['pending', 'initialized', 'processing', 'paused'].includes(job.status)
+      ['pending', 'initializing', 'initialized', 'processing', 'paused'].includes(job.status)
     );
     
     if (activeJobs.length === 0) {
@@ -207,7 +300,7 @@ const Dashboard = () => {
             <tr key={job._id}>
               <td>{job.name}</td>
               <td>{moment(job.completedAt).format('MMM D, YYYY [at] h:mm A')}</td>
-              <td>{job.processedIds.length} of {job.totalObjects}</td>
+              <td>{job.processedCount || 0} of {job.totalObjects}</td>
               <td>
                 {job.options.skipShopifyUpload ? (
                   <Badge bg="secondary">CSV Only</Badge>
@@ -300,6 +393,109 @@ const Dashboard = () => {
     );
   };
   
+  // Render queue tab
+  const renderQueue = () => {
+    if (queue.length === 0) {
+      return (
+        <Alert variant="info">
+          No jobs are waiting. New imports start as soon as a worker is free.
+        </Alert>
+      );
+    }
+    
+    return (
+      <Table responsive hover>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Job Name</th>
+            <th>Priority</th>
+            <th>Status</th>
+            <th>Items</th>
+            <th>Waiting Since</th>
+            <th>Order</th>
+          </tr>
+        </thead>
+        <tbody>
+          {queue.map((job, index) => (
+            <tr key={job._id}>
+              <td>{index + 1}</td>
+              <td><Link to={`/jobs/${job._id}`}>{job.name}</Link></td>
+              <td><PriorityBadge priority={job.priority} /></td>
+              <td>
+                {renderStatusBadge(job.status)}
+                {job.status === 'paused' && job.resumeAfter && (
+                  <small className="text-muted ms-1">until {moment(job.resumeAfter).format('h:mm A')}</small>
+                )}
+              </td>
+              <td>{job.totalObjects || job.options?.maxItems || '-'}</td>
+              <td>{moment(job.createdAt).fromNow()}</td>
+              <td>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  className="me-1"
+                  disabled={index === 0}
+                  onClick={() => handleMoveJob(index, -1)}
+                >
+                  <FaArrowUp />
+                </Button>
+                <Button
+                  variant="outline-secondary"
+                  size="sm"
+                  disabled={index === queue.length - 1}
+                  onClick={() => handleMoveJob(index, 1)}
+                >
+                  <FaArrowDown />
+                </Button>
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  };
+  
+  // Render workers tab
+  const renderWorkers = () => {
+    if (workers.length === 0) {
+      return (
+        <Alert variant="info">
+          No worker is processing a job right now.
+        </Alert>
+      );
+    }
+    
+    return (
+      <Table responsive hover>
+        <thead>
+          <tr>
+            <th>Worker</th>
+            <th>Last Heartbeat</th>
+            <th>Jobs</th>
+          </tr>
+        </thead>
+        <tbody>
+          {workers.map(worker => (
+            <tr key={worker.owner}>
+              <td><code>{worker.owner}</code></td>
+              <td>{moment(worker.lastHeartbeatAt).fromNow()}</td>
+              <td>
+                {worker.jobs.map(job => (
+                  <div key={job._id}>
+                    <Link to={`/jobs/${job._id}`}>{job.name}</Link>{' '}
+                    {renderStatusBadge(job.status)}{' '}
+                    <small className="text-muted">{job.progress}%</small>
+                  </div>
+                ))}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </Table>
+    );
+  };
+  
   return (
     <div>
       <div className="d-flex justify-content-between align-items-center mb-4">
@@ -327,6 +523,12 @@ const Dashboard = () => {
         <Tab eventKey="failed" title="Failed Jobs">
           {loading ? <LoadingSpinner /> : renderFailedJobs()}
         </Tab>
+        <Tab eventKey="queue" title="Queue">
+          {loading ? <LoadingSpinner /> : renderQueue()}
+        </Tab>
+        <Tab eventKey="workers" title="Workers">
+          {loading ? <LoadingSpinner /> : renderWorkers()}
+        </Tab>
       </Tabs>
     </div>
   );
@@ -1,6 +1,6 @@
 // client/src/pages/JobDetails.js - Updated with image download button
-import React, { useState, useEffect } from 'react';
-import { useParams, Link } from 'react-router-dom';
+import React, { useState, useEffect, useRef } from 'react';
+import { useParams, useNavigate, Link } from 'react-router-dom';
 import {
   Card,
   Button,
@@ -11,7 +11,9 @@ import {
   Row,
   Col,
   Tabs,
-  Tab
+  Tab,
+  Pagination,
+  Form
 } from 'react-bootstrap';
 import {
   FaDownload,
@@ -20,40 +22,124 @@ import {
   FaPause,
   FaStop,
   FaArrowLeft,
-  FaImages
+  FaImages,
+  FaRedo,
+  FaCopy
 } from 'react-icons/fa';
 import axios from 'axios';
 import moment from 'moment';
 import LoadingSpinner from '../components/LoadingSpinner';
+import StageBadges from '../components/StageBadges';
+import CloneJobModal from '../components/CloneJobModal';
+import PriorityBadge from '../components/PriorityBadge';
+import useJobEvents from '../hooks/useJobEvents';
+import JobTimeline from '../components/JobTimeline';
+import ReviewQueue from '../components/ReviewQueue';
+import { getSearchBackendLabel } from '../components/ImportPreview';
+
+const RESULTS_PER_PAGE = 50;
+
+// Item events can arrive many times per second, reload the item tables at most this often
+const ITEMS_REFRESH_DELAY = 2000;
 
 const JobDetails = () => {
   const { id } = useParams();
+  const navigate = useNavigate();
   const [job, setJob] = useState(null);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState('');
   const [activeTab, setActiveTab] = useState('overview');
   const [imageDownloading, setImageDownloading] = useState(false); // Track image download state
+  const [showCloneModal, setShowCloneModal] = useState(false);
+  const [promptTemplateName, setPromptTemplateName] = useState('');
+  
+  // Import items are loaded separately from the job, one page at a time
+  const [previewItems, setPreviewItems] = useState([]);
+  const [resultItems, setResultItems] = useState([]);
+  const [resultsPage, setResultsPage] = useState(1);
+  const [resultsPages, setResultsPages] = useState(0);
+  const [resultsTotal, setResultsTotal] = useState(0);
+  const [errorItems, setErrorItems] = useState([]);
+  const [errorsTotal, setErrorsTotal] = useState(0);
+  const [deadLetterItems, setDeadLetterItems] = useState([]);
+  const [deadLetterTotal, setDeadLetterTotal] = useState(0);
+  const [selectedDeadLetters, setSelectedDeadLetters] = useState([]);
+  const [requeueing, setRequeueing] = useState(false);
+  const [reviewItems, setReviewItems] = useState([]);
+  const [reviewTotal, setReviewTotal] = useState(0);
+  
+  const itemsRefreshTimer = useRef(null);
   
   useEffect(() => {
     fetchJobDetails();
     
-    // Poll for updates if job is active
-    const interval = setInterval(() => {
-      if (job && ['pending', 'initialized', 'processing', 'paused'].includes(job.status)) {
-        fetchJobDetails(false);
-      }
-    }, 5000);
-    
-    return () => clearInterval(interval);
+    return () => clearTimeout(itemsRefreshTimer.current);
   }, [id]);
   
+  // The job only keeps the ID of its prompt template
+  const promptTemplateId = job?.options?.promptTemplate;
+  useEffect(() => {
+    if (!promptTemplateId) return;
+    
+    axios.get(`/api/prompts/${promptTemplateId}`)
+      .then(res => setPromptTemplateName(res.data.name))
+      .catch(() => setPromptTemplateName('Deleted template'));
+  }, [promptTemplateId]);
+  
+  // Reload the item tables once a burst of item events has settled
+  const scheduleItemsRefresh = () => {
+    if (itemsRefreshTimer.current) return;
+    
+    itemsRefreshTimer.current = setTimeout(() => {
+      itemsRefreshTimer.current = null;
+      fetchJobDetails(false);
+      fetchResultItems(resultsPage);
+    }, ITEMS_REFRESH_DELAY);
+  };
+  
+  // Apply pushed updates of this job, with a slow reload in case another instance processes it
+  useJobEvents({
+    job: (update) => setJob(prevJob => prevJob && { ...prevJob, ...update }),
+    item: () => scheduleItemsRefresh(),
+    job_deleted: () => setError('This job has been deleted.')
+  }, {
+    jobId: id,
+    onReconnect: () => {
+      fetchJobDetails(false);
+      fetchResultItems(resultsPage);
+    },
+    onPoll: () => {
+      if (!job || ['completed', 'failed'].includes(job.status)) return;
+      fetchJobDetails(false);
+      fetchResultItems(resultsPage);
+    }
+  });
+  
+  useEffect(() => {
+    fetchResultItems(resultsPage);
+  }, [id, resultsPage]);
+  
   // Fetch job details
   const fetchJobDetails = async (showLoading = true) => {
     try {
       if (showLoading) setLoading(true);
       
-      const response = await axios.get(`/api/jobs/${id}`);
-      setJob(response.data);
+      const [jobRes, previewRes, errorsRes, deadLetterRes, reviewRes] = await Promise.all([
+        axios.get(`/api/jobs/${id}`),
+        axios.get(`/api/jobs/${id}/items`, { params: { status: 'completed', limit: 8 } }),
+        axios.get(`/api/jobs/${id}/items`, { params: { errors: true, limit: 200 } }),
+        axios.get(`/api/jobs/${id}/dead-letter`, { params: { limit: 200 } }),
+        axios.get(`/api/jobs/${id}/review`, { params: { limit: 50 } })
+      ]);
+      
+      setJob(jobRes.data);
+      setPreviewItems(previewRes.data.items);
+      setErrorItems(errorsRes.data.items);
+      setErrorsTotal(errorsRes.data.total);
+      setDeadLetterItems(deadLetterRes.data.items);
+      setDeadLetterTotal(deadLetterRes.data.total);
+      setReviewItems(reviewRes.data.items);
+      setReviewTotal(reviewRes.data.total);
       setError('');
     } catch (err) {
       setError('Failed to fetch job details. Please try again.');
@@ -63,6 +149,64 @@ const JobDetails = () => {
     }
   };
   
+  // Fetch one page of the job's import items
+  const fetchResultItems = async (page) => {
+    try {
+      const response = await axios.get(`/api/jobs/${id}/items`, {
+        params: { page, limit: RESULTS_PER_PAGE }
+      });
+      
+      setResultItems(response.data.items);
+      setResultsPages(response.data.pages);
+      setResultsTotal(response.data.total);
+    } catch (err) {
+      setError('Failed to fetch job results. Please try again.');
+      console.error('Error fetching job results:', err);
+    }
+  };
+  
+  // Toggle an item in the dead-letter selection
+  const toggleDeadLetter = (objectId, checked) => {
+    setSelectedDeadLetters(checked
+      ? [...selectedDeadLetters, objectId]
+      : selectedDeadLetters.filter(selectedId => selectedId !== objectId));
+  };
+  
+  // Put dead-lettered items back in the queue, all of them when none are selected
+  const handleRequeue = async (objectIds) => {
+    try {
+      setRequeueing(true);
+      await axios.post(`/api/jobs/${id}/requeue`, objectIds ? { objectIds } : {});
+      setSelectedDeadLetters([]);
+      fetchJobDetails(false);
+      fetchResultItems(resultsPage);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to requeue items. Please try again.');
+      console.error('Error requeueing items:', err);
+    } finally {
+      setRequeueing(false);
+    }
+  };
+  
+  // Handle retry of all failed items in place
+  const handleRetryFailed = async () => {
+    try {
+      await axios.post(`/api/jobs/${id}/retry-failed`);
+      fetchJobDetails();
+      fetchResultItems(resultsPage);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to retry failed items. Please try again.');
+      console.error('Error retrying failed items:', err);
+    }
+  };
+  
+  // Handle re-run as a new job, errors are shown in the modal
+  const handleCloneJob = async ({ name, priority, options }) => {
+    const response = await axios.post(`/api/jobs/${id}/clone`, { name, priority, options });
+    setShowCloneModal(false);
+    navigate(`/jobs/${response.data._id}`);
+  };
+  
   // Handle pause job
   const handlePauseJob = async () => {
     try {
@@ -169,6 +313,7 @@ const JobDetails = () => {
       case 'pending':
         variant = 'secondary';
         break;
+      case 'initializing':
       case 'initialized':
       case 'processing':
         variant = 'primary';
@@ -251,6 +396,12 @@ const JobDetails = () => {
                 <strong>Rate limit reached.</strong> Will resume in {getResumeTimeRemaining()}.
               </Alert>
             )}
+            
+            {job.pauseReason === 'retry' && (
+              <Alert variant="warning" className="mt-2">
+                <strong>Waiting to retry failed items.</strong> Will resume in {getResumeTimeRemaining()}.
+              </Alert>
+            )}
           </div>
         ) : null}
         
@@ -268,7 +419,7 @@ const JobDetails = () => {
               </Button>
             )}
             
-            {['pending', 'initialized', 'processing', 'paused'].includes(job.status) && (
+            {['pending', 'initializing', 'initialized', 'processing', 'paused'].includes(job.status) && (
               <Button variant="danger" onClick={handleCancelJob}>
                 <FaStop className="me-1" /> Cancel
               </Button>
@@ -300,7 +451,24 @@ const JobDetails = () => {
                 )}
               </>
             )}
+            
+            {['completed', 'failed'].includes(job.status) && job.failedCount > 0 && (
+              <Button variant="outline-danger" onClick={handleRetryFailed}>
+                <FaRedo className="me-1" /> Retry Failed ({job.failedCount})
+              </Button>
+            )}
+            
+            <Button variant="outline-secondary" onClick={() => setShowCloneModal(true)}>
+              <FaCopy className="me-1" /> Re-run as New Job
+            </Button>
           </div>
+          
+          <CloneJobModal
+            job={job}
+            show={showCloneModal}
+            onHide={() => setShowCloneModal(false)}
+            onClone={handleCloneJob}
+          />
         </div>
         
         <Tabs
@@ -330,21 +498,92 @@ const JobDetails = () => {
                             <td>{moment(job.completedAt).format('MMM D, YYYY [at] h:mm A')}</td>
                           </tr>
                         )}
+                        {job.lease && job.lease.owner && (
+                          <tr>
+                            <td>Worker</td>
+                            <td>
+                              <code>{job.lease.owner}</code>
+                              <div className="text-muted small">
+                                Last heartbeat {moment(job.heartbeatAt).fromNow()}
+                              </div>
+                            </td>
+                          </tr>
+                        )}
+                        {job.recoveryCount > 0 && (
+                          <tr>
+                            <td>Recovered</td>
+                            <td>
+                              {job.recoveryCount} time{job.recoveryCount > 1 ? 's' : ''} after a server restart
+                              (last {moment(job.recoveredAt).format('MMM D, YYYY [at] h:mm A')})
+                            </td>
+                          </tr>
+                        )}
+                        <tr>
+                          <td>Priority</td>
+                          <td><PriorityBadge priority={job.priority} /></td>
+                        </tr>
+                        {job.schedule && (
+                          <tr>
+                            <td>Schedule</td>
+                            <td>
+                              <Link to="/schedules">Recurring run</Link>
+                              {job.options.onlyNewItems && (
+                                <div className="text-muted small">
+                                  {job.previouslyImportedCount} artworks left out as imported by earlier runs
+                                </div>
+                              )}
+                            </td>
+                          </tr>
+                        )}
                         <tr>
                           <td>Progress</td>
                           <td>
-                            {job.processedIds ? job.processedIds.length : 0} of {job.totalObjects || 0} artworks
-                            {job.failedIds && job.failedIds.length > 0 && ` (${job.failedIds.length} failed)`}
+                            {job.processedCount || 0} of {job.totalObjects || 0} artworks
+                            {job.failedCount > 0 && ` (${job.failedCount} failed)`}
+                            {job.skippedCount > 0 && ` (${job.skippedCount} skipped)`}
+                            {job.existingSkippedCount > 0 && (
+                              <div className="text-muted small">
+                                {job.existingSkippedCount} artworks skipped as already imported by other jobs
+                              </div>
+                            )}
+                            {job.totalHits > job.totalObjects && (
+                              <div className="text-muted small">
+                                Search found {job.totalHits.toLocaleString()} matches, limited to {job.totalObjects} by max items
+                              </div>
+                            )}
                           </td>
                         </tr>
                         <tr>
                           <td>Source</td>
                           <td>
                             {job.source === 'url' ? (
+                              job.urlResults?.length > 1 ? (
+                                <>
+                                  URL Import ({job.urlResults.length} URLs)
+                                  {job.urlResults.map(result => (
+                                    <div key={result.url} className="text-muted small text-break">
+                                      {result.url}
+                                      <div className={result.error ? 'text-danger' : ''}>
+                                        {result.error
+                                          ? `Left out: ${result.error}`
+                                          : `${result.found} found, ${result.added} not found by earlier URLs`}
+                                      </div>
+                                    </div>
+                                  ))}
+                                </>
+                              ) : (
+                                <>
+                                  URL Import
+                                  <div className="text-muted small">
+                                    {job.query.urls?.length > 1 ? job.query.urls.join(', ') : job.query.url}
+                                  </div>
+                                </>
+                              )
+                            ) : job.source === 'list' ? (
                               <>
-                                URL Import
+                                List Import
                                 <div className="text-muted small">
-                                  {job.query.url}
+                                  {job.query.objectIds?.length || 0} objects
                                 </div>
                               </>
                             ) : (
@@ -356,6 +595,11 @@ const JobDetails = () => {
                                 </div>
                               </>
                             )}
+                            {job.searchBackend && job.source !== 'list' && (
+                              <div className="text-muted small">
+                                Found with {getSearchBackendLabel(job.searchBackend)}
+                              </div>
+                            )}
                           </td>
                         </tr>
                       </tbody>
@@ -378,10 +622,43 @@ const JobDetails = () => {
                           <td>Skip Existing</td>
                           <td>{job.options.skipExisting ? 'Yes' : 'No'}</td>
                         </tr>
+                        <tr>
+                          <td>Additional Images</td>
+                          <td>{job.options.includeAdditionalImages ? 'Included' : 'Primary image only'}</td>
+                        </tr>
                         <tr>
                           <td>Default Price</td>
                           <td>${job.options.defaultPrice || '99.99'}</td>
                         </tr>
+                        <tr>
+                          <td>Parallel Items</td>
+                          <td>{job.options.concurrency || 'Default'}</td>
+                        </tr>
+                        <tr>
+                          <td>Descriptions</td>
+                          <td>
+                            {job.options.llmProvider || 'Server default'}
+                            {job.options.llmModel && <span className="text-muted"> · {job.options.llmModel}</span>}
+                          </td>
+                        </tr>
+                        <tr>
+                          <td>Prompt Template</td>
+                          <td>
+                            {job.options.promptTemplate ? promptTemplateName : 'Default'}
+                            {job.options.promptTemplateVersion
+                              ? <span className="text-muted"> · version {job.options.promptTemplateVersion}</span>
+                              : job.options.promptTemplate && <span className="text-muted"> · latest</span>}
+                          </td>
+                        </tr>
+                        <tr>
+                          <td>Retry Policy</td>
+                          <td>
+                            {job.options.retry?.maxAttempts || 3} attempts, {job.options.retry?.backoffSeconds ?? 30}s backoff
+                            {job.options.retry?.retryOn && (
+                              <div className="text-muted small">On: {job.options.retry.retryOn.join(', ') || 'nothing'}</div>
+                            )}
+                          </td>
+                        </tr>
                       </tbody>
                     </Table>
                   </Col>
@@ -395,21 +672,41 @@ const JobDetails = () => {
               </Card.Body>
             </Card>
             
-            {job.results && job.results.length > 0 && (
+            {previewItems.length > 0 && (
               <Card className="mt-4">
                 <Card.Body>
                   <h5>Artwork Preview</h5>
                   <div className="artwork-preview">
-                    {job.results.slice(0, 8).map(result => (
+                    {previewItems.map(result => (
                       <div key={result.objectId} className="artwork-item">
                         {result.imageUrl ? (
-                          <img src={result.imageUrl} alt={result.title} />
+                          <img src={result.imageSmallUrl || result.imageUrl} alt={result.title} />
                         ) : (
                           <div className="artwork-image-placeholder"></div>
                         )}
+                        {result.additionalImages?.length > 0 && (
+                          <div className="artwork-views">
+                            {result.additionalImages.map((image, index) => (
+                              <a key={image.url} href={image.url} target="_blank" rel="noopener noreferrer">
+                                <img src={image.url} alt={`${result.title} (view ${index + 2})`} loading="lazy" />
+                              </a>
+                            ))}
+                          </div>
+                        )}
                         <div className="artwork-info">
                           <div className="artwork-title">{result.title}</div>
                           <div className="text-muted">{result.artist}</div>
+                          {result.record && (result.record.medium || result.record.dimensions) && (
+                            <div className="text-muted small">
+                              {[result.record.medium, result.record.dimensions].filter(Boolean).join(' · ')}
+                            </div>
+                          )}
+                          {result.record?.creditLine && (
+                            <div className="text-muted small">{result.record.creditLine}</div>
+                          )}
+                          {result.rightsAndReproduction && (
+                            <div className="text-muted small">{result.rightsAndReproduction}</div>
+                          )}
                         </div>
                       </div>
                     ))}
@@ -424,9 +721,11 @@ const JobDetails = () => {
               <Card.Body>
                 <h5>Processed Artworks</h5>
                 
-                {!job.results || job.results.length === 0 ? (
+                {resultsTotal === 0 ? (
                   <Alert variant="info">No artworks have been processed yet.</Alert>
                 ) : (
+                  <>
+                  <div className="text-muted small mt-2">{resultsTotal} artworks</div>
                   <Table responsive hover className="mt-3">
                     <thead>
                       <tr>
@@ -435,14 +734,22 @@ const JobDetails = () => {
                         <th>Artist</th>
                         <th>Date</th>
                         <th>Collections</th>
+                        <th>Stages</th>
                         <th>Status</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {job.results.map(result => (
+                      {resultItems.map(result => (
                         <tr key={result.objectId}>
                           <td>{result.objectId}</td>
-                          <td>{result.title}</td>
+                          <td>
+                            {result.title}
+                            {job.query.urls?.length > 1 && result.sourceUrls?.length > 0 && (
+                              <div className="text-muted small">
+                                Found by URL {result.sourceUrls.map(url => job.query.urls.indexOf(url) + 1).join(', ')}
+                              </div>
+                            )}
+                          </td>
                           <td>{result.artist}</td>
                           <td>{result.date}</td>
                           <td>
@@ -451,9 +758,14 @@ const JobDetails = () => {
                             </div>
                           </td>
                           <td>
-                            {result.processed ? (
+                            <StageBadges stages={result.stages} />
+                          </td>
+                          <td>
+                            {result.status === 'completed' ? (
                               result.error ? (
                                 <Badge bg="danger">Error</Badge>
+                              ) : result.review?.required ? (
+                                <Badge bg="warning" text="dark">Needs Review</Badge>
                               ) : (
                                 result.shopifyProductId ? (
                                   <Badge bg="success">Uploaded</Badge>
@@ -461,6 +773,20 @@ const JobDetails = () => {
                                   <Badge bg="info">Processed</Badge>
                                 )
                               )
+                            ) : result.status === 'failed' ? (
+                              <Badge bg="danger">Failed</Badge>
+                            ) : result.status === 'skipped' ? (
+                              result.existingImport?.job ? (
+                                <Link to={`/jobs/${result.existingImport.job}`} title={result.error}>
+                                  <Badge bg="light" text="dark">Already Imported</Badge>
+                                </Link>
+                              ) : (
+                                <Badge bg="light" text="dark">Skipped</Badge>
+                              )
+                            ) : result.status === 'processing' ? (
+                              <Badge bg="primary">Processing</Badge>
+                            ) : result.nextAttemptAt ? (
+                              <Badge bg="warning" text="dark">Retry {moment(result.nextAttemptAt).fromNow()}</Badge>
                             ) : (
                               <Badge bg="secondary">Pending</Badge>
                             )}
@@ -469,42 +795,152 @@ const JobDetails = () => {
                       ))}
                     </tbody>
                   </Table>
+                  
+                  {resultsPages > 1 && (
+                    <Pagination>
+                      <Pagination.Prev
+                        disabled={resultsPage <= 1}
+                        onClick={() => setResultsPage(resultsPage - 1)}
+                      />
+                      <Pagination.Item active>
+                        Page {resultsPage} of {resultsPages}
+                      </Pagination.Item>
+                      <Pagination.Next
+                        disabled={resultsPage >= resultsPages}
+                        onClick={() => setResultsPage(resultsPage + 1)}
+                      />
+                    </Pagination>
+                  )}
+                  </>
                 )}
               </Card.Body>
             </Card>
           </Tab>
           
-          <Tab eventKey="errors" title="Errors" disabled={!job.failedIds || job.failedIds.length === 0}>
+          <Tab eventKey="errors" title="Errors" disabled={errorsTotal === 0}>
             <Card>
               <Card.Body>
                 <h5>Failed Artworks</h5>
+                {errorsTotal > errorItems.length && (
+                  <div className="text-muted small">Showing the first {errorItems.length} of {errorsTotal} errors</div>
+                )}
                 
-                {!job.failedIds || job.failedIds.length === 0 ? (
+                {errorsTotal === 0 ? (
                   <Alert variant="success">No errors have occurred.</Alert>
                 ) : (
                   <Table responsive hover className="mt-3">
                     <thead>
                       <tr>
                         <th>ID</th>
+                        <th>Stages</th>
                         <th>Error</th>
                       </tr>
                     </thead>
                     <tbody>
-                      {job.results
-                        .filter(result => result.error)
-                        .map(result => (
-                          <tr key={result.objectId}>
-                            <td>{result.objectId}</td>
-                            <td>{result.error}</td>
-                          </tr>
-                        ))
-                      }
+                      {errorItems.map(result => (
+                        <tr key={result.objectId}>
+                          <td>{result.objectId}</td>
+                          <td><StageBadges stages={result.stages} /></td>
+                          <td>{result.error || 'Unknown error'}</td>
+                        </tr>
+                      ))}
                     </tbody>
                   </Table>
                 )}
               </Card.Body>
             </Card>
           </Tab>
+          
+          <Tab eventKey="review" title={`Needs Review (${reviewTotal})`} disabled={reviewTotal === 0}>
+            <ReviewQueue
+              jobId={id}
+              items={reviewItems}
+              total={reviewTotal}
+              onApproved={() => {
+                fetchJobDetails(false);
+                fetchResultItems(resultsPage);
+              }}
+            />
+          </Tab>
+          
+          <Tab eventKey="timeline" title="Timeline">
+            {activeTab === 'timeline' && <JobTimeline jobId={id} />}
+          </Tab>
+          
+          <Tab eventKey="dead-letter" title={`Dead Letter (${deadLetterTotal})`} disabled={deadLetterTotal === 0}>
+            <Card>
+              <Card.Body>
+                <div className="d-flex justify-content-between align-items-center">
+                  <h5 className="mb-0">Items That Failed for Good</h5>
+                  <div className="d-flex gap-2">
+                    <Button
+                      variant="outline-primary"
+                      size="sm"
+                      disabled={requeueing || selectedDeadLetters.length === 0}
+                      onClick={() => handleRequeue(selectedDeadLetters)}
+                    >
+                      <FaRedo className="me-1" /> Requeue Selected ({selectedDeadLetters.length})
+                    </Button>
+                    <Button
+                      variant="primary"
+                      size="sm"
+                      disabled={requeueing}
+                      onClick={() => handleRequeue()}
+                    >
+                      <FaRedo className="me-1" /> Requeue All
+                    </Button>
+                  </div>
+                </div>
+                {job.status === 'processing' && (
+                  <div className="text-muted small mt-2">Pause the job to requeue items.</div>
+                )}
+                {deadLetterTotal > deadLetterItems.length && (
+                  <div className="text-muted small mt-2">Showing the latest {deadLetterItems.length} of {deadLetterTotal} items</div>
+                )}
+                
+                <Table responsive hover className="mt-3">
+                  <thead>
+                    <tr>
+                      <th></th>
+                      <th>ID</th>
+                      <th>Stages</th>
+                      <th>Attempts</th>
+                      <th>Failed</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deadLetterItems.map(item => (
+                      <tr key={item.objectId}>
+                        <td>
+                          <Form.Check
+                            type="checkbox"
+                            checked={selectedDeadLetters.includes(item.objectId)}
+                            onChange={(e) => toggleDeadLetter(item.objectId, e.target.checked)}
+                          />
+                        </td>
+                        <td>
+                          {item.objectId}
+                          {item.title && <div className="text-muted small">{item.title}</div>}
+                        </td>
+                        <td><StageBadges stages={item.stages} /></td>
+                        <td>
+                          {item.attemptHistory.map((attempt, index) => (
+                            <div key={index} className="small">
+                              <Badge bg="secondary" className="me-1">{attempt.errorClass}</Badge>
+                              {attempt.stage && <span className="text-muted me-1">{attempt.stage}:</span>}
+                              {attempt.error}
+                              <span className="text-muted ms-1">({moment(attempt.at).format('MMM D, HH:mm:ss')})</span>
+                            </div>
+                          ))}
+                        </td>
+                        <td>{item.deadLetteredAt ? moment(item.deadLetteredAt).fromNow() : 'Unknown'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </Table>
+              </Card.Body>
+            </Card>
+          </Tab>
         </Tabs>
       </div>
     );
@@ -9,18 +9,33 @@ import {
   Tab,
   Accordion,
   Row,
-  Col
+  Col,
+  InputGroup
 } from 'react-bootstrap';
-import { FaArrowRight } from 'react-icons/fa';
+import { FaArrowRight, FaSearch, FaCheck, FaPlus, FaTimes } from 'react-icons/fa';
 import axios from 'axios';
 import LoadingSpinner from '../components/LoadingSpinner';
+import ImportPreview, { SEARCH_BACKENDS } from '../components/ImportPreview';
+import RetryOptionsFields, { DEFAULT_RETRY } from '../components/RetryOptionsFields';
+import LlmProviderFields from '../components/LlmProviderFields';
+import PromptTemplateSelect from '../components/PromptTemplateSelect';
+import ScheduleFields, { DEFAULT_SCHEDULE, getScheduleRequest } from '../components/ScheduleFields';
+import { PRIORITY_LEVELS } from '../components/PriorityBadge';
+
+// Shown under a URL once the server recognized what kind of page it is
+const URL_TYPE_HINTS = {
+  object: 'Object page: imports this one artwork',
+  department: 'Department page: imports artworks of the department',
+  exhibition: 'Exhibition: imports the exhibited artworks'
+};
 
 const NewImport = () => {
   const navigate = useNavigate();
   const [activeTab, setActiveTab] = useState('url');
   
   // URL form state
-  const [url, setUrl] = useState('');
+  const [urls, setUrls] = useState(['']);
+  const [urlChecks, setUrlChecks] = useState({}); // URL -> result of /api/met/parse-url
   const [urlName, setUrlName] = useState('');
   const [urlOpenAccessOnly, setUrlOpenAccessOnly] = useState(true);
   
@@ -35,11 +50,32 @@ const NewImport = () => {
   const [categoryName, setCategoryName] = useState('');
   const [categoryOpenAccessOnly, setCategoryOpenAccessOnly] = useState(true);
   
+  // Object list form state
+  const [listText, setListText] = useState('');
+  const [listName, setListName] = useState('');
+  const [listCheck, setListCheck] = useState(null);
+  
   // Advanced options
   const [maxItems, setMaxItems] = useState(100);
+  const [priority, setPriority] = useState(0);
   const [skipShopifyUpload, setSkipShopifyUpload] = useState(true);
   const [skipExisting, setSkipExisting] = useState(true);
+  const [refreshCache, setRefreshCache] = useState(false);
+  const [includeAdditionalImages, setIncludeAdditionalImages] = useState(false);
   const [defaultPrice, setDefaultPrice] = useState(99.99);
+  const [concurrency, setConcurrency] = useState(2);
+  const [searchBackend, setSearchBackend] = useState('auto');
+  const [retry, setRetry] = useState(DEFAULT_RETRY);
+  const [llm, setLlm] = useState({ llmProvider: null, llmModel: null, promptTemplate: null, promptTemplateVersion: null });
+  const [llmProviders, setLlmProviders] = useState([]);
+  const [promptTemplates, setPromptTemplates] = useState([]);
+  
+  // Recurring import
+  const [schedule, setSchedule] = useState(DEFAULT_SCHEDULE);
+  
+  // Dry run results
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
   
   // UI state
   const [loading, setLoading] = useState(false);
@@ -66,14 +102,225 @@ const NewImport = () => {
       console.error('Error fetching options:', err);
       setError('Failed to load form options. Please refresh the page.');
     }
+    
+    // Without these lists the jobs still use the server's default provider and template
+    try {
+      const [providersRes, templatesRes] = await Promise.all([
+        axios.get('/api/met/llm-providers'),
+        axios.get('/api/prompts')
+      ]);
+      setLlmProviders(providersRes.data);
+      setPromptTemplates(templatesRes.data);
+    } catch (err) {
+      console.error('Error fetching description options:', err);
+    }
+  };
+  
+  // Create the job, or a schedule that creates one on every run
+  const submitImport = async (source, jobData) => {
+    // A fixed list finds nothing new on later runs, so lists are never scheduled
+    if (schedule.enabled && source !== 'list') {
+      await axios.post('/api/schedules', { ...jobData, source, ...getScheduleRequest(schedule) });
+      setSuccess('Schedule created successfully! Redirecting to schedules...');
+      
+      setTimeout(() => {
+        navigate('/schedules');
+      }, 1500);
+      return;
+    }
+    
+    await axios.post(`/api/jobs/${source}`, jobData);
+    
+    setSuccess('Import job created successfully! Redirecting to dashboard...');
+    
+    // Redirect to dashboard after short delay
+    setTimeout(() => {
+      navigate('/');
+    }, 1500);
+  };
+  
+  // Request body of a URL import
+  const getUrlJobData = () => {
+    // Add openAccess parameter to each URL if checkbox is checked
+    const processedUrls = urls.map(url => url.trim()).filter(Boolean).map(url => {
+      if (urlOpenAccessOnly && !url.includes('showOnly=openAccess')) {
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}showOnly=openAccess`;
+      }
+      return url;
+    });
+    
+    return {
+      url: processedUrls[0],
+      urls: processedUrls,
+      name: urlName || `URL Import: ${new Date().toLocaleString()}`,
+      priority,
+      options: {
+        maxItems,
+        skipShopifyUpload,
+        skipExisting,
+        refreshCache,
+        includeAdditionalImages,
+        defaultPrice,
+        concurrency,
+        searchBackend,
+        ...llm,
+        retry
+      }
+    };
+  };
+  
+  // Request body of a category import
+  const getCategoryJobData = () => {
+    return {
+      name: categoryName || `Category Import: ${new Date().toLocaleString()}`,
+      priority,
+      artworkTypes: selectedArtTypes,
+      timePeriods: selectedTimePeriods,
+      departmentIds: selectedDepartments.map(dept => parseInt(dept)),
+      keywords,
+      isPublicDomain: categoryOpenAccessOnly,
+      options: {
+        maxItems,
+        skipShopifyUpload,
+        skipExisting,
+        refreshCache,
+        includeAdditionalImages,
+        defaultPrice,
+        concurrency,
+        searchBackend,
+        ...llm,
+        retry
+      }
+    };
+  };
+  
+  // Request body of an object list import
+  const getListJobData = () => {
+    return {
+      text: listText,
+      name: listName || `List Import: ${new Date().toLocaleString()}`,
+      priority,
+      options: {
+        maxItems,
+        skipShopifyUpload,
+        skipExisting,
+        refreshCache,
+        includeAdditionalImages,
+        defaultPrice,
+        concurrency,
+        ...llm,
+        retry
+      }
+    };
+  };
+  
+  const getJobData = (source) => {
+    if (source === 'url') return getUrlJobData();
+    if (source === 'list') return getListJobData();
+    return getCategoryJobData();
+  };
+  
+  // Read an uploaded CSV/TXT file into the list
+  const handleListFile = (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = () => {
+      setListText(reader.result);
+      setListCheck(null);
+    };
+    reader.onerror = () => setError(`Failed to read ${file.name}`);
+    reader.readAsText(file);
+  };
+  
+  // Show how many valid objects the list has and which entries were not understood
+  const handleCheckList = async () => {
+    try {
+      setError('');
+      const response = await axios.post('/api/met/parse-list', { text: listText });
+      setListCheck(response.data);
+    } catch (err) {
+      setListCheck(null);
+      setError(err.response?.data?.message || 'Failed to check the list.');
+    }
+  };
+  
+  // Message explaining why a form can't be sent yet
+  const validate = (source) => {
+    if (source === 'url' && !urls.some(url => url.trim())) {
+      return 'Please enter a valid Met Museum URL';
+    }
+    if (source === 'category' && selectedDepartments.length === 0 && selectedArtTypes.length === 0 && 
+        selectedTimePeriods.length === 0 && !keywords) {
+      return 'Please select at least one department, category, time period, or enter keywords';
+    }
+    if (source === 'list' && !listText.trim()) {
+      return 'Please paste object IDs or object URLs, or upload a CSV/TXT file';
+    }
+    return '';
+  };
+  
+  // Dry run of the import: what it would find and roughly cost
+  const handlePreview = async (source) => {
+    const validationError = validate(source);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    
+    try {
+      setPreviewLoading(true);
+      setError('');
+      setPreview(null);
+      
+      const jobData = getJobData(source);
+      const response = await axios.post('/api/jobs/preview', { ...jobData, source });
+      setPreview(response.data);
+    } catch (err) {
+      console.error('Error previewing import:', err);
+      setError(err.response?.data?.message || 'Failed to preview the import. Please try again.');
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+  
+  // Edit, add or remove one of the search URLs of a URL import
+  const handleUrlChange = (index, value) => {
+    setUrls(prev => prev.map((url, i) => (i === index ? value : url)));
+  };
+  
+  // Check a URL when the user leaves its field, so mistakes show up before the import starts
+  const handleUrlBlur = async (value) => {
+    const url = value.trim();
+    if (!url || urlChecks[url]) return;
+    
+    try {
+      const response = await axios.post('/api/met/parse-url', { url });
+      setUrlChecks(prev => ({ ...prev, [url]: response.data }));
+    } catch (err) {
+      if (err.response?.data?.errors) {
+        setUrlChecks(prev => ({ ...prev, [url]: { valid: false, ...err.response.data } }));
+      }
+    }
+  };
+  
+  const handleAddUrl = () => {
+    setUrls(prev => [...prev, '']);
+  };
+  
+  const handleRemoveUrl = (index) => {
+    setUrls(prev => prev.filter((url, i) => i !== index));
   };
   
   // Handle URL form submission
   const handleUrlSubmit = async (e) => {
     e.preventDefault();
     
-    if (!url) {
-      setError('Please enter a valid Met Museum URL');
+    const validationError = validate('url');
+    if (validationError) {
+      setError(validationError);
       return;
     }
     
@@ -81,33 +328,9 @@ const NewImport = () => {
       setLoading(true);
       setError('');
       
-      // Add openAccess parameter to URL if checkbox is checked
-      let processedUrl = url;
-      if (urlOpenAccessOnly && !url.includes('showOnly=openAccess')) {
-        const separator = url.includes('?') ? '&' : '?';
-        processedUrl = `${url}${separator}showOnly=openAccess`;
-      }
-      
-      // Create job from URL
-      const jobData = {
-        url: processedUrl,
-        name: urlName || `URL Import: ${new Date().toLocaleString()}`,
-        options: {
-          maxItems,
-          skipShopifyUpload,
-          skipExisting,
-          defaultPrice
-        }
-      };
-      
-      const response = await axios.post('/api/jobs/url', jobData);
+      const jobData = getUrlJobData();
       
-      setSuccess('Import job created successfully! Redirecting to dashboard...');
-      
-      // Redirect to dashboard after short delay
-      setTimeout(() => {
-        navigate('/');
-      }, 1500);
+      await submitImport('url', jobData);
     } catch (err) {
       console.error('Error creating URL job:', err);
       setError(err.response?.data?.message || 'Failed to create import job. Please try again.');
@@ -120,9 +343,9 @@ const NewImport = () => {
   const handleCategorySubmit = async (e) => {
     e.preventDefault();
     
-    if (selectedDepartments.length === 0 && selectedArtTypes.length === 0 && 
-        selectedTimePeriods.length === 0 && !keywords) {
-      setError('Please select at least one department, category, time period, or enter keywords');
+    const validationError = validate('category');
+    if (validationError) {
+      setError(validationError);
       return;
     }
     
@@ -130,30 +353,9 @@ const NewImport = () => {
       setLoading(true);
       setError('');
       
-      // Create job from category
-      const jobData = {
-        name: categoryName || `Category Import: ${new Date().toLocaleString()}`,
-        artworkTypes: selectedArtTypes,
-        timePeriods: selectedTimePeriods,
-        departmentIds: selectedDepartments.map(dept => parseInt(dept)),
-        keywords,
-        isPublicDomain: categoryOpenAccessOnly,
-        options: {
-          maxItems,
-          skipShopifyUpload,
-          skipExisting,
-          defaultPrice
-        }
-      };
-      
-      const response = await axios.post('/api/jobs/category', jobData);
+      const jobData = getCategoryJobData();
       
-      setSuccess('Import job created successfully! Redirecting to dashboard...');
-      
-      // Redirect to dashboard after short delay
-      setTimeout(() => {
-        navigate('/');
-      }, 1500);
+      await submitImport('category', jobData);
     } catch (err) {
       console.error('Error creating category job:', err);
       setError(err.response?.data?.message || 'Failed to create import job. Please try again.');
@@ -162,6 +364,29 @@ const NewImport = () => {
     }
   };
   
+  // Handle object list form submission
+  const handleListSubmit = async (e) => {
+    e.preventDefault();
+    
+    const validationError = validate('list');
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+    
+    try {
+      setLoading(true);
+      setError('');
+      
+      await submitImport('list', getListJobData());
+    } catch (err) {
+      console.error('Error creating list job:', err);
+      setError(err.response?.data?.message || 'Failed to create import job. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+  
   // Handle artwork type selection
   const handleArtTypeChange = (e) => {
     const value = e.target.value;
@@ -209,22 +434,57 @@ const NewImport = () => {
           
           <Tabs
             activeKey={activeTab}
-            onSelect={(k) => setActiveTab(k)}
+            onSelect={(k) => {
+              setActiveTab(k);
+              setPreview(null);
+            }}
             className="mb-4"
           >
             <Tab eventKey="url" title="Met Search URL">
               <Form onSubmit={handleUrlSubmit}>
                 <Form.Group className="mb-3">
-                  <Form.Label>Met Museum Search URL</Form.Label>
-                  <Form.Control
-                    type="url"
-                    placeholder="https://www.metmuseum.org/art/collection/search?..."
-                    value={url}
-                    onChange={(e) => setUrl(e.target.value)}
-                    required
-                  />
-                  <Form.Text className="text-muted">
-                    Paste a URL from the Met Museum search results page
+                  <Form.Label>Met Museum Search URLs</Form.Label>
+                  {urls.map((url, index) => {
+                    const check = urlChecks[url.trim()];
+                    return (
+                      <div key={index} className="mb-2">
+                        <InputGroup>
+                          <Form.Control
+                            type="url"
+                            placeholder="https://www.metmuseum.org/art/collection/search?..."
+                            value={url}
+                            onChange={(e) => handleUrlChange(index, e.target.value)}
+                            onBlur={(e) => handleUrlBlur(e.target.value)}
+                            isInvalid={check && !check.valid}
+                            required={index === 0}
+                          />
+                          {urls.length > 1 && (
+                            <Button variant="outline-secondary" onClick={() => handleRemoveUrl(index)} title="Remove URL">
+                              <FaTimes />
+                            </Button>
+                          )}
+                        </InputGroup>
+                        {check?.errors?.map(entry => (
+                          <div key={`${entry.field}-${entry.message}`} className="small text-danger">
+                            {entry.field}: {entry.message}
+                          </div>
+                        ))}
+                        {check?.warnings?.map(entry => (
+                          <div key={`${entry.field}-${entry.message}`} className="small text-warning">
+                            {entry.message}
+                          </div>
+                        ))}
+                        {check?.valid && URL_TYPE_HINTS[check.type] && (
+                          <div className="small text-muted">{URL_TYPE_HINTS[check.type]}</div>
+                        )}
+                      </div>
+                    );
+                  })}
+                  <Button variant="link" size="sm" className="px-0" onClick={handleAddUrl}>
+                    <FaPlus className="me-1" /> Add another URL
+                  </Button>
+                  <Form.Text className="d-block text-muted">
+                    Paste URLs from the Met Museum search results page. The artworks of all URLs are merged into one job without duplicates.
                   </Form.Text>
                 </Form.Group>
                 
@@ -268,6 +528,21 @@ const NewImport = () => {
                         </Form.Text>
                       </Form.Group>
                       
+                      <Form.Group className="mb-3">
+                        <Form.Label>Priority</Form.Label>
+                        <Form.Select
+                          value={priority}
+                          onChange={(e) => setPriority(parseInt(e.target.value))}
+                        >
+                          {PRIORITY_LEVELS.map(level => (
+                            <option key={level.value} value={level.value}>{level.label}</option>
+                          ))}
+                        </Form.Select>
+                        <Form.Text className="text-muted">
+                          Higher priority imports start before queued ones
+                        </Form.Text>
+                      </Form.Group>
+                      
                       <Form.Group className="mb-3">
                         <Form.Check
                           type="switch"
@@ -288,6 +563,26 @@ const NewImport = () => {
                         />
                       </Form.Group>
                       
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="refresh-cache-url"
+                          label="Fetch artwork details again instead of using cached ones"
+                          checked={refreshCache}
+                          onChange={(e) => setRefreshCache(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="additional-images-url"
+                          label="Include additional views of each artwork as extra product images"
+                          checked={includeAdditionalImages}
+                          onChange={(e) => setIncludeAdditionalImages(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
                       <Form.Group className="mb-3">
                         <Form.Label>Default Price ($)</Form.Label>
                         <Form.Control
@@ -298,12 +593,71 @@ const NewImport = () => {
                           onChange={(e) => setDefaultPrice(parseFloat(e.target.value))}
                         />
                       </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Label>Parallel Items</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          max="10"
+                          value={concurrency}
+                          onChange={(e) => setConcurrency(parseInt(e.target.value))}
+                        />
+                        <Form.Text className="text-muted">
+                          How many artworks of this job are processed at the same time
+                        </Form.Text>
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Label>Search Backend</Form.Label>
+                        <Form.Select
+                          value={searchBackend}
+                          onChange={(e) => setSearchBackend(e.target.value)}
+                        >
+                          {SEARCH_BACKENDS.map(backend => (
+                            <option key={backend.value} value={backend.value}>{backend.label}</option>
+                          ))}
+                        </Form.Select>
+                        <Form.Text className="text-muted">
+                          The other backend is used automatically when this one fails
+                        </Form.Text>
+                      </Form.Group>
+                      
+                      <LlmProviderFields
+                        providers={llmProviders}
+                        provider={llm.llmProvider}
+                        model={llm.llmModel}
+                        onChange={(values) => setLlm({ ...llm, ...values })}
+                        idPrefix="url"
+                      />
+                      
+                      <PromptTemplateSelect
+                        templates={promptTemplates}
+                        template={llm.promptTemplate}
+                        version={llm.promptTemplateVersion}
+                        onChange={(values) => setLlm({ ...llm, ...values })}
+                        idPrefix="url"
+                      />
+                      
+                      <RetryOptionsFields retry={retry} onChange={setRetry} idPrefix="url" />
                     </Accordion.Body>
                   </Accordion.Item>
                 </Accordion>
                 
+                <ScheduleFields schedule={schedule} onChange={setSchedule} idPrefix="url" />
+                
+                {preview && <ImportPreview preview={preview} onClose={() => setPreview(null)} />}
+                
+                <Button
+                  variant="outline-primary"
+                  className="me-2"
+                  onClick={() => handlePreview('url')}
+                  disabled={previewLoading}
+                >
+                  <FaSearch className="me-1" /> {previewLoading ? 'Previewing...' : 'Preview'}
+                </Button>
                 <Button type="submit" variant="primary">
-                  Start Import <FaArrowRight className="ms-1" />
+                  {schedule.enabled ? 'Create Schedule' : 'Start Import'} <FaArrowRight className="ms-1" />
                 </Button>
               </Form>
             </Tab>
@@ -426,6 +780,21 @@ const NewImport = () => {
                         />
                       </Form.Group>
                       
+                      <Form.Group className="mb-3">
+                        <Form.Label>Priority</Form.Label>
+                        <Form.Select
+                          value={priority}
+                          onChange={(e) => setPriority(parseInt(e.target.value))}
+                        >
+                          {PRIORITY_LEVELS.map(level => (
+                            <option key={level.value} value={level.value}>{level.label}</option>
+                          ))}
+                        </Form.Select>
+                        <Form.Text className="text-muted">
+                          Higher priority imports start before queued ones
+                        </Form.Text>
+                      </Form.Group>
+                      
                       <Form.Group className="mb-3">
                         <Form.Check
                           type="switch"
@@ -446,6 +815,26 @@ const NewImport = () => {
                         />
                       </Form.Group>
                       
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="refresh-cache-category"
+                          label="Fetch artwork details again instead of using cached ones"
+                          checked={refreshCache}
+                          onChange={(e) => setRefreshCache(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="additional-images-category"
+                          label="Include additional views of each artwork as extra product images"
+                          checked={includeAdditionalImages}
+                          onChange={(e) => setIncludeAdditionalImages(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
                       <Form.Group className="mb-3">
                         <Form.Label>Default Price ($)</Form.Label>
                         <Form.Control
@@ -456,10 +845,268 @@ const NewImport = () => {
                           onChange={(e) => setDefaultPrice(parseFloat(e.target.value))}
                         />
                       </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Label>Parallel Items</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          max="10"
+                          value={concurrency}
+                          onChange={(e) => setConcurrency(parseInt(e.target.value))}
+                        />
+                        <Form.Text className="text-muted">
+                          How many artworks of this job are processed at the same time
+                        </Form.Text>
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Label>Search Backend</Form.Label>
+                        <Form.Select
+                          value={searchBackend}
+                          onChange={(e) => setSearchBackend(e.target.value)}
+                        >
+                          {SEARCH_BACKENDS.map(backend => (
+                            <option key={backend.value} value={backend.value}>{backend.label}</option>
+                          ))}
+                        </Form.Select>
+                        <Form.Text className="text-muted">
+                          The other backend is used automatically when this one fails
+                        </Form.Text>
+                      </Form.Group>
+                      
+                      <LlmProviderFields
+                        providers={llmProviders}
+                        provider={llm.llmProvider}
+                        model={llm.llmModel}
+                        onChange={(values) => setLlm({ ...llm, ...values })}
+                        idPrefix="category"
+                      />
+                      
+                      <PromptTemplateSelect
+                        templates={promptTemplates}
+                        template={llm.promptTemplate}
+                        version={llm.promptTemplateVersion}
+                        onChange={(values) => setLlm({ ...llm, ...values })}
+                        idPrefix="category"
+                      />
+                      
+                      <RetryOptionsFields retry={retry} onChange={setRetry} idPrefix="category" />
                     </Accordion.Body>
                   </Accordion.Item>
                 </Accordion>
                 
+                <ScheduleFields schedule={schedule} onChange={setSchedule} idPrefix="category" />
+                
+                {preview && <ImportPreview preview={preview} onClose={() => setPreview(null)} />}
+                
+                <Button
+                  variant="outline-primary"
+                  className="me-2"
+                  onClick={() => handlePreview('category')}
+                  disabled={previewLoading}
+                >
+                  <FaSearch className="me-1" /> {previewLoading ? 'Previewing...' : 'Preview'}
+                </Button>
+                <Button type="submit" variant="primary">
+                  {schedule.enabled ? 'Create Schedule' : 'Start Import'} <FaArrowRight className="ms-1" />
+                </Button>
+              </Form>
+            </Tab>            
+            <Tab eventKey="list" title="Object List">
+              <Form onSubmit={handleListSubmit}>
+                <Form.Group className="mb-3">
+                  <Form.Label>Object IDs or Object URLs</Form.Label>
+                  <Form.Control
+                    as="textarea"
+                    rows={8}
+                    placeholder={'436535\nhttps://www.metmuseum.org/art/collection/search/437133'}
+                    value={listText}
+                    onChange={(e) => {
+                      setListText(e.target.value);
+                      setListCheck(null);
+                    }}
+                  />
+                  <Form.Text className="text-muted">
+                    One per line or separated by commas. CSV files are read from their "Object ID" column.
+                  </Form.Text>
+                </Form.Group>
+                
+                <Form.Group className="mb-3">
+                  <Form.Label>Or Upload a CSV/TXT File</Form.Label>
+                  <Form.Control
+                    type="file"
+                    accept=".csv,.txt,text/csv,text/plain"
+                    onChange={handleListFile}
+                  />
+                </Form.Group>
+                
+                {listCheck && (
+                  <Alert variant={listCheck.invalid.length > 0 ? 'warning' : 'success'} onClose={() => setListCheck(null)} dismissible>
+                    {listCheck.objectIds.length} objects to import
+                    {listCheck.duplicates > 0 && `, ${listCheck.duplicates} duplicates left out`}
+                    {listCheck.invalid.length > 0 && (
+                      <>
+                        , {listCheck.invalid.length} entries not understood:
+                        <ul className="mb-0 small">
+                          {listCheck.invalid.slice(0, 10).map(entry => (
+                            <li key={`${entry.line}-${entry.value}`}>
+                              Line {entry.line}: <code>{entry.value}</code> ({entry.reason})
+                            </li>
+                          ))}
+                          {listCheck.invalid.length > 10 && <li>and {listCheck.invalid.length - 10} more</li>}
+                        </ul>
+                      </>
+                    )}
+                  </Alert>
+                )}
+                
+                <Form.Group className="mb-3">
+                  <Form.Label>Job Name (Optional)</Form.Label>
+                  <Form.Control
+                    type="text"
+                    placeholder="E.g., Curated Still Lifes"
+                    value={listName}
+                    onChange={(e) => setListName(e.target.value)}
+                  />
+                </Form.Group>
+                
+                <Accordion className="mb-3">
+                  <Accordion.Item eventKey="0">
+                    <Accordion.Header>Advanced Options</Accordion.Header>
+                    <Accordion.Body>
+                      <Form.Group className="mb-3">
+                        <Form.Label>Maximum Items</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          value={maxItems}
+                          onChange={(e) => setMaxItems(parseInt(e.target.value))}
+                        />
+                        <Form.Text className="text-muted">
+                          Only the first objects of the list are imported
+                        </Form.Text>
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Label>Priority</Form.Label>
+                        <Form.Select
+                          value={priority}
+                          onChange={(e) => setPriority(parseInt(e.target.value))}
+                        >
+                          {PRIORITY_LEVELS.map(level => (
+                            <option key={level.value} value={level.value}>{level.label}</option>
+                          ))}
+                        </Form.Select>
+                        <Form.Text className="text-muted">
+                          Higher priority imports start before queued ones
+                        </Form.Text>
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="skip-upload-list"
+                          label="Generate CSV only (don't upload to Shopify)"
+                          checked={skipShopifyUpload}
+                          onChange={(e) => setSkipShopifyUpload(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="skip-existing-list"
+                          label="Skip artworks already imported"
+                          checked={skipExisting}
+                          onChange={(e) => setSkipExisting(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="refresh-cache-list"
+                          label="Fetch artwork details again instead of using cached ones"
+                          checked={refreshCache}
+                          onChange={(e) => setRefreshCache(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Check
+                          type="switch"
+                          id="additional-images-list"
+                          label="Include additional views of each artwork as extra product images"
+                          checked={includeAdditionalImages}
+                          onChange={(e) => setIncludeAdditionalImages(e.target.checked)}
+                        />
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Label>Default Price ($)</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="0"
+                          step="0.01"
+                          value={defaultPrice}
+                          onChange={(e) => setDefaultPrice(parseFloat(e.target.value))}
+                        />
+                      </Form.Group>
+                      
+                      <Form.Group className="mb-3">
+                        <Form.Label>Parallel Items</Form.Label>
+                        <Form.Control
+                          type="number"
+                          min="1"
+                          max="10"
+                          value={concurrency}
+                          onChange={(e) => setConcurrency(parseInt(e.target.value))}
+                        />
+                        <Form.Text className="text-muted">
+                          How many artworks of this job are processed at the same time
+                        </Form.Text>
+                      </Form.Group>
+                      
+                      <LlmProviderFields
+                        providers={llmProviders}
+                        provider={llm.llmProvider}
+                        model={llm.llmModel}
+                        onChange={(values) => setLlm({ ...llm, ...values })}
+                        idPrefix="list"
+                      />
+                      
+                      <PromptTemplateSelect
+                        templates={promptTemplates}
+                        template={llm.promptTemplate}
+                        version={llm.promptTemplateVersion}
+                        onChange={(values) => setLlm({ ...llm, ...values })}
+                        idPrefix="list"
+                      />
+                      
+                      <RetryOptionsFields retry={retry} onChange={setRetry} idPrefix="list" />
+                    </Accordion.Body>
+                  </Accordion.Item>
+                </Accordion>
+                
+                {preview && <ImportPreview preview={preview} onClose={() => setPreview(null)} />}
+                
+                <Button
+                  variant="outline-secondary"
+                  className="me-2"
+                  onClick={handleCheckList}
+                  disabled={!listText.trim()}
+                >
+                  <FaCheck className="me-1" /> Check List
+                </Button>
+                <Button
+                  variant="outline-primary"
+                  className="me-2"
+                  onClick={() => handlePreview('list')}
+                  disabled={previewLoading}
+                >
+                  <FaSearch className="me-1" /> {previewLoading ? 'Previewing...' : 'Preview'}
+                </Button>
                 <Button type="submit" variant="primary">
                   Start Import <FaArrowRight className="ms-1" />
                 </Button>
@@ -0,0 +1,266 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import {
+  Card,
+  Badge,
+  Button,
+  Alert,
+  Table,
+  Form,
+  Modal
+} from 'react-bootstrap';
+import { FaPlay, FaHistory, FaTrash, FaPlus } from 'react-icons/fa';
+import axios from 'axios';
+import moment from 'moment';
+import LoadingSpinner from '../components/LoadingSpinner';
+
+// Human readable description of when a schedule runs
+const describeTiming = (schedule) => {
+  if (schedule.cron) {
+    return <code>{schedule.cron}</code>;
+  }
+
+  const duration = moment.duration(schedule.intervalMinutes, 'minutes');
+  return `Every ${duration.humanize().replace(/^an? /, '')}`;
+};
+
+const Schedules = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [historySchedule, setHistorySchedule] = useState(null);
+
+  useEffect(() => {
+    fetchSchedules();
+
+    // Pick up runs the job processor created in the meantime
+    const interval = setInterval(() => fetchSchedules(false), 30000);
+    return () => clearInterval(interval);
+  }, []);
+
+  const fetchSchedules = async (showLoading = true) => {
+    try {
+      if (showLoading) setLoading(true);
+      const response = await axios.get('/api/schedules');
+      setSchedules(response.data);
+      setError('');
+    } catch (err) {
+      setError('Failed to fetch schedules. Please try again.');
+      console.error('Error fetching schedules:', err);
+    } finally {
+      if (showLoading) setLoading(false);
+    }
+  };
+
+  // Handle enable/disable toggle
+  const handleToggle = async (schedule) => {
+    try {
+      await axios.post(`/api/schedules/${schedule._id}/${schedule.enabled ? 'disable' : 'enable'}`);
+      fetchSchedules(false);
+    } catch (err) {
+      setError('Failed to update schedule. Please try again.');
+      console.error('Error updating schedule:', err);
+    }
+  };
+
+  // Handle run now
+  const handleRunNow = async (schedule) => {
+    try {
+      await axios.post(`/api/schedules/${schedule._id}/run`);
+      fetchSchedules(false);
+    } catch (err) {
+      setError(err.response?.data?.message || 'Failed to run schedule. Please try again.');
+      console.error('Error running schedule:', err);
+    }
+  };
+
+  // Handle delete
+  const handleDelete = async (schedule) => {
+    if (window.confirm(`Delete the schedule "${schedule.name}"? Jobs it created are kept.`)) {
+      try {
+        await axios.delete(`/api/schedules/${schedule._id}`);
+        fetchSchedules(false);
+      } catch (err) {
+        setError('Failed to delete schedule. Please try again.');
+        console.error('Error deleting schedule:', err);
+      }
+    }
+  };
+
+  // Load the run history of a schedule
+  const handleShowHistory = async (schedule) => {
+    try {
+      const response = await axios.get(`/api/schedules/${schedule._id}`);
+      setHistorySchedule(response.data);
+    } catch (err) {
+      setError('Failed to fetch run history. Please try again.');
+      console.error('Error fetching run history:', err);
+    }
+  };
+
+  const renderHistory = () => {
+    if (!historySchedule) return null;
+
+    return (
+      <Modal show onHide={() => setHistorySchedule(null)} size="lg">
+        <Modal.Header closeButton>
+          <Modal.Title>Run History: {historySchedule.name}</Modal.Title>
+        </Modal.Header>
+        <Modal.Body>
+          {historySchedule.runs.length === 0 ? (
+            <Alert variant="info">This schedule has not run yet.</Alert>
+          ) : (
+            <Table responsive hover>
+              <thead>
+                <tr>
+                  <th>Run</th>
+                  <th>Job</th>
+                  <th>Status</th>
+                  <th>New Items</th>
+                  <th>Already Imported</th>
+                </tr>
+              </thead>
+              <tbody>
+                {historySchedule.runs.map((run, index) => (
+                  <tr key={index}>
+                    <td>{moment(run.createdAt).format('MMM D, YYYY [at] h:mm A')}</td>
+                    {run.job ? (
+                      <>
+                        <td><Link to={`/jobs/${run.job._id}`}>{run.job.name}</Link></td>
+                        <td><Badge bg="secondary">{run.job.status}</Badge></td>
+                        <td>{run.job.totalObjects}</td>
+                        <td>{run.job.previouslyImportedCount}</td>
+                      </>
+                    ) : (
+                      <td colSpan={4} className="text-muted">
+                        {run.error || 'Job was deleted'}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Modal.Body>
+      </Modal>
+    );
+  };
+
+  if (loading) {
+    return <LoadingSpinner text="Loading schedules..." />;
+  }
+
+  return (
+    <div>
+      <div className="d-flex justify-content-between align-items-center mb-4">
+        <h1>Schedules</h1>
+        <Link to="/import/new">
+          <Button variant="primary">
+            <FaPlus className="me-1" /> New Schedule
+          </Button>
+        </Link>
+      </div>
+
+      {error && <Alert variant="danger">{error}</Alert>}
+
+      <Card>
+        <Card.Body>
+          {schedules.length === 0 ? (
+            <Alert variant="info">
+              No schedules yet. Turn on "Repeat this import on a schedule" when creating an import.
+            </Alert>
+          ) : (
+            <Table responsive hover>
+              <thead>
+                <tr>
+                  <th>Enabled</th>
+                  <th>Name</th>
+                  <th>Source</th>
+                  <th>Repeats</th>
+                  <th>Next Run</th>
+                  <th>Last Job</th>
+                  <th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedules.map(schedule => (
+                  <tr key={schedule._id}>
+                    <td>
+                      <Form.Check
+                        type="switch"
+                        id={`schedule-enabled-${schedule._id}`}
+                        checked={schedule.enabled}
+                        onChange={() => handleToggle(schedule)}
+                      />
+                    </td>
+                    <td>
+                      {schedule.name}
+                      {schedule.onlyNewItems && (
+                        <div><Badge bg="info">New items only</Badge></div>
+                      )}
+                    </td>
+                    <td>
+                      {schedule.source === 'url' ? (
+                        <div style={{ maxWidth: '250px', overflow: 'hidden', textOverflow: 'ellipsis' }}>
+                          {schedule.query.url}
+                        </div>
+                      ) : 'Categories'}
+                    </td>
+                    <td>{describeTiming(schedule)}</td>
+                    <td>
+                      {schedule.enabled && schedule.nextRunAt
+                        ? moment(schedule.nextRunAt).fromNow()
+                        : <span className="text-muted">Disabled</span>}
+                    </td>
+                    <td>
+                      {schedule.lastJob ? (
+                        <Link to={`/jobs/${schedule.lastJob._id}`}>
+                          {moment(schedule.lastJob.createdAt).format('MMM D, h:mm A')}
+                        </Link>
+                      ) : (
+                        <span className="text-muted">Never</span>
+                      )}
+                    </td>
+                    <td>
+                      <div className="d-flex gap-1">
+                        <Button
+                          variant="outline-primary"
+                          size="sm"
+                          title="Run now"
+                          disabled={!schedule.enabled}
+                          onClick={() => handleRunNow(schedule)}
+                        >
+                          <FaPlay />
+                        </Button>
+                        <Button
+                          variant="outline-secondary"
+                          size="sm"
+                          title="Run history"
+                          onClick={() => handleShowHistory(schedule)}
+                        >
+                          <FaHistory />
+                        </Button>
+                        <Button
+                          variant="outline-danger"
+                          size="sm"
+                          title="Delete"
+                          onClick={() => handleDelete(schedule)}
+                        >
+                          <FaTrash />
+                        </Button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </Table>
+          )}
+        </Card.Body>
+      </Card>
+
+      {renderHistory()}
+    </div>
+  );
+};
+
+export default Schedules;
@@ -8,6 +8,9 @@ import {
   Col
 } from 'react-bootstrap';
 import { FaSave } from 'react-icons/fa';
+import ObjectCacheStats from '../components/ObjectCacheStats';
+import LlmProviderStatus from '../components/LlmProviderStatus';
+import PromptTemplateEditor from '../components/PromptTemplateEditor';
 
 const Settings = () => {
   // Shopify API settings
@@ -270,6 +273,24 @@ const Settings = () => {
         </Card>
       </div>
       
+      <div className="settings-section">
+        <h3>Description Providers</h3>
+        <p className="text-muted">
+          Language model providers the server can use to write artwork descriptions.
+        </p>
+        
+        <LlmProviderStatus />
+      </div>
+      
+      <div className="settings-section">
+        <h3>Description Prompts</h3>
+        <p className="text-muted">
+          Tune the prompt that writes artwork descriptions. Every save is kept as a version, jobs can pick a template and version.
+        </p>
+        
+        <PromptTemplateEditor />
+      </div>
+      
       <div className="settings-section">
         <h3>Default Import Settings</h3>
         <p className="text-muted">
@@ -337,6 +358,15 @@ const Settings = () => {
           </Card.Body>
         </Card>
       </div>
+      
+      <div className="settings-section">
+        <h3>Met Object Cache</h3>
+        <p className="text-muted">
+          Artwork details are kept in the database so repeated imports don't use up the Met API rate limit.
+        </p>
+        
+        <ObjectCacheStats />
+      </div>
     </div>
   );
 };
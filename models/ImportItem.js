@@ -0,0 +1,227 @@
+// models/ImportItem.js - One artwork within an import job, with its processing status and result
+const mongoose = require('mongoose');
+const { ERROR_CLASSES } = require('../utils/errorClassifier');
+
+// Pipeline stages every artwork goes through, in order
+const STAGES = ['metadata', 'image', 'descriptions', 'categorized', 'published'];
+
+const StageSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pending', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+  attempts: { type: Number, default: 0 },
+  error: String,
+  completedAt: Date
+}, { _id: false });
+
+const AttemptSchema = new mongoose.Schema({
+  stage: { type: String, enum: STAGES },
+  error: String,
+  errorClass: { type: String, enum: ERROR_CLASSES },
+  at: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Normalized Met metadata (see utils/artworkRecord.js), kept so products can be filtered
+// and attributed without fetching the object again
+const ArtworkRecordSchema = new mongoose.Schema({
+  accessionNumber: String,
+  objectName: String,
+  classification: String,
+  medium: String,
+  culture: String,
+  period: String,
+  dynasty: String,
+  reign: String,
+  dimensions: String, // As written by the Met, e.g. "29 x 36 1/4 in. (73.7 x 92.1 cm)"
+  dimensionsCm: {
+    height: Number,
+    width: Number,
+    depth: Number,
+    diameter: Number
+  },
+  creditLine: String,
+  objectDate: String,
+  objectBeginDate: Number,
+  objectEndDate: Number,
+  artist: {
+    displayName: String,
+    displayBio: String,
+    role: String,
+    nationality: String,
+    beginDate: String,
+    endDate: String,
+    ulanUrl: String,
+    wikidataUrl: String
+  },
+  constituents: [{
+    _id: false,
+    constituentId: Number,
+    role: String,
+    name: String,
+    ulanUrl: String,
+    wikidataUrl: String,
+    gender: String
+  }],
+  geography: {
+    type: { type: String },
+    city: String,
+    state: String,
+    county: String,
+    country: String,
+    region: String,
+    subregion: String,
+    locale: String,
+    excavation: String,
+    river: String
+  },
+  tags: [{
+    _id: false,
+    term: String,
+    aatUrl: String,
+    wikidataUrl: String
+  }],
+  isHighlight: Boolean,
+  isPublicDomain: Boolean,
+  galleryNumber: String,
+  objectUrl: String,
+  objectWikidataUrl: String,
+  metadataDate: Date
+}, { _id: false });
+
+const ImportItemSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  objectId: {
+    type: Number,
+    required: true
+  },
+  position: { type: Number, default: 0 }, // Order in which the job found the object
+  sourceUrls: [String], // Search URLs of a multi-URL job that found the object
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed', 'skipped'],
+    default: 'pending'
+  },
+
+  // Stage-level state so a retry resumes where the item stopped
+  stages: STAGES.reduce((stages, stage) => {
+    stages[stage] = { type: StageSchema, default: () => ({}) };
+    return stages;
+  }, {}),
+
+  // Retry bookkeeping. attemptCount restarts when an item is requeued, attemptHistory keeps every failure.
+  attemptCount: { type: Number, default: 0 },
+  attemptHistory: [AttemptSchema],
+  nextAttemptAt: Date,
+  deadLetteredAt: Date, // Set once the item failed for good
+
+  // Stage outputs reused by later stages and retries
+  metadata: mongoose.Schema.Types.Mixed, // Object record from the Met API
+  record: ArtworkRecordSchema,
+  imagePath: String,
+  additionalImages: [{ // Other views of the artwork, with includeAdditionalImages
+    _id: false,
+    url: String,
+    path: String // Set once downloaded
+  }],
+
+  // Result fields
+  title: String,
+  artist: String,
+  date: String,
+  year: Number,
+  imageUrl: String,
+  imageSmallUrl: String, // Web-size version of the primary image
+  rightsAndReproduction: String, // Image rights the Met lists for the object
+  shopifyProductId: String,
+  department: String,
+
+  // Description fields
+  description: String, // Legacy field (kept for backward compatibility)
+  rawDescription: String, // Original Met Museum description
+  shortDescription: String, // 5-sentence description
+  expandedDescription: String, // 2-4 paragraph description
+  seoTitle: String,
+  metaDescription: String,
+  altText: String, // Alt text of the primary image
+  suggestedTags: [String], // Tags the model proposed, added to the product tags
+  generatedBy: { // Provider, model and prompt that wrote the descriptions, unset for the fallback text
+    provider: String,
+    model: String,
+    promptTemplate: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate' }, // Unset for the built-in prompt
+    promptName: String,
+    promptVersion: Number
+  },
+
+  collections: [String],
+  tags: [String],
+  processed: { type: Boolean, default: false },
+  error: String,
+
+  // Set when no reply of the model matched the description schema. The item is not
+  // uploaded or exported until a reviewer has written the copy.
+  review: {
+    required: { type: Boolean, default: false },
+    reason: String,
+    errors: [String], // Validation errors of the last reply
+    rawResponse: String, // Last reply of the model
+    flaggedAt: Date,
+    resolvedAt: Date
+  },
+
+  // Earlier import of the same object that made skipExisting skip this item
+  existingImport: {
+    job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+    shopifyProductId: String
+  },
+
+  startedAt: Date,
+  completedAt: Date,
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+ImportItemSchema.index({ job: 1, objectId: 1 }, { unique: true });
+ImportItemSchema.index({ job: 1, status: 1, position: 1 });
+ImportItemSchema.index({ job: 1, 'review.required': 1 });
+
+// Update the updatedAt field on save
+ImportItemSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+ImportItemSchema.statics.STAGES = STAGES;
+
+/**
+ * Put failed items of a job back in the queue. Stages that completed are kept,
+ * so the items resume at the stage that failed.
+ * @param {ObjectId} jobId - Job the items belong to
+ * @param {number[]} [objectIds] - Items to requeue, all failed items when omitted
+ * @returns {Promise<number>} - Number of requeued items
+ */
+ImportItemSchema.statics.requeueFailed = async function(jobId, objectIds) {
+  const query = { job: jobId, status: 'failed' };
+  if (objectIds) {
+    query.objectId = { $in: objectIds };
+  }
+
+  const result = await this.updateMany(query, {
+    $set: { status: 'pending', attemptCount: 0, updatedAt: new Date() },
+    $unset: { error: '', nextAttemptAt: '', deadLetteredAt: '', completedAt: '' }
+  });
+
+  return result.modifiedCount;
+};
+
+// First stage that still has to run, or null when the pipeline is done
+ImportItemSchema.methods.getCurrentStage = function() {
+  return STAGES.find(stage => !['completed', 'skipped'].includes(this.stages[stage].status)) || null;
+};
+
+module.exports = mongoose.model('ImportItem', ImportItemSchema);
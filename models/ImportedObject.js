@@ -0,0 +1,60 @@
+// models/ImportedObject.js - Registry of every Met object any job has imported
+const mongoose = require('mongoose');
+
+const ImportedObjectSchema = new mongoose.Schema({
+  objectId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' }, // Job that imported the object most recently
+  item: { type: mongoose.Schema.Types.ObjectId, ref: 'ImportItem' },
+  title: String,
+  shopifyProductId: String, // Set once the object was uploaded to Shopify
+  importCount: { type: Number, default: 0 },
+  firstImportedAt: { type: Date, default: Date.now },
+  importedAt: { type: Date, default: Date.now }
+});
+
+ImportedObjectSchema.index({ job: 1 });
+
+/**
+ * Whether an earlier import makes the object a duplicate for a job. Jobs that upload to
+ * Shopify only skip objects that already have a product, CSV only jobs skip any earlier import.
+ * @param {Object} entry - ImportedObject document
+ * @param {Object} job - Job about to import the object
+ * @returns {boolean}
+ */
+ImportedObjectSchema.statics.coversJob = function(entry, job) {
+  if (!entry || entry.job && entry.job.toString() === job._id.toString()) {
+    return false;
+  }
+  return Boolean(job.options.skipShopifyUpload || entry.shopifyProductId);
+};
+
+/**
+ * Add or update the registry entry of a completed import item
+ * @param {Object} item - Completed ImportItem document
+ * @returns {Promise<void>}
+ */
+ImportedObjectSchema.statics.recordImport = async function(item) {
+  const update = {
+    job: item.job,
+    item: item._id,
+    title: item.title,
+    importedAt: new Date()
+  };
+
+  // Keep the product of an earlier upload when this import only generated a CSV
+  if (item.shopifyProductId) {
+    update.shopifyProductId = item.shopifyProductId;
+  }
+
+  await this.updateOne(
+    { objectId: item.objectId },
+    { $set: update, $inc: { importCount: 1 }, $setOnInsert: { firstImportedAt: new Date() } },
+    { upsert: true }
+  );
+};
+
+module.exports = mongoose.model('ImportedObject', ImportedObjectSchema);
@@ -1,5 +1,8 @@
 // models/Job.js - Updated Job model with multiple descriptions support
 const mongoose = require('mongoose');
+const { ERROR_CLASSES } = require('../utils/errorClassifier');
+const { checkArtTypeLimit } = require('../utils/artTypeFilter');
+const { PROVIDER_NAMES } = require('../utils/llmProviderNames');
 
 const JobSchema = new mongoose.Schema({
   name: {
@@ -14,12 +17,14 @@ const JobSchema = new mongoose.Schema({
   },
   source: {
     type: String,
-    enum: ['url', 'category'],
+    enum: ['url', 'category', 'list'],
     required: true
   },
   query: {
-    // URL source
+    // URL source, urls lists every URL of a job that merges several searches
     url: String,
+    urls: [String],
+    urlType: String, // Kind of page the URL points to: search, object, department or exhibition
     
     // Met API query parameters
     q: String,
@@ -33,6 +38,13 @@ const JobSchema = new mongoose.Schema({
     exhibitionId: String,
     feature: String,
     searchField: String,
+    sortBy: String,
+    sortOrder: String,
+    
+    // Where the search starts, as given in the URL
+    page: Number,
+    perPage: Number,
+    offset: Number,
     
     // Legacy fields for backward compatibility
     departmentIds: [Number],
@@ -44,56 +56,120 @@ const JobSchema = new mongoose.Schema({
     timePeriods: [String],
     keywords: String,
     dateBegin: Number,
-    dateEnd: Number
+    dateEnd: Number,
+    
+    // Collection API search parameters
+    medium: String,
+    artistOrCulture: Boolean,
+    
+    // List source: the pasted or uploaded object IDs, in list order
+    objectIds: [Number]
   },
   options: {
     maxItems: { type: Number, default: 100 },
     skipShopifyUpload: { type: Boolean, default: false },
     skipExisting: { type: Boolean, default: true },
-    defaultPrice: { type: Number, default: 99.99 }
+    defaultPrice: { type: Number, default: 99.99 },
+    concurrency: { type: Number, min: 1 }, // Objects processed in parallel (falls back to JOB_PER_JOB_CONCURRENCY)
+    onlyNewItems: { type: Boolean, default: false }, // Leave out objects earlier runs of the schedule imported
+    refreshCache: { type: Boolean, default: false }, // Fetch artwork details from the Met instead of the object cache
+    includeAdditionalImages: { type: Boolean, default: false }, // Also import the other views of an artwork
+    llmProvider: { type: String, enum: PROVIDER_NAMES }, // Writes the descriptions, defaults to LLM_PROVIDER
+    llmModel: String, // Overrides the provider's default model
+    promptTemplate: { type: mongoose.Schema.Types.ObjectId, ref: 'PromptTemplate' }, // Defaults to the default template
+    promptTemplateVersion: { type: Number, min: 1 }, // The latest version when unset
+    searchBackend: { // Search backend tried first, the others are fallbacks
+      type: String,
+      enum: ['auto', 'collectionlisting', 'collectionapi'],
+      default: 'auto'
+    },
+    
+    // Retry policy for failed items (see services/retryPolicy.js for defaults)
+    retry: {
+      maxAttempts: { type: Number, min: 1 },
+      backoffSeconds: { type: Number, min: 0 },
+      backoffMultiplier: { type: Number, min: 1 },
+      maxBackoffSeconds: { type: Number, min: 0 },
+      retryOn: {
+        type: [String],
+        enum: ERROR_CLASSES,
+        default: undefined
+      }
+    }
   },
+  
+  // Higher priorities are claimed first, jobs with the same priority run in creation order
+  priority: { type: Number, default: 0 },
+  
+  // Set on jobs created by a recurring schedule
+  schedule: { type: mongoose.Schema.Types.ObjectId, ref: 'Schedule' },
+  previouslyImportedCount: { type: Number, default: 0 }, // Objects left out because of onlyNewItems
+  existingSkippedCount: { type: Number, default: 0 }, // Objects skipExisting left out or skipped because other jobs imported them
+  
   progress: {
     type: Number,
     default: 0,
     min: 0,
     max: 100
   },
-  objectIds: [Number],
-  processedIds: [Number],
-  failedIds: [Number],
+  // Per-artwork state and results live in the ImportItem collection
   totalObjects: { type: Number, default: 0 },
-  results: [{
-    objectId: Number,
-    title: String,
-    artist: String,
-    date: String,
-    imageUrl: String,
-    shopifyProductId: String,
-    department: String,
-    
-    // Description fields
-    description: String, // Legacy field (kept for backward compatibility)
-    rawDescription: String, // Original Met Museum description
-    shortDescription: String, // 5-sentence description
-    expandedDescription: String, // 2-4 paragraph description
-    
-    collections: [String],
-    tags: [String],
-    processed: { type: Boolean, default: false },
+  totalHits: Number, // Matches reported by the search, can be more than the objects imported
+  searchBackend: String, // Backend that found the objects
+  
+  // What each search URL of a multi-URL job contributed
+  urlResults: [{
+    _id: false,
+    url: String,
+    found: Number, // Objects the URL's search returned
+    added: Number, // Of those, objects no earlier URL had found
+    total: Number, // Matches the search reported
+    backend: String,
     error: String
   }],
+  processedCount: { type: Number, default: 0 },
+  failedCount: { type: Number, default: 0 },
+  skippedCount: { type: Number, default: 0 },
   pauseReason: {
     type: String,
-    enum: ['user', 'rate_limit', 'error', null],
+    enum: ['user', 'rate_limit', 'retry', 'error', null],
     default: null
   },
   resumeAfter: Date,
+  
+  // Lease held by the processor currently working on the job, renewed by heartbeats
+  lease: {
+    owner: String,
+    expiresAt: Date
+  },
+  heartbeatAt: Date,
+  recoveryCount: { type: Number, default: 0 },
+  recoveredAt: Date,
+  
   error: String,
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
   completedAt: Date
 });
 
+// Used by processors claiming the next job
+JobSchema.index({ status: 1, 'lease.expiresAt': 1, priority: -1, createdAt: 1 });
+JobSchema.index({ schedule: 1, createdAt: -1 });
+
+// Order in which waiting jobs are claimed
+JobSchema.statics.QUEUE_SORT = { priority: -1, createdAt: 1 };
+
+// Only checked when the import changes, so older jobs keep saving their progress
+JobSchema.pre('validate', function(next) {
+  if (this.isNew || this.isModified('query') || this.isModified('options.maxItems')) {
+    const limitError = checkArtTypeLimit(this.source, this.query, this.options);
+    if (limitError) {
+      return next(new Error(limitError));
+    }
+  }
+  next();
+});
+
 // Update the updatedAt field on save
 JobSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -103,7 +179,8 @@ JobSchema.pre('save', function(next) {
 // Method to calculate job progress
 JobSchema.methods.calculateProgress = function() {
   if (this.totalObjects === 0) return 0;
-  return Math.round((this.processedIds.length / this.totalObjects) * 100);
+  const done = this.processedCount + this.failedCount + this.skippedCount;
+  return Math.min(100, Math.round((done / this.totalObjects) * 100));
 };
 
 // Method to update job status
@@ -0,0 +1,62 @@
+// models/JobEvent.js - Entry in a job's event log (audit trail)
+const mongoose = require('mongoose');
+
+// Event types and the level they are shown with
+const EVENT_LEVELS = {
+  created: 'info',
+  initialized: 'info',
+  search_fallback: 'warning',
+  search_url_failed: 'warning',
+  started: 'info',
+  paused: 'warning',
+  resumed: 'info',
+  cancelled: 'warning',
+  recovered: 'warning',
+  requeued: 'info',
+  completed: 'success',
+  failed: 'error',
+  item_started: 'info',
+  item_succeeded: 'success',
+  item_skipped: 'info',
+  item_failed: 'error',
+  item_retry_scheduled: 'warning',
+  item_review_required: 'warning',
+  item_review_resolved: 'info',
+  shopify_product_created: 'success'
+};
+
+const JobEventSchema = new mongoose.Schema({
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: Object.keys(EVENT_LEVELS),
+    required: true
+  },
+  level: {
+    type: String,
+    enum: ['info', 'success', 'warning', 'error']
+  },
+  message: String,
+  objectId: Number, // Set for item events
+  actor: String, // 'user', 'schedule' or the id of the processor instance
+  data: mongoose.Schema.Types.Mixed, // Type specific details, e.g. error class and stage
+  createdAt: { type: Date, default: Date.now }
+});
+
+JobEventSchema.index({ job: 1, createdAt: -1 });
+JobEventSchema.index({ job: 1, objectId: 1, createdAt: -1 });
+
+JobEventSchema.pre('validate', function(next) {
+  if (!this.level) {
+    this.level = EVENT_LEVELS[this.type];
+  }
+  next();
+});
+
+JobEventSchema.statics.TYPES = Object.keys(EVENT_LEVELS);
+
+module.exports = mongoose.model('JobEvent', JobEventSchema);
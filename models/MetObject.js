@@ -0,0 +1,21 @@
+// models/MetObject.js - Cached object record from the Met Collection API
+const mongoose = require('mongoose');
+
+const MetObjectSchema = new mongoose.Schema({
+  objectId: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  data: mongoose.Schema.Types.Mixed, // Response of objects/:id
+  metadataDate: Date, // When the Met last changed the record
+  fetchedAt: { type: Date, default: Date.now },
+  expiresAt: Date, // After this the record is fetched again, the cached copy stays as a fallback
+  lastChangedAt: Date, // Set when a refetch returned a newer metadataDate
+  hitCount: { type: Number, default: 0 },
+  lastHitAt: Date
+});
+
+MetObjectSchema.index({ expiresAt: 1 });
+
+module.exports = mongoose.model('MetObject', MetObjectSchema);
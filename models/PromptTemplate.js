@@ -0,0 +1,69 @@
+// models/PromptTemplate.js - Editable description prompt with its version history
+const mongoose = require('mongoose');
+
+// Versions are never edited, saving a template adds a version
+const VersionSchema = new mongoose.Schema({
+  version: { type: Number, required: true },
+  system: { type: String, default: '' }, // System message
+  prompt: { type: String, required: true }, // User message, the response format is appended when sending
+  note: String, // What changed, shown in the version history
+  createdAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const PromptTemplateSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: String,
+  isDefault: { type: Boolean, default: false }, // Used by jobs that don't choose a template
+  archived: { type: Boolean, default: false }, // Hidden from the lists, jobs that use it keep working
+  versions: { type: [VersionSchema], default: [] }
+}, { timestamps: true });
+
+PromptTemplateSchema.virtual('latestVersion').get(function() {
+  return this.versions.length > 0 ? this.versions[this.versions.length - 1].version : 0;
+});
+
+PromptTemplateSchema.set('toJSON', { virtuals: true });
+
+/**
+ * Get a version of the template
+ * @param {number} [version] - Version number, the latest when left out
+ * @returns {Object|null} - The version, or null if the template has no such version
+ */
+PromptTemplateSchema.methods.getVersion = function(version) {
+  if (!version) {
+    return this.versions[this.versions.length - 1] || null;
+  }
+  return this.versions.find(entry => entry.version === version) || null;
+};
+
+/**
+ * Add a version with new text
+ * @param {Object} content - system, prompt and an optional note
+ * @returns {Object} - The added version
+ */
+PromptTemplateSchema.methods.addVersion = function({ system, prompt, note }) {
+  this.versions.push({
+    version: this.latestVersion + 1,
+    system: system || '',
+    prompt,
+    note
+  });
+  return this.versions[this.versions.length - 1];
+};
+
+/**
+ * Make a template the default, the previous default stops being one
+ * @param {ObjectId} id - Template to make the default
+ * @returns {Promise}
+ */
+PromptTemplateSchema.statics.setDefault = async function(id) {
+  await this.updateMany({ _id: { $ne: id }, isDefault: true }, { isDefault: false });
+  await this.updateOne({ _id: id }, { isDefault: true });
+};
+
+module.exports = mongoose.model('PromptTemplate', PromptTemplateSchema);
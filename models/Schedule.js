@@ -0,0 +1,106 @@
+// models/Schedule.js - Recurring import that creates a new job on a cron expression or interval
+const mongoose = require('mongoose');
+const cronParser = require('cron-parser');
+const { checkArtTypeLimit } = require('../utils/artTypeFilter');
+
+// Number of runs kept in the schedule's history
+const MAX_RUN_HISTORY = 50;
+
+const RunSchema = new mongoose.Schema({
+  job: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  scheduledFor: Date, // When the run was due, it may have been created a little later
+  createdAt: { type: Date, default: Date.now },
+  error: String // Why no job was created, e.g. the previous run was still active
+}, { _id: false });
+
+const ScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  enabled: { type: Boolean, default: true },
+
+  // What every run imports, copied onto the jobs it creates (validated by the Job schema)
+  source: {
+    type: String,
+    enum: ['url', 'category'],
+    required: true
+  },
+  query: { type: mongoose.Schema.Types.Mixed, required: true },
+  options: { type: mongoose.Schema.Types.Mixed, default: () => ({}) },
+  priority: { type: Number, default: 0 },
+
+  // Only import objects that no earlier run of this schedule imported
+  onlyNewItems: { type: Boolean, default: true },
+
+  // When to run: either a cron expression or a fixed interval
+  cron: String,
+  timezone: String, // IANA name used for cron expressions, server time when empty
+  intervalMinutes: { type: Number, min: 1 },
+
+  nextRunAt: Date,
+  lastRunAt: Date,
+  lastJob: { type: mongoose.Schema.Types.ObjectId, ref: 'Job' },
+  runCount: { type: Number, default: 0 },
+  runs: [RunSchema], // Latest runs first, capped at MAX_RUN_HISTORY
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+// Used by processors looking for due schedules
+ScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+ScheduleSchema.pre('validate', function(next) {
+  if (Boolean(this.cron) === Boolean(this.intervalMinutes)) {
+    return next(new Error('Set either a cron expression or an interval'));
+  }
+
+  const limitError = (this.isNew || this.isModified('query') || this.isModified('options')) &&
+    checkArtTypeLimit(this.source, this.query, this.options || {});
+  if (limitError) {
+    return next(new Error(limitError));
+  }
+
+  if (this.cron) {
+    try {
+      cronParser.parseExpression(this.cron, { tz: this.timezone || undefined });
+    } catch (error) {
+      return next(new Error(`Invalid cron expression: ${this.cron}`));
+    }
+  }
+
+  next();
+});
+
+// Update the updatedAt field on save and plan the first run of new or changed schedules
+ScheduleSchema.pre('save', function(next) {
+  this.updatedAt = Date.now();
+
+  if (this.isNew || this.isModified('cron') || this.isModified('timezone') || this.isModified('intervalMinutes')) {
+    this.nextRunAt = this.getNextRunAt(new Date());
+  }
+
+  next();
+});
+
+/**
+ * Time of the first run after a given moment
+ * @param {Date} after - Moment to start from, usually now or the run that just happened
+ * @returns {Date}
+ */
+ScheduleSchema.methods.getNextRunAt = function(after) {
+  if (this.cron) {
+    return cronParser.parseExpression(this.cron, {
+      currentDate: after,
+      tz: this.timezone || undefined
+    }).next().toDate();
+  }
+
+  return new Date(after.getTime() + this.intervalMinutes * 60000);
+};
+
+ScheduleSchema.statics.MAX_RUN_HISTORY = MAX_RUN_HISTORY;
+
+module.exports = mongoose.model('Schedule', ScheduleSchema);
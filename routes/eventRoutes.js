@@ -0,0 +1,42 @@
+// routes/eventRoutes.js - Server-Sent Events stream of job progress
+const express = require('express');
+const router = express.Router();
+const jobEvents = require('../services/jobEvents');
+
+// Comment lines sent while idle so proxies keep the connection open
+const KEEP_ALIVE_INTERVAL = 25000;
+
+// Stream job, item and rate limit events. Pass jobId to only receive the events of one job.
+router.get('/', (req, res) => {
+  const { jobId } = req.query;
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform', // no-transform keeps compression proxies from buffering
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no' // Disable response buffering in nginx
+  });
+  res.flushHeaders();
+
+  // Let the browser reconnect quickly after a server restart
+  res.write('retry: 3000\n\n');
+
+  const listener = ({ type, data }) => {
+    if (jobId && (data.jobId || data._id) !== jobId) {
+      return;
+    }
+
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), KEEP_ALIVE_INTERVAL);
+
+  jobEvents.on('event', listener);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    jobEvents.off('event', listener);
+  });
+});
+
+module.exports = router;
@@ -1,16 +1,71 @@
 // routes/jobRoutes.js - Updated with bulk image download support
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Job = require('../models/Job');
+const ImportItem = require('../models/ImportItem');
+const JobEvent = require('../models/JobEvent');
 const MetService = require('../services/metService');
 const ImageDownloader = require('../services/imageDownloader');
-const parseMetUrl = require('../utils/metUrlParser');
+const ImportPreview = require('../services/importPreview');
+const jobEvents = require('../services/jobEvents');
+const jobLog = require('../services/jobLog');
+const { buildUrlQuery } = require('../utils/metUrlParser');
+const parseObjectList = require('../utils/metObjectListParser');
+const { normalizeArtwork } = require('../utils/artworkRecord');
+const { validateDescriptions } = require('../utils/descriptionSchema');
+const ImportedObject = require('../models/ImportedObject');
 const { createObjectCsvStringifier } = require('csv-writer');
 const fs = require('fs');
 const path = require('path');
 
 // Initialize services
 const imageDownloader = new ImageDownloader();
+const importPreview = new ImportPreview();
+
+/**
+ * Take finished items of a job back out of its counters and reopen the job if it had finished,
+ * paused jobs pick the items up when resumed
+ * @param {Object} job - Job document
+ * @param {string} counter - processedCount, failedCount or skippedCount
+ * @param {number} count - Number of items put back in the queue
+ * @returns {Promise<Object>} - The updated job
+ */
+async function reopenJob(job, counter, count) {
+  // Workers of a job that is still pausing count outcomes with $inc too, so never write back the loaded counter
+  const counted = await Job.findByIdAndUpdate(job._id, { $inc: { [counter]: -count } }, { new: true });
+  const changes = { updatedAt: new Date() };
+  if (counted[counter] < 0) {
+    counted[counter] = 0;
+    changes[counter] = 0;
+  }
+  changes.progress = counted.calculateProgress();
+
+  const updated = await Job.findOneAndUpdate(
+    { _id: job._id, status: { $in: ['completed', 'failed'] } },
+    { $set: { ...changes, status: 'initialized' }, $unset: { completedAt: '', error: '' } },
+    { new: true }
+  ) || await Job.findByIdAndUpdate(job._id, { $set: changes }, { new: true });
+
+  jobEvents.publishJob(updated);
+  return updated;
+}
+
+// Put failed items of a job back in the queue and reopen the job if it had finished.
+// Returns the number of requeued items and the updated job.
+async function requeueFailedItems(job, objectIds) {
+  const requeued = await ImportItem.requeueFailed(job._id, objectIds);
+  if (requeued === 0) {
+    return { requeued, job };
+  }
+
+  const updated = await reopenJob(job, 'failedCount', requeued);
+  await jobLog.record(job._id, 'requeued', `Requeued ${requeued} failed items`, {
+    actor: 'user',
+    data: { requeued, objectIds }
+  });
+  return { requeued, job: updated };
+}
 
 // Get all jobs
 router.get('/', async (req, res) => {
@@ -22,13 +77,153 @@ router.get('/', async (req, res) => {
       query.status = status;
     }
     
-    const jobs = await Job.find(query).sort({ createdAt: -1 });
+    const jobs = await Job.find(query).sort({ createdAt: -1 }).lean();
+    
+    // Attach the latest finished artworks of running jobs for the dashboard preview
+    await Promise.all(jobs
+      .filter(job => ['initialized', 'processing', 'paused'].includes(job.status))
+      .map(async job => {
+        job.recentResults = await ImportItem.find({ job: job._id, status: 'completed' })
+          .select('objectId title artist imageUrl')
+          .sort({ completedAt: -1 })
+          .limit(4)
+          .lean();
+      }));
+    
+    res.json(jobs);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the processors currently holding job leases and the jobs they own
+router.get('/workers', async (req, res) => {
+  try {
+    const jobs = await Job.find({ 'lease.expiresAt': { $gte: new Date() } })
+      .select('name status progress lease heartbeatAt')
+      .sort({ 'lease.owner': 1, createdAt: 1 });
+    
+    const workers = {};
+    jobs.forEach(job => {
+      const owner = job.lease.owner;
+      if (!workers[owner]) {
+        workers[owner] = { owner, lastHeartbeatAt: null, jobs: [] };
+      }
+      
+      workers[owner].jobs.push({
+        _id: job._id,
+        name: job.name,
+        status: job.status,
+        progress: job.progress,
+        leaseExpiresAt: job.lease.expiresAt
+      });
+      
+      if (!workers[owner].lastHeartbeatAt || job.heartbeatAt > workers[owner].lastHeartbeatAt) {
+        workers[owner].lastHeartbeatAt = job.heartbeatAt;
+      }
+    });
+    
+    res.json(Object.values(workers));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the jobs waiting for a processor, in the order they will be claimed
+router.get('/queue', async (req, res) => {
+  try {
+    const now = new Date();
+    const jobs = await Job.find({
+      status: { $in: ['pending', 'initialized', 'paused'] },
+      pauseReason: { $ne: 'user' },
+      $or: [
+        { 'lease.owner': { $exists: false } },
+        { 'lease.owner': null },
+        { 'lease.expiresAt': { $lt: now } }
+      ]
+    })
+      .select('name status priority pauseReason resumeAfter totalObjects processedCount options.maxItems createdAt')
+      .sort(Job.QUEUE_SORT);
+    
     res.json(jobs);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
 });
 
+// Reorder the queue: jobIds lists waiting jobs from first to last, their priorities are
+// rewritten so they are claimed in that order. Jobs not listed keep their priority.
+router.put('/queue', async (req, res) => {
+  try {
+    const { jobIds } = req.body;
+    
+    if (!Array.isArray(jobIds) || jobIds.length === 0) {
+      return res.status(400).json({ message: 'jobIds must be a non-empty array' });
+    }
+    
+    const invalidIds = jobIds.filter(jobId => typeof jobId !== 'string' || !mongoose.isObjectIdOrHexString(jobId));
+    if (invalidIds.length > 0) {
+      return res.status(400).json({ message: `Invalid job IDs: ${invalidIds.join(', ')}` });
+    }
+    
+    if (new Set(jobIds.map(jobId => jobId.toLowerCase())).size !== jobIds.length) {
+      return res.status(400).json({ message: 'jobIds must not list a job more than once' });
+    }
+    
+    const jobs = await Job.find({ _id: { $in: jobIds } }).select('priority');
+    if (jobs.length !== jobIds.length) {
+      return res.status(404).json({ message: 'Some jobs were not found' });
+    }
+    
+    // Hand out the priorities the jobs already have in the new order, so the moved jobs keep
+    // their place among other jobs and dragging them again does not raise them further.
+    // Equal priorities are spread downwards since the queue order needs distinct values.
+    const priorities = jobs.map(job => job.priority).sort((a, b) => b - a);
+    for (let index = 1; index < priorities.length; index++) {
+      priorities[index] = Math.min(priorities[index], priorities[index - 1] - 1);
+    }
+    
+    await Job.bulkWrite(jobIds.map((jobId, index) => ({
+      updateOne: {
+        filter: { _id: jobId },
+        update: { $set: { priority: priorities[index], updatedAt: new Date() } }
+      }
+    })));
+    
+    jobIds.forEach((jobId, index) => {
+      jobEvents.publishJob({ _id: jobId }, { priority: priorities[index] });
+    });
+    
+    res.json({ message: 'Queue reordered successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Change the priority of a job
+router.put('/:id/priority', async (req, res) => {
+  try {
+    const priority = parseInt(req.body.priority);
+    if (isNaN(priority)) {
+      return res.status(400).json({ message: 'Priority must be a number' });
+    }
+    
+    const job = await Job.findByIdAndUpdate(
+      req.params.id,
+      { $set: { priority, updatedAt: new Date() } },
+      { new: true }
+    );
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    jobEvents.publishJob(job);
+    res.json(job);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Get a specific job
 router.get('/:id', async (req, res) => {
   try {
@@ -42,31 +237,376 @@ router.get('/:id', async (req, res) => {
   }
 });
 
-// Create a new job from URL
+// Get the import items of a job, paginated
+router.get('/:id/items', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('_id');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const query = { job: job._id };
+    
+    if (req.query.status) {
+      query.status = { $in: req.query.status.split(',') };
+    }
+    
+    // Failed items plus completed ones with a partial error (e.g. Shopify upload)
+    if (req.query.errors === 'true') {
+      query.$or = [{ status: 'failed' }, { error: { $nin: [null, ''] } }];
+    }
+    
+    const [items, total] = await Promise.all([
+      ImportItem.find(query)
+        .select('-metadata')
+        .sort({ position: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ImportItem.countDocuments(query)
+    ]);
+    
+    res.json({
+      items,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the event log of a job, newest first
+router.get('/:id/events', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('_id');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+    
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+    const query = { job: job._id };
+    
+    if (req.query.type) {
+      query.type = { $in: req.query.type.split(',') };
+    }
+    
+    if (req.query.level) {
+      query.level = { $in: req.query.level.split(',') };
+    }
+    
+    if (req.query.objectId) {
+      query.objectId = parseInt(req.query.objectId);
+    }
+    
+    const [events, total] = await Promise.all([
+      JobEvent.find(query)
+        .sort({ createdAt: -1, _id: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      JobEvent.countDocuments(query)
+    ]);
+    
+    res.json({
+      events,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the dead-letter list of a job: items that failed for good, with their attempt history
+router.get('/:id/dead-letter', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('_id');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const query = { job: job._id, status: 'failed' };
+
+    const [items, total] = await Promise.all([
+      ImportItem.find(query)
+        .select('objectId title artist status stages attemptCount attemptHistory deadLetteredAt error')
+        .sort({ deadLetteredAt: -1, position: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ImportItem.countDocuments(query)
+    ]);
+
+    res.json({
+      items,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get the items whose generated descriptions did not match the schema and wait for a reviewer
+router.get('/:id/review', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id).select('_id');
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+    const query = { job: job._id, 'review.required': true };
+
+    const [items, total] = await Promise.all([
+      ImportItem.find(query)
+        .select('objectId title artist imageUrl shortDescription expandedDescription seoTitle metaDescription altText suggestedTags generatedBy review')
+        .sort({ position: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      ImportItem.countDocuments(query)
+    ]);
+
+    res.json({
+      items,
+      total,
+      page,
+      pages: Math.ceil(total / limit)
+    });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Approve the copy of a flagged item. The reviewer's text must match the same schema as the model's reply.
+// Items of jobs that upload to Shopify go back in the queue to run the publish stage they skipped.
+router.put('/:id/items/:objectId/review', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    const item = job && await ImportItem.findOne({ job: job._id, objectId: parseInt(req.params.objectId) });
+    if (!item) {
+      return res.status(404).json({ message: 'Item not found' });
+    }
+
+    if (!item.review || !item.review.required) {
+      return res.status(400).json({ message: 'Item is not waiting for review' });
+    }
+
+    const { errors, value } = validateDescriptions(req.body);
+    if (errors.length > 0) {
+      return res.status(400).json({ message: errors.map(entry => entry.message).join('; '), errors });
+    }
+
+    Object.assign(item, value);
+    item.tags = [...new Set([...(item.tags || []), ...value.suggestedTags])];
+    item.review.required = false;
+    item.review.resolvedAt = new Date();
+
+    const publishQueued = !job.options.skipShopifyUpload
+      && item.status === 'completed'
+      && item.stages.published.status === 'skipped';
+
+    if (publishQueued) {
+      item.stages.published.status = 'pending';
+      item.stages.published.completedAt = undefined;
+      item.status = 'pending';
+      item.processed = false;
+      item.completedAt = undefined;
+    }
+    await item.save();
+
+    let updatedJob = job;
+    if (publishQueued) {
+      // Counted and registered again once the publish stage ran
+      updatedJob = await reopenJob(job, 'processedCount', 1);
+    } else if (item.status === 'completed') {
+      // Registered now, so later jobs with skipExisting leave the object out
+      await ImportedObject.recordImport(item).catch(error => {
+        console.error(`Error registering imported object ${item.objectId}:`, error.message);
+      });
+    }
+
+    await jobLog.record(item.job, 'item_review_resolved', `Descriptions for "${item.title}" approved`, {
+      actor: 'user',
+      objectId: item.objectId,
+      data: { publishQueued }
+    });
+    res.json({ item, job: updatedJob, publishQueued });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Put dead-lettered items back in the queue, all of them unless objectIds is given
+router.post('/:id/requeue', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.status === 'processing' || job.status === 'initializing') {
+      return res.status(400).json({ message: 'Pause the job before requeueing items' });
+    }
+
+    const { objectIds } = req.body;
+    if (objectIds !== undefined && (!Array.isArray(objectIds) || objectIds.length === 0)) {
+      return res.status(400).json({ message: 'objectIds must be a non-empty array' });
+    }
+
+    const result = await requeueFailedItems(job, objectIds && objectIds.map(Number));
+    if (result.requeued === 0) {
+      return res.status(400).json({ message: 'No failed items to requeue' });
+    }
+
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Reprocess the failed items of a finished job in place
+router.post('/:id/retry-failed', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    if (job.status !== 'completed' && job.status !== 'failed') {
+      return res.status(400).json({ message: `Cannot retry failed items of job with status: ${job.status}` });
+    }
+
+    const result = await requeueFailedItems(job);
+    if (result.requeued === 0) {
+      return res.status(400).json({ message: 'Job has no failed items' });
+    }
+
+    console.log(`Retrying ${result.requeued} failed items of job ${job._id}`);
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Start a fresh job with the same query, optionally with a new name and edited options
+router.post('/:id/clone', async (req, res) => {
+  try {
+    const job = await Job.findById(req.params.id);
+    if (!job) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const { name, priority, options } = req.body;
+    const { query, options: currentOptions } = job.toObject();
+
+    const clone = new Job({
+      name: name || `${job.name} (copy)`,
+      priority: priority !== undefined ? priority : job.priority,
+      source: job.source,
+      query,
+      options: { ...currentOptions, ...(options || {}) }
+    });
+
+    await clone.save();
+    jobEvents.publishJob(clone);
+    await jobLog.record(clone._id, 'created', `Created as a copy of ${job.name}`, {
+      actor: 'user',
+      data: { clonedFrom: job._id }
+    });
+    res.status(201).json(clone);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Object IDs of a list import, sent as pasted text or file contents
+function parseListRequest(text) {
+  const list = parseObjectList(text);
+  if (list.objectIds.length === 0) {
+    const error = new Error('The list has no valid object IDs or object page URLs');
+    error.invalid = list.invalid;
+    throw error;
+  }
+  return list;
+}
+
+// Preview what a URL, category or list import would do, without creating a job
+router.post('/preview', async (req, res) => {
+  try {
+    const { source, url, urls, text, artworkTypes, timePeriods, departmentIds, keywords, isPublicDomain, options, sampleSize } = req.body;
+    let query;
+    
+    if (source === 'url') {
+      try {
+        query = buildUrlQuery(urls || url);
+      } catch (error) {
+        return res.status(400).json({ message: error.message, errors: error.errors });
+      }
+    } else if (source === 'category') {
+      query = {
+        artworkTypes: artworkTypes || [],
+        timePeriods: timePeriods || [],
+        departmentIds: departmentIds || [],
+        keywords: keywords || '',
+        isPublicDomain: isPublicDomain !== undefined ? isPublicDomain : true
+      };
+    } else if (source === 'list') {
+      try {
+        query = { objectIds: parseListRequest(text).objectIds };
+      } catch (error) {
+        return res.status(400).json({ message: error.message, invalid: error.invalid });
+      }
+    } else {
+      return res.status(400).json({ message: 'Source must be url, category or list' });
+    }
+    
+    const preview = await importPreview.preview(source, query, options || {}, sampleSize);
+    res.json(preview);
+  } catch (error) {
+    if (['UNKNOWN_LLM_PROVIDER', 'PROMPT_TEMPLATE_NOT_FOUND', 'ART_TYPE_LIMIT_REQUIRED'].includes(error.code)) {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Error previewing import:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a new job from one or several URLs, their results are merged into one job
 router.post('/url', async (req, res) => {
   try {
-    const { url, name, options } = req.body;
+    const { url, urls, name, priority, options } = req.body;
     
-    if (!url) {
-      return res.status(400).json({ message: 'URL is required' });
+    // Parse the Met Museum URLs
+    let query;
+    try {
+      query = buildUrlQuery(urls || url);
+    } catch (error) {
+      return res.status(400).json({ message: error.message, errors: error.errors });
     }
     
-    // Parse the Met Museum URL
-    const query = parseMetUrl(url);
-    console.log("SAving With Query", query)
     // Create a new job
     const job = new Job({
       name: name || `URL Import: ${new Date().toLocaleString()}`,
+      priority,
       source: 'url',
-      query: {
-        url,
-        ...query
-      },
+      query,
       options: options || {}
     });
     
     // Save the job
     await job.save();
+    jobEvents.publishJob(job);
+    await jobLog.record(job._id, 'created',
+      query.urls.length > 1 ? `Created from ${query.urls.length} Met URLs` : 'Created from a Met URL',
+      { actor: 'user' });
     res.status(201).json(job);
   } catch (error) {
     console.error('Error creating job from URL:', error);
@@ -84,6 +624,7 @@ router.post('/category', async (req, res) => {
       keywords, 
       isPublicDomain,
       name, 
+      priority,
       options 
     } = req.body;
     
@@ -99,18 +640,54 @@ router.post('/category', async (req, res) => {
     // Create a new job
     const job = new Job({
       name: name || `Category Import: ${new Date().toLocaleString()}`,
+      priority,
       source: 'category',
       query,
       options: options || {}
     });
     
     await job.save();
+    jobEvents.publishJob(job);
+    await jobLog.record(job._id, 'created', 'Created from category filters', { actor: 'user' });
     res.status(201).json(job);
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
+// Create a new job from a list of object IDs or object page URLs
+router.post('/list', async (req, res) => {
+  try {
+    const { text, name, priority, options } = req.body;
+    
+    let list;
+    try {
+      list = parseListRequest(text);
+    } catch (error) {
+      return res.status(400).json({ message: error.message, invalid: error.invalid });
+    }
+    
+    const job = new Job({
+      name: name || `List Import: ${new Date().toLocaleString()}`,
+      priority,
+      source: 'list',
+      query: { objectIds: list.objectIds },
+      options: options || {}
+    });
+    
+    await job.save();
+    jobEvents.publishJob(job);
+    await jobLog.record(job._id, 'created', `Created from a list of ${list.objectIds.length} objects`, {
+      actor: 'user',
+      data: { invalid: list.invalid.length, duplicates: list.duplicates }
+    });
+    res.status(201).json(job);
+  } catch (error) {
+    console.error('Error creating job from list:', error);
+    res.status(500).json({ message: error.message });
+  }
+});
+
 // Pause a job
 router.post('/:id/pause', async (req, res) => {
   try {
@@ -121,6 +698,8 @@ router.post('/:id/pause', async (req, res) => {
     
     if (job.status === 'processing' || job.status === 'initialized') {
       await job.updateStatus('paused', 'user');
+      jobEvents.publishJob(job);
+      await jobLog.record(job._id, 'paused', 'Paused by user', { actor: 'user', data: { reason: 'user' } });
       res.json(job);
     } else {
       res.status(400).json({ message: `Cannot pause job with status: ${job.status}` });
@@ -140,6 +719,8 @@ router.post('/:id/resume', async (req, res) => {
     
     if (job.status === 'paused') {
       await job.updateStatus('initialized');
+      jobEvents.publishJob(job);
+      await jobLog.record(job._id, 'resumed', 'Resumed by user', { actor: 'user' });
       res.json(job);
     } else {
       res.status(400).json({ message: `Cannot resume job with status: ${job.status}` });
@@ -161,6 +742,8 @@ router.post('/:id/cancel', async (req, res) => {
       await job.updateStatus('failed', 'user');
       job.error = 'Cancelled by user';
       await job.save();
+      jobEvents.publishJob(job);
+      await jobLog.record(job._id, 'cancelled', 'Cancelled by user', { actor: 'user' });
       res.json(job);
     } else {
       res.status(400).json({ message: `Cannot cancel job with status: ${job.status}` });
@@ -178,7 +761,10 @@ router.get('/:id/csv', async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
     
-    if (job.results.length === 0) {
+    // Items waiting for review are left out until their copy is approved
+    const exportQuery = { job: job._id, status: 'completed', error: { $in: [null, ''] }, 'review.required': { $ne: true } };
+    
+    if (await ImportItem.countDocuments(exportQuery) === 0) {
       return res.status(400).json({ message: 'No results to export' });
     }
     
@@ -203,51 +789,126 @@ router.get('/:id/csv', async (req, res) => {
         { id: 'Variant Requires Shipping', title: 'Variant Requires Shipping' },
         { id: 'Variant Taxable', title: 'Variant Taxable' },
         { id: 'Image Src', title: 'Image Src' },
+        { id: 'Image Position', title: 'Image Position' },
         { id: 'Image Alt Text', title: 'Image Alt Text' },
+        { id: 'SEO Title', title: 'SEO Title' },
+        { id: 'SEO Description', title: 'SEO Description' },
         { id: 'Collection', title: 'Collection' },
         { id: 'Year', title: 'Year' },
-        { id: 'Department', title: 'Department' }
+        { id: 'Department', title: 'Department' },
+        { id: 'Object Name', title: 'Object Name' },
+        { id: 'Classification', title: 'Classification' },
+        { id: 'Medium', title: 'Medium' },
+        { id: 'Culture', title: 'Culture' },
+        { id: 'Period', title: 'Period' },
+        { id: 'Dimensions', title: 'Dimensions' },
+        { id: 'Height (cm)', title: 'Height (cm)' },
+        { id: 'Width (cm)', title: 'Width (cm)' },
+        { id: 'Depth (cm)', title: 'Depth (cm)' },
+        { id: 'Credit Line', title: 'Credit Line' },
+        { id: 'Accession Number', title: 'Accession Number' },
+        { id: 'Constituents', title: 'Constituents' },
+        { id: 'Artist ULAN', title: 'Artist ULAN' },
+        { id: 'Artist Wikidata', title: 'Artist Wikidata' },
+        { id: 'Met Tags', title: 'Met Tags' },
+        { id: 'Met URL', title: 'Met URL' }
       ]
     });
     
-    // Format results for CSV
-    const records = job.results
-      .filter(result => result.processed && !result.error)
-      .map(result => ({
-        Handle: result.title.toLowerCase().replace(/[^\w\s]/gi, '').replace(/\s+/g, '-').substring(0, 100),
-        Title: result.title,
-        ShortDescription: result.shortDescription || result.description,
-        RawDescription: result.rawDescription || '',
-        ExpandedDescription: result.expandedDescription || '',
-        Vendor: result.artist,
-        Type: 'Artwork',
-        Tags: result.tags.join(', '),
-        Published: 'TRUE',
-        'Option1 Name': 'Size',
-        'Option1 Value': 'Standard',
-        'Variant SKU': `MET-${result.objectId}`,
-        'Variant Price': job.options.defaultPrice.toString(),
-        'Variant Inventory Policy': 'continue',
-        'Variant Inventory Qty': '100',
-        'Variant Requires Shipping': 'TRUE',
-        'Variant Taxable': 'TRUE',
-        'Image Src': result.imageUrl,
-        'Image Alt Text': result.title,
-        Collection: result.collections.join(', '),
-        Year: result.date || '',
-        Department: result.department || ''
-      }));
+    const toHandle = result => result.title.toLowerCase().replace(/[^\w\s]/gi, '').replace(/\s+/g, '-').substring(0, 100);
     
-    // Generate CSV
-    const csvString = csvStringifier.getHeaderString() + csvStringifier.stringifyRecords(records);
+    // Met metadata columns, items imported before records were stored get them from their metadata
+    const toRecordColumns = record => {
+      const dimensions = record.dimensionsCm || {};
+      return {
+        'Object Name': record.objectName || '',
+        Classification: record.classification || '',
+        Medium: record.medium || '',
+        Culture: record.culture || '',
+        Period: record.period || '',
+        Dimensions: record.dimensions || '',
+        'Height (cm)': dimensions.height !== undefined ? String(dimensions.height) : '',
+        'Width (cm)': dimensions.width !== undefined ? String(dimensions.width) : '',
+        'Depth (cm)': dimensions.depth !== undefined ? String(dimensions.depth) : '',
+        'Credit Line': record.creditLine || '',
+        'Accession Number': record.accessionNumber || '',
+        Constituents: (record.constituents || [])
+          .map(constituent => (constituent.role ? `${constituent.name} (${constituent.role})` : constituent.name))
+          .join('; '),
+        'Artist ULAN': (record.artist && record.artist.ulanUrl) || '',
+        'Artist Wikidata': (record.artist && record.artist.wikidataUrl) || '',
+        'Met Tags': (record.tags || []).map(tag => tag.term).join(', '),
+        'Met URL': record.objectUrl || ''
+      };
+    };
+    
+    // Format an item for CSV
+    const toRecord = result => ({
+      Handle: toHandle(result),
+      Title: result.title,
+      ShortDescription: result.shortDescription || result.description,
+      RawDescription: result.rawDescription || '',
+      ExpandedDescription: result.expandedDescription || '',
+      Vendor: result.artist,
+      Type: 'Artwork',
+      Tags: result.tags.join(', '),
+      Published: 'TRUE',
+      'Option1 Name': 'Size',
+      'Option1 Value': 'Standard',
+      'Variant SKU': `MET-${result.objectId}`,
+      'Variant Price': job.options.defaultPrice.toString(),
+      'Variant Inventory Policy': 'continue',
+      'Variant Inventory Qty': '100',
+      'Variant Requires Shipping': 'TRUE',
+      'Variant Taxable': 'TRUE',
+      'Image Src': result.imageUrl,
+      'Image Position': '1',
+      'Image Alt Text': result.altText || result.title,
+      'SEO Title': result.seoTitle || '',
+      'SEO Description': result.metaDescription || '',
+      Collection: result.collections.join(', '),
+      Year: result.date || '',
+      Department: result.department || '',
+      ...toRecordColumns(result.record || normalizeArtwork(result.metadata) || {})
+    });
+    
+    // Shopify adds further images from rows that only repeat the handle
+    const toImageRecords = result => (result.additionalImages || []).map((image, index) => ({
+      Handle: toHandle(result),
+      'Image Src': image.url,
+      'Image Position': String(index + 2),
+      'Image Alt Text': `${result.title} (view ${index + 2})`
+    }));
     
     // Set response headers
     res.setHeader('Content-Type', 'text/csv');
     res.setHeader('Content-Disposition', `attachment; filename="met-import-${job._id}.csv"`);
     
-    // Send CSV
-    res.send(csvString);
+    // Stream the CSV in batches so large jobs never sit in memory at once
+    res.write(csvStringifier.getHeaderString());
+    
+    const cursor = ImportItem.find(exportQuery).sort({ position: 1 }).lean().cursor({ batchSize: 200 });
+    let batch = [];
+    
+    for await (const item of cursor) {
+      batch.push(toRecord(item), ...toImageRecords(item));
+      
+      if (batch.length >= 200) {
+        res.write(csvStringifier.stringifyRecords(batch));
+        batch = [];
+      }
+    }
+    
+    if (batch.length > 0) {
+      res.write(csvStringifier.stringifyRecords(batch));
+    }
+    
+    res.end();
   } catch (error) {
+    if (res.headersSent) {
+      console.error('Error exporting CSV:', error);
+      return res.end();
+    }
     res.status(500).json({ message: error.message });
   }
 });
@@ -264,7 +925,7 @@ router.get('/:id/images', async (req, res) => {
       return res.status(400).json({ message: 'Job must be completed before downloading images' });
     }
     
-    if (job.results.length === 0 || job.results.filter(r => r.processed && !r.error).length === 0) {
+    if (await ImportItem.countDocuments({ job: job._id, status: 'completed', error: { $in: [null, ''] } }) === 0) {
       return res.status(400).json({ message: 'No processed artwork to download' });
     }
     
@@ -314,21 +975,49 @@ router.post('/:id/upload', async (req, res) => {
     await job.save();
     
     // Create a new job to handle the Shopify upload
+    const items = await ImportItem.find({
+      job: job._id,
+      status: 'completed',
+      error: { $in: [null, ''] },
+      shopifyProductId: { $in: [null, ''] },
+      'review.required': { $ne: true }
+    })
+      .sort({ position: 1 })
+      .lean();
+    
     const uploadJob = new Job({
       name: `Shopify Upload: ${job.name}`,
       source: job.source,
       query: job.query,
       options: job.options,
-      objectIds: job.results
-        .filter(result => result.processed && !result.error && !result.shopifyProductId)
-        .map(result => result.objectId),
-      totalObjects: job.results
-        .filter(result => result.processed && !result.error && !result.shopifyProductId)
-        .length,
+      totalObjects: items.length,
       status: 'initialized'
     });
     
     await uploadJob.save();
+    
+    // Reuse the finished stages so only the Shopify upload runs again
+    await ImportItem.insertMany(items.map((item, position) => {
+      const { _id, job: sourceJob, status, processed, startedAt, completedAt, createdAt, updatedAt, ...fields } = item;
+      
+      if (!item.metadata) {
+        // Items migrated from embedded results have no stored metadata to upload from
+        return { job: uploadJob._id, objectId: item.objectId, position };
+      }
+      
+      return {
+        ...fields,
+        job: uploadJob._id,
+        position,
+        stages: { ...item.stages, published: { status: 'pending', attempts: 0 } }
+      };
+    }));
+    
+    jobEvents.publishJob(uploadJob);
+    await jobLog.record(uploadJob._id, 'created', `Created to upload the results of ${job.name} to Shopify`, {
+      actor: 'user',
+      data: { sourceJob: job._id, items: items.length }
+    });
     res.status(201).json(uploadJob);
   } catch (error) {
     res.status(500).json({ message: error.message });
@@ -343,6 +1032,9 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Job not found' });
     }
     
+    await ImportItem.deleteMany({ job: job._id });
+    await JobEvent.deleteMany({ job: job._id });
+    jobEvents.publishJobDeleted(job._id);
     
     res.json({ message: 'Job deleted' });
   } catch (error) {
@@ -1,39 +1,21 @@
 // routes/metRoutes.js - Updated Met Museum API routes with comprehensive categories
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
+const ImportItem = require('../models/ImportItem');
 const MetService = require('../services/metService');
-const parseMetUrl = require('../utils/metUrlParser');
+const objectCache = require('../services/objectCache');
+const { validateMetUrl } = require('../utils/metUrlParser');
+const parseObjectList = require('../utils/metObjectListParser');
+const DEPARTMENTS = require('../utils/metDepartments');
+const { listProviders } = require('../services/llmProviders');
 
 const metService = new MetService();
 
 // Get categories from Met API (departments)
 router.get('/categories', async (req, res) => {
   try {
-    // Complete list of Met Museum departments with IDs
-    const categories = [
-      { id: 1, name: 'American Decorative Arts' },
-      { id: 3, name: 'Ancient Near Eastern Art' },
-      { id: 4, name: 'Arms and Armor' },
-      { id: 5, name: 'Arts of Africa, Oceania, and the Americas' },
-      { id: 6, name: 'Asian Art' },
-      { id: 7, name: 'The Cloisters' },
-      { id: 8, name: 'The Costume Institute' },
-      { id: 9, name: 'Drawings and Prints' },
-      { id: 10, name: 'Egyptian Art' },
-      { id: 11, name: 'European Paintings' },
-      { id: 12, name: 'European Sculpture and Decorative Arts' },
-      { id: 13, name: 'Greek and Roman Art' },
-      { id: 14, name: 'Islamic Art' },
-      { id: 15, name: 'The Robert Lehman Collection' },
-      { id: 16, name: 'The Libraries' },
-      { id: 17, name: 'Medieval Art' },
-      { id: 18, name: 'Musical Instruments' },
-      { id: 19, name: 'Photographs' },
-      { id: 21, name: 'Modern and Contemporary Art' },
-      { id: 22, name: 'American Paintings and Sculpture' }
-    ];
-    
-    res.json(categories);
+    res.json(DEPARTMENTS);
   } catch (error) {
     res.status(500).json({ message: error.message });
   }
@@ -93,26 +75,86 @@ router.get('/time-periods', async (req, res) => {
   }
 });
 
-// Parse Met Museum URL
+// Providers that can write descriptions, with their default model and whether they are configured
+router.get('/llm-providers', (req, res) => {
+  try {
+    res.json(listProviders());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Check a Met Museum URL and show the query a job would use, or what is wrong with it field by field
 router.post('/parse-url', (req, res) => {
   try {
-    const { url } = req.body;
+    const result = validateMetUrl(req.body.url);
+    
+    if (!result.valid) {
+      return res.status(400).json({
+        message: `Invalid Met URL: ${result.errors.map(entry => entry.message).join('; ')}`,
+        errors: result.errors,
+        warnings: result.warnings
+      });
+    }
+    
+    res.json(result);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Parse a list of object IDs or object page URLs, pasted or read from a CSV/TXT file
+router.post('/parse-list', (req, res) => {
+  try {
+    const { text } = req.body;
     
-    if (!url) {
-      return res.status(400).json({ message: 'URL is required' });
+    if (!text) {
+      return res.status(400).json({ message: 'List is required' });
     }
     
-    const parsedParams = parseMetUrl(url);
-    res.json(parsedParams);
+    res.json(parseObjectList(text));
   } catch (error) {
     res.status(400).json({ message: error.message });
   }
 });
 
-// Get artwork details
+// Object cache hit rate and size
+router.get('/cache/stats', async (req, res) => {
+  try {
+    res.json(await objectCache.getStats());
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Expire cached objects so they are fetched again: the given objects, the objects of a job or everything
+router.post('/cache/refresh', async (req, res) => {
+  try {
+    const { objectIds, jobId, all } = req.body;
+    let ids;
+    
+    if (jobId) {
+      if (!mongoose.isObjectIdOrHexString(jobId)) {
+        return res.status(400).json({ message: `Invalid job ID: ${jobId}` });
+      }
+      ids = await ImportItem.distinct('objectId', { job: jobId });
+    } else if (Array.isArray(objectIds) && objectIds.length > 0) {
+      ids = objectIds.map(id => parseInt(id)).filter(id => !isNaN(id));
+    } else if (!all) {
+      return res.status(400).json({ message: 'Provide objectIds, jobId or all' });
+    }
+    
+    const expired = await objectCache.expire(ids);
+    res.json({ expired });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get artwork details (?refresh=true bypasses the object cache)
 router.get('/artwork/:id', async (req, res) => {
   try {
-    const artwork = await metService.getObjectDetails(req.params.id);
+    const artwork = await metService.getObjectDetails(req.params.id, { forceRefresh: req.query.refresh === 'true' });
     
     if (!artwork) {
       return res.status(404).json({ message: 'Artwork not found' });
@@ -127,13 +169,13 @@ router.get('/artwork/:id', async (req, res) => {
 // Preview artwork categorization
 router.post('/categorize', async (req, res) => {
   try {
-    const { objectId } = req.body;
+    const { objectId, refresh } = req.body;
     
     if (!objectId) {
       return res.status(400).json({ message: 'Object ID is required' });
     }
     
-    const artwork = await metService.getObjectDetails(objectId);
+    const artwork = await metService.getObjectDetails(objectId, { forceRefresh: Boolean(refresh) });
     
     if (!artwork) {
       return res.status(404).json({ message: 'Artwork not found' });
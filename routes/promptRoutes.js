@@ -0,0 +1,208 @@
+// routes/promptRoutes.js - Manage and try out description prompt templates
+const express = require('express');
+const router = express.Router();
+const PromptTemplate = require('../models/PromptTemplate');
+const MetService = require('../services/metService');
+const OpenAIService = require('../services/openaiService');
+const { TEMPLATE_VARIABLES, validateTemplate } = require('../utils/promptTemplate');
+
+const metService = new MetService();
+
+// Reply with the field-level errors of a template's text, true when there were any
+function rejectInvalid(res, content) {
+  const errors = validateTemplate(content);
+
+  if (errors.length > 0) {
+    res.status(400).json({ message: errors.map(entry => entry.message).join('; '), errors });
+    return true;
+  }
+  return false;
+}
+
+// Get all templates without their version history
+router.get('/', async (req, res) => {
+  try {
+    const filter = req.query.includeArchived === 'true' ? {} : { archived: false };
+    const templates = await PromptTemplate.find(filter).sort({ isDefault: -1, name: 1 });
+
+    res.json(templates.map(template => {
+      const { versions, ...summary } = template.toJSON();
+      return { ...summary, versionCount: versions.length };
+    }));
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Variables templates can use and the built-in prompt new templates start from
+router.get('/variables', (req, res) => {
+  try {
+    const { system, prompt } = OpenAIService.BUILT_IN_TEMPLATE;
+    res.json({ variables: TEMPLATE_VARIABLES, builtIn: { system, prompt } });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Render a prompt for an object and optionally generate its descriptions, without saving anything
+router.post('/test', async (req, res) => {
+  try {
+    const { objectId, templateId, version, system, prompt, provider, model, generate } = req.body;
+
+    if (!objectId) {
+      return res.status(400).json({ message: 'Object ID is required' });
+    }
+
+    // Unsaved text from the editor is tried as is, otherwise the stored template
+    let template;
+    if (prompt !== undefined) {
+      if (rejectInvalid(res, { system, prompt })) return;
+      template = { ...OpenAIService.BUILT_IN_TEMPLATE, name: 'Unsaved', system: system || OpenAIService.SYSTEM_PROMPT, prompt };
+    } else {
+      template = await metService.openai.resolveTemplate(templateId, version);
+    }
+
+    const artwork = await metService.getObjectDetails(objectId);
+    if (!artwork) {
+      return res.status(404).json({ message: `Object ${objectId} not found` });
+    }
+
+    const rendered = metService.openai.buildPrompt(artwork, template);
+    const result = {
+      objectId: artwork.objectID,
+      title: artwork.title,
+      template: { name: template.name, version: template.version },
+      system: rendered.system,
+      prompt: rendered.prompt
+    };
+
+    if (generate) {
+      result.descriptions = await metService.openai.generateDescriptions(artwork, {
+        provider,
+        model,
+        resolvedTemplate: template
+      });
+    }
+
+    res.json(result);
+  } catch (error) {
+    if (['PROMPT_TEMPLATE_NOT_FOUND', 'UNKNOWN_LLM_PROVIDER'].includes(error.code)) {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a template with all its versions
+router.get('/:id', async (req, res) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    res.json(template);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a template with its first version
+router.post('/', async (req, res) => {
+  try {
+    const { name, description, system, prompt, note, isDefault } = req.body;
+
+    if (rejectInvalid(res, { system, prompt })) return;
+
+    const template = new PromptTemplate({ name, description });
+    template.addVersion({ system, prompt, note: note || 'First version' });
+    await template.save();
+
+    // The first template becomes the default, so it is used without choosing it on every job
+    if (isDefault || await PromptTemplate.countDocuments({ isDefault: true, archived: false }) === 0) {
+      await PromptTemplate.setDefault(template._id);
+      template.isDefault = true;
+    }
+
+    res.status(201).json(template);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: `A template named "${req.body.name}" already exists` });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Save new text as the next version
+router.post('/:id/versions', async (req, res) => {
+  try {
+    const { system, prompt, note } = req.body;
+    const template = await PromptTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    if (rejectInvalid(res, { system, prompt })) return;
+
+    const version = template.addVersion({ system, prompt, note });
+    await template.save();
+
+    console.log(`Prompt template "${template.name}" saved as version ${version.version}`);
+    res.status(201).json(template);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Rename a template or make it the default, its text only changes through new versions
+router.put('/:id', async (req, res) => {
+  try {
+    const template = await PromptTemplate.findById(req.params.id);
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    ['name', 'description', 'archived'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        template[field] = req.body[field];
+      }
+    });
+
+    if (template.archived) {
+      template.isDefault = false;
+    }
+    await template.save();
+
+    if (req.body.isDefault && !template.archived) {
+      await PromptTemplate.setDefault(template._id);
+      template.isDefault = true;
+    }
+
+    res.json(template);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: `A template named "${req.body.name}" already exists` });
+    }
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Archive a template. It is kept so the jobs that used it still show which prompt wrote their descriptions.
+router.delete('/:id', async (req, res) => {
+  try {
+    const template = await PromptTemplate.findByIdAndUpdate(
+      req.params.id,
+      { archived: true, isDefault: false },
+      { new: true }
+    );
+    if (!template) {
+      return res.status(404).json({ message: 'Prompt template not found' });
+    }
+
+    res.json({ message: 'Prompt template archived' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
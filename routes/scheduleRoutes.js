@@ -0,0 +1,176 @@
+// routes/scheduleRoutes.js - Manage recurring imports
+const express = require('express');
+const router = express.Router();
+const Schedule = require('../models/Schedule');
+const { buildUrlQuery } = require('../utils/metUrlParser');
+
+// Build the job query of a schedule from a request body, the same way the job routes do
+function buildQuery(source, body) {
+  if (source === 'url') {
+    return buildUrlQuery(body.urls || body.url);
+  }
+
+  return {
+    artworkTypes: body.artworkTypes || [],
+    timePeriods: body.timePeriods || [],
+    departmentIds: body.departmentIds || [],
+    keywords: body.keywords || '',
+    isPublicDomain: body.isPublicDomain !== undefined ? body.isPublicDomain : true
+  };
+}
+
+// Copy the editable fields of a request body onto a schedule
+function applyScheduleFields(schedule, body) {
+  ['name', 'enabled', 'options', 'priority', 'onlyNewItems', 'timezone'].forEach(field => {
+    if (body[field] !== undefined) {
+      schedule[field] = body[field];
+    }
+  });
+
+  // A schedule runs either on a cron expression or on an interval, never both
+  if (body.cron !== undefined || body.intervalMinutes !== undefined) {
+    schedule.cron = body.cron || undefined;
+    schedule.intervalMinutes = body.cron ? undefined : body.intervalMinutes;
+  }
+
+  if (body.source !== undefined || body.url !== undefined || body.urls !== undefined || body.departmentIds !== undefined ||
+      body.artworkTypes !== undefined || body.timePeriods !== undefined || body.keywords !== undefined) {
+    schedule.source = body.source || schedule.source;
+    schedule.query = buildQuery(schedule.source, body);
+  }
+}
+
+// Get all schedules
+router.get('/', async (req, res) => {
+  try {
+    const schedules = await Schedule.find()
+      .select('-runs')
+      .populate('lastJob', 'name status progress processedCount failedCount createdAt')
+      .sort({ createdAt: -1 });
+
+    res.json(schedules);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Get a schedule with its run history
+router.get('/:id', async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id)
+      .populate('runs.job', 'name status progress totalObjects processedCount failedCount skippedCount previouslyImportedCount');
+
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Create a schedule
+router.post('/', async (req, res) => {
+  try {
+    const { source } = req.body;
+
+    if (!['url', 'category'].includes(source)) {
+      return res.status(400).json({ message: 'Source must be url or category' });
+    }
+
+    const schedule = new Schedule();
+    applyScheduleFields(schedule, { options: {}, ...req.body });
+
+    await schedule.save();
+    res.status(201).json(schedule);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Update a schedule
+router.put('/:id', async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    applyScheduleFields(schedule, req.body);
+
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    res.status(400).json({ message: error.message });
+  }
+});
+
+// Enable a schedule, the next run is planned from now on
+router.post('/:id/enable', async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    schedule.enabled = true;
+    schedule.nextRunAt = schedule.getNextRunAt(new Date());
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Disable a schedule
+router.post('/:id/disable', async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    schedule.enabled = false;
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Run a schedule right away, the job processor picks it up on its next check
+router.post('/:id/run', async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    if (!schedule.enabled) {
+      return res.status(400).json({ message: 'Enable the schedule before running it' });
+    }
+
+    schedule.nextRunAt = new Date();
+    await schedule.save();
+    res.json(schedule);
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+// Delete a schedule, the jobs it created are kept
+router.delete('/:id', async (req, res) => {
+  try {
+    const schedule = await Schedule.findByIdAndDelete(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({ message: 'Schedule not found' });
+    }
+
+    res.json({ message: 'Schedule deleted successfully' });
+  } catch (error) {
+    res.status(500).json({ message: error.message });
+  }
+});
+
+module.exports = router;
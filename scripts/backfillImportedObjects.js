@@ -0,0 +1,89 @@
+// scripts/backfillImportedObjects.js - Fill the imported object registry from existing jobs
+//
+// Jobs only add objects to the ImportedObject registry once they complete them, so
+// objects imported before the registry existed would be imported again by jobs with
+// skipExisting. This script builds one registry entry per completed object. Entries
+// are recalculated from the import items, so the script can be re-run.
+//
+// Usage: npm run backfill:imported [-- --dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const ImportItem = require('../models/ImportItem');
+const ImportedObject = require('../models/ImportedObject');
+
+const dryRun = process.argv.includes('--dry-run');
+const BATCH_SIZE = 500;
+
+async function backfill() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  // One group per object: the latest import, the latest Shopify product and how often it was imported
+  const cursor = ImportItem.aggregate([
+    { $match: { status: 'completed' } },
+    { $sort: { completedAt: 1 } },
+    {
+      $group: {
+        _id: '$objectId',
+        job: { $last: '$job' },
+        item: { $last: '$_id' },
+        title: { $last: '$title' },
+        productIds: { $push: '$shopifyProductId' },
+        importCount: { $sum: 1 },
+        firstImportedAt: { $first: '$completedAt' },
+        importedAt: { $last: '$completedAt' }
+      }
+    }
+  ]).cursor();
+
+  let batch = [];
+  let total = 0;
+  let withProduct = 0;
+
+  const flush = async () => {
+    if (!dryRun && batch.length > 0) {
+      await ImportedObject.bulkWrite(batch, { ordered: false });
+    }
+    batch = [];
+  };
+
+  for await (const group of cursor) {
+    const shopifyProductId = group.productIds.filter(Boolean).pop();
+    const entry = {
+      job: group.job,
+      item: group.item,
+      title: group.title,
+      importCount: group.importCount,
+      firstImportedAt: group.firstImportedAt || new Date(),
+      importedAt: group.importedAt || new Date()
+    };
+    if (shopifyProductId) {
+      entry.shopifyProductId = shopifyProductId;
+      withProduct++;
+    }
+
+    batch.push({
+      updateOne: {
+        filter: { objectId: group._id },
+        update: { $set: entry },
+        upsert: true
+      }
+    });
+    total++;
+
+    if (batch.length >= BATCH_SIZE) {
+      await flush();
+    }
+  }
+  await flush();
+
+  console.log(`Registered ${total} imported objects, ${withProduct} with a Shopify product`);
+}
+
+backfill()
+  .catch(error => {
+    console.error('Backfill failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,119 @@
+// scripts/migrateImportItems.js - Move embedded job results into the ImportItem collection
+//
+// Jobs created before import items existed kept objectIds, processedIds, failedIds
+// and results as arrays on the job document. This script creates one ImportItem per
+// object, fills in the job counters and removes the embedded arrays.
+//
+// Usage: npm run migrate:items [-- --dry-run]
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const Job = require('../models/Job');
+const ImportItem = require('../models/ImportItem');
+
+const dryRun = process.argv.includes('--dry-run');
+
+// Stage state for a result that finished before stages were tracked
+function buildCompletedStages(published) {
+  const stages = {};
+  ImportItem.STAGES.forEach(stage => {
+    stages[stage] = { status: 'completed', attempts: 1 };
+  });
+  stages.published.status = published ? 'completed' : 'skipped';
+  return stages;
+}
+
+// Build the import items for one legacy job document
+function buildItems(job) {
+  const objectIds = job.objectIds || [];
+  const processed = new Set(job.processedIds || []);
+  const failed = new Set(job.failedIds || []);
+  const results = new Map((job.results || []).map(result => [result.objectId, result]));
+
+  // Upload jobs only listed objectIds, older jobs may have results for objects missing from objectIds
+  const allIds = [...objectIds, ...Array.from(results.keys()).filter(id => !objectIds.includes(id))];
+
+  return allIds.map((objectId, position) => {
+    const result = results.get(objectId);
+    const item = { job: job._id, objectId, position, status: 'pending' };
+
+    if (result) {
+      const { _id, ...fields } = result;
+      Object.assign(item, fields, { status: result.processed ? 'completed' : 'failed' });
+
+      // Finished legacy results went through every stage, failed ones start over
+      if (result.processed) {
+        item.stages = buildCompletedStages(Boolean(result.shopifyProductId));
+      }
+    } else if (failed.has(objectId)) {
+      item.status = 'failed';
+    } else if (processed.has(objectId)) {
+      item.status = 'completed';
+      item.processed = true;
+      item.stages = buildCompletedStages(false);
+    }
+
+    return item;
+  });
+}
+
+async function migrate() {
+  await mongoose.connect(process.env.MONGODB_URI);
+  console.log(`Connected to MongoDB${dryRun ? ' (dry run)' : ''}`);
+
+  // Read the raw documents, the Job schema no longer defines the embedded arrays
+  const cursor = Job.collection.find({
+    $or: [
+      { objectIds: { $exists: true } },
+      { results: { $exists: true } }
+    ]
+  });
+
+  let migratedJobs = 0;
+  let migratedItems = 0;
+
+  for await (const job of cursor) {
+    const items = buildItems(job);
+    const counts = {
+      processedCount: items.filter(item => item.status === 'completed').length,
+      failedCount: items.filter(item => item.status === 'failed').length,
+      skippedCount: 0
+    };
+
+    console.log(`Job ${job._id} (${job.name}): ${items.length} items, ` +
+      `${counts.processedCount} completed, ${counts.failedCount} failed`);
+
+    if (!dryRun) {
+      // Upsert so the script can be re-run after an interruption
+      if (items.length > 0) {
+        await ImportItem.bulkWrite(items.map(item => ({
+          updateOne: {
+            filter: { job: item.job, objectId: item.objectId },
+            update: { $set: item },
+            upsert: true
+          }
+        })), { ordered: false });
+      }
+
+      await Job.collection.updateOne(
+        { _id: job._id },
+        {
+          $set: { ...counts, totalObjects: job.totalObjects || items.length },
+          $unset: { objectIds: '', processedIds: '', failedIds: '', inFlightIds: '', results: '' }
+        }
+      );
+    }
+
+    migratedJobs++;
+    migratedItems += items.length;
+  }
+
+  console.log(`Migrated ${migratedJobs} jobs and ${migratedItems} items`);
+}
+
+migrate()
+  .catch(error => {
+    console.error('Migration failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -8,6 +8,9 @@ require('dotenv').config();
 
 const jobRoutes = require('./routes/jobRoutes');
 const metRoutes = require('./routes/metRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const eventRoutes = require('./routes/eventRoutes');
+const promptRoutes = require('./routes/promptRoutes');
 
 // Initialize express app
 const app = express();
@@ -24,12 +27,15 @@ mongoose.connect(process.env.MONGODB_URI, {
 // Middleware
 app.use(cors());
 app.use(morgan('dev'));
-app.use(express.json());
+app.use(express.json({ limit: '5mb' })); // Object lists arrive as the text of an uploaded CSV
 app.use(express.urlencoded({ extended: true }));
 
 // API Routes
 app.use('/api/jobs', jobRoutes);
 app.use('/api/met', metRoutes);
+app.use('/api/schedules', scheduleRoutes);
+app.use('/api/events', eventRoutes);
+app.use('/api/prompts', promptRoutes);
 
 // Serve static files in production
 
@@ -0,0 +1,248 @@
+// services/artworkPipeline.js - Runs an import item through its processing stages
+const ImportItem = require('../models/ImportItem');
+const jobLog = require('./jobLog');
+const { classifyError, createClassifiedError } = require('../utils/errorClassifier');
+const { normalizeArtwork } = require('../utils/artworkRecord');
+
+// Shopify allows 250 images per product, the Met rarely has more than a few dozen views
+const MAX_ADDITIONAL_IMAGES = 50;
+
+const STAGE_LABELS = {
+  metadata: 'Metadata fetch',
+  image: 'Image download',
+  descriptions: 'Description generation',
+  categorized: 'Categorization',
+  published: 'Shopify upload'
+};
+
+class ArtworkPipeline {
+  /**
+   * @param {MetService} metService - Service providing Met API, LLM and Shopify access
+   */
+  constructor(metService) {
+    this.metService = metService;
+  }
+
+  /**
+   * Run all stages of an item that have not completed yet. State is saved after
+   * every stage, so a later run picks up at the stage that failed or was interrupted.
+   * Rate limit errors are rethrown so the caller can pause the job.
+   * @param {Object} item - ImportItem document
+   * @param {Object} options - Job options
+   * @returns {Promise<string>} - Final item status: completed, failed or skipped
+   */
+  async run(item, options = {}) {
+    for (const stage of ImportItem.STAGES) {
+      if (['completed', 'skipped'].includes(item.stages[stage].status)) {
+        continue;
+      }
+
+      item.stages[stage].attempts++;
+
+      let outcome;
+      try {
+        outcome = await this[stage](item, options) || {};
+      } catch (error) {
+        if (error.code === 'RATE_LIMIT_EXCEEDED') {
+          await item.save();
+          throw error;
+        }
+
+        console.error(`${STAGE_LABELS[stage]} failed for object ${item.objectId}:`, error.message);
+
+        item.stages[stage].status = 'failed';
+        item.stages[stage].error = error.message;
+        item.attemptCount++;
+        item.attemptHistory.push({ stage, error: error.message, errorClass: classifyError(error) });
+        item.status = 'failed';
+        item.error = `${STAGE_LABELS[stage]} failed: ${error.message}`;
+        item.completedAt = new Date();
+        await item.save();
+        return item.status;
+      }
+
+      item.stages[stage].status = outcome.stageStatus || 'completed';
+      item.stages[stage].error = undefined;
+      item.stages[stage].completedAt = new Date();
+
+      // The artwork cannot be imported at all, e.g. it is not public domain
+      if (outcome.skipReason) {
+        console.warn(`Artwork ${item.objectId} skipped: ${outcome.skipReason}`);
+
+        item.status = 'skipped';
+        item.error = outcome.skipReason;
+        item.completedAt = new Date();
+        await item.save();
+        return item.status;
+      }
+
+      await item.save();
+    }
+
+    item.status = 'completed';
+    item.processed = true;
+    item.error = undefined;
+    item.completedAt = new Date();
+    await item.save();
+    return item.status;
+  }
+
+  async metadata(item, options) {
+    const artwork = await this.metService.getObjectDetails(item.objectId, {
+      throwErrors: true,
+      forceRefresh: options.refreshCache
+    });
+
+    if (!artwork) {
+      throw createClassifiedError(`Artwork details not found for objectId: ${item.objectId}`, 'not_found');
+    }
+
+    item.metadata = artwork;
+    item.record = normalizeArtwork(artwork);
+    item.title = artwork.title;
+    item.artist = artwork.artistDisplayName || 'Unknown Artist';
+    item.date = artwork.objectDate || 'Unknown';
+    item.imageUrl = artwork.primaryImage;
+    item.imageSmallUrl = artwork.primaryImageSmall || undefined;
+    item.rightsAndReproduction = artwork.rightsAndReproduction || undefined;
+    item.department = artwork.department;
+    
+    if (options.includeAdditionalImages) {
+      const urls = [...new Set(artwork.additionalImages || [])]
+        .filter(url => url && url !== artwork.primaryImage)
+        .slice(0, MAX_ADDITIONAL_IMAGES);
+      item.additionalImages = urls.map(url => ({ url }));
+    }
+
+    // Check if it's public domain and has an image
+    if (!artwork.isPublicDomain || !artwork.primaryImage) {
+      return { skipReason: 'Not public domain or missing image' };
+    }
+  }
+
+  async image(item) {
+    const imagePath = await this.metService.downloadImage(item.metadata.primaryImage, item.objectId, { throwErrors: true });
+
+    item.imagePath = imagePath;
+    item.additionalImages = await this.downloadAdditionalImages(item);
+  }
+
+  /**
+   * Download the additional views of an artwork. A view that fails to download is left
+   * without a path and not uploaded, it does not fail the item.
+   * @param {Object} item - ImportItem document
+   * @returns {Promise<Object[]>} - additionalImages with the paths of the downloaded views
+   */
+  async downloadAdditionalImages(item) {
+    const images = [];
+
+    for (const [index, image] of (item.additionalImages || []).entries()) {
+      const imagePath = await this.metService.downloadImage(image.url, `${item.objectId}_${index + 1}`);
+      if (!imagePath) {
+        console.warn(`Additional image ${index + 1} of object ${item.objectId} could not be downloaded`);
+      }
+      images.push({ url: image.url, path: imagePath || undefined });
+    }
+
+    return images;
+  }
+
+  async descriptions(item, options) {
+    const result = await this.metService.openai.generateDescriptions(item.metadata, {
+      provider: options.llmProvider,
+      model: options.llmModel,
+      template: options.promptTemplate,
+      templateVersion: options.promptTemplateVersion
+    });
+
+    item.rawDescription = result.rawDescription;
+    item.shortDescription = result.shortDescription;
+    item.expandedDescription = result.expandedDescription;
+    item.seoTitle = result.seoTitle;
+    item.metaDescription = result.metaDescription;
+    item.altText = result.altText;
+    item.suggestedTags = result.suggestedTags || [];
+    item.generatedBy = result.generatedBy || undefined;
+
+    if (result.review) {
+      item.review = { required: true, ...result.review, flaggedAt: new Date() };
+      await jobLog.record(item.job, 'item_review_required',
+        `Descriptions for "${item.title}" did not match the schema and need review`, {
+          objectId: item.objectId,
+          data: { errors: result.review.errors }
+        });
+    } else {
+      item.review = undefined;
+    }
+  }
+
+  async categorized(item) {
+    const artwork = item.metadata;
+
+    // Determine the year
+    const year = parseInt(artwork.objectBeginDate);
+
+    // Get era collections
+    const eraCollections = this.metService.getEraCollections(year);
+
+    // Get theme collections and tags
+    const { collections: themeCollections, tags } = this.metService.getThemeCollections(artwork);
+
+    // Combine collections, the model's suggestions follow the tags of the Met metadata
+    item.collections = [...eraCollections, ...themeCollections];
+    item.tags = [...new Set([...tags, ...(item.suggestedTags || [])])];
+    item.year = isNaN(year) ? undefined : year;
+  }
+
+  async published(item, options) {
+    if (options.skipShopifyUpload) {
+      return { stageStatus: 'skipped' };
+    }
+
+    // Uploaded with the Shopify upload of the job once a reviewer wrote the copy
+    if (item.review && item.review.required) {
+      return { stageStatus: 'skipped' };
+    }
+
+    // A previous run may have created the product before crashing
+    if (options.checkExistingProduct) {
+      const existingProductId = await this.metService.shopify.findProductByObjectId(item.objectId);
+
+      if (existingProductId) {
+        console.log(`Artwork ${item.objectId} already exists in Shopify as product ${existingProductId}`);
+        item.shopifyProductId = existingProductId;
+        return;
+      }
+    }
+
+    // Downloaded images are cleaned up after ZIP exports, so fetch them again if needed
+    const imagePath = await this.metService.downloadImage(item.metadata.primaryImage, item.objectId, { throwErrors: true });
+    item.additionalImages = await this.downloadAdditionalImages(item);
+    const additionalImagePaths = item.additionalImages.map(image => image.path).filter(Boolean);
+
+    const productId = await this.metService.shopify.uploadArtwork(
+      item.metadata,
+      item.shortDescription,
+      item.expandedDescription,
+      imagePath,
+      item.collections,
+      item.tags,
+      options.defaultPrice || 99.99,
+      additionalImagePaths,
+      { seoTitle: item.seoTitle, metaDescription: item.metaDescription, altText: item.altText }
+    );
+
+    item.shopifyProductId = productId;
+
+    if (productId) {
+      await jobLog.record(item.job, 'shopify_product_created', `Created Shopify product ${productId} for "${item.title}"`, {
+        objectId: item.objectId,
+        data: { productId }
+      });
+    }
+  }
+}
+
+ArtworkPipeline.STAGE_LABELS = STAGE_LABELS;
+
+module.exports = ArtworkPipeline;
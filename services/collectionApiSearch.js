@@ -0,0 +1,226 @@
+// services/collectionApiSearch.js - Search backend for the documented Met Collection API
+const axios = require('axios');
+
+// Date ranges of the time periods offered by /api/met/time-periods, matched on the full
+// lowercase period name without its dates (null dateEnd means the current year)
+const TIME_PERIOD_RANGES = [
+  ['prehistoric', -10000, -3000],
+  ['ancient', -3000, 500],
+  ['classical antiquity', -800, 500],
+  ['medieval', 500, 1400],
+  ['renaissance', 1400, 1600],
+  ['baroque', 1600, 1750],
+  ['rococo', 1600, 1750],
+  ['enlightenment', 1700, 1799],
+  ['19th century', 1800, 1899],
+  ['early 20th century', 1900, 1945],
+  ['mid to late 20th century', 1945, 1999],
+  ['20th century', 1900, 1999],
+  ['1900-present', 1900, null],
+  ['contemporary', 2000, null]
+];
+
+// Lower bound used when a query only sets an end date, the API needs both
+const EARLIEST_DATE = -10000;
+
+/**
+ * Date ranges of a time period. Combined periods such as "Prehistoric / Ancient" cover every
+ * period they name, ranges that overlap or touch are searched as one.
+ * @param {string} period - Time period as offered by /api/met/time-periods
+ * @returns {Object[]|null} - dateBegin and dateEnd of each range, null when a named period is unknown
+ */
+function getPeriodRanges(period) {
+  const names = period.replace(/\(.*?\)/g, '').split('/').map(name => name.trim().toLowerCase()).filter(Boolean);
+  const matches = names.map(name => TIME_PERIOD_RANGES.find(([keyword]) => keyword === name));
+
+  if (matches.length === 0 || matches.includes(undefined)) {
+    return null;
+  }
+
+  return matches
+    .map(([, dateBegin, dateEnd]) => ({ dateBegin, dateEnd: dateEnd === null ? new Date().getFullYear() : dateEnd }))
+    .sort((a, b) => a.dateBegin - b.dateBegin)
+    .reduce((ranges, range) => {
+      const last = ranges[ranges.length - 1];
+      if (last && range.dateBegin <= last.dateEnd) {
+        last.dateEnd = Math.max(last.dateEnd, range.dateEnd);
+      } else {
+        ranges.push(range);
+      }
+      return ranges;
+    }, []);
+}
+
+class CollectionApiSearch {
+  /**
+   * @param {MetService} metService - Provides the rate limit budget and object details
+   */
+  constructor(metService) {
+    this.name = 'collectionapi';
+    this.baseUrl = 'https://collectionapi.metmuseum.org/public/collection/v1';
+    this.metService = metService;
+  }
+
+  /**
+   * Run one search. The API returns every matching ID in a single response.
+   * @param {Object} params - q plus filters such as departmentId, dateBegin/dateEnd, hasImages, isPublicDomain
+   * @returns {Promise<number[]>} - Matching object IDs
+   */
+  async request(params) {
+    await this.metService.waitForBudget();
+    await this.metService.checkRateLimits();
+
+    // Boolean filters are switched on by being present, so leave out the false ones
+    const searchParams = {};
+    Object.entries(params).forEach(([key, value]) => {
+      if (value !== null && value !== undefined && value !== false && value !== '') {
+        searchParams[key] = value;
+      }
+    });
+
+    console.log('Searching Met Collection API with params:', searchParams);
+    const response = await axios.get(`${this.baseUrl}/search`, { params: searchParams });
+    return response.data.objectIDs || [];
+  }
+
+  /**
+   * Search with a job query: the parameters of a Met search URL or the Collection API
+   * filters stored on the job (isHighlight, isOnView, artistOrCulture, medium, dates)
+   * @param {Object} query - Job query
+   * @param {Object} [options]
+   * @param {number} [options.maxItems] - Return at most this many objects
+   * @returns {Promise<Object>} - objectIds and the total number of matches
+   */
+  async search(query, { maxItems = 0 } = {}) {
+    const objectIds = await this.request(this.buildSearchParams(query));
+    console.log(`Found ${objectIds.length} results from Met Collection API`);
+
+    return {
+      objectIds: maxItems ? objectIds.slice(0, maxItems) : objectIds,
+      total: objectIds.length
+    };
+  }
+
+  /**
+   * Translate a job query into Collection API search parameters
+   * @param {Object} query - Job query
+   * @returns {Object} - Search parameters
+   */
+  buildSearchParams(query) {
+    // The website combines filters like "highlights|withImage" in showOnly
+    const showOnly = (query.showOnly || '').split(/[|,]/);
+
+    const params = {
+      q: query.q || query.keywords || '*',
+      isHighlight: query.isHighlight || showOnly.includes('highlights'),
+      isOnView: query.isOnView || showOnly.includes('onDisplay'),
+      hasImages: query.hasImages || showOnly.includes('withImage'),
+      isPublicDomain: query.isPublicDomain || showOnly.includes('openAccess'),
+      artistOrCulture: query.artistOrCulture,
+      medium: query.medium || query.material,
+      geoLocation: query.geolocation,
+      departmentId: parseInt(query.department) || (query.departmentIds && query.departmentIds[0])
+    };
+
+    // An artist can only be searched for as the query itself
+    if (query.artist) {
+      if (!query.q) {
+        params.q = query.artist;
+        params.artistOrCulture = true;
+      } else {
+        console.warn(`Collection API search ignores the artist "${query.artist}" because the query has search terms`);
+      }
+    }
+
+    if (query.dateBegin !== undefined || query.dateEnd !== undefined) {
+      params.dateBegin = query.dateBegin !== undefined ? query.dateBegin : EARLIEST_DATE;
+      params.dateEnd = query.dateEnd !== undefined ? query.dateEnd : new Date().getFullYear();
+    }
+
+    return params;
+  }
+
+  /**
+   * Search for a category import: one search per selected department and time period,
+   * merged in order, then filtered on the selected artwork types
+   * @param {Object} categoryQuery - departmentIds, artworkTypes, timePeriods, keywords, isPublicDomain
+   * @param {Object} [options]
+   * @param {number} [options.maxItems] - Stop after this many objects
+   * @returns {Promise<Object>} - objectIds and the total number of matches before the artwork type filter
+   */
+  async searchCategory(categoryQuery, { maxItems = 0 } = {}) {
+    const query = this.buildCategoryQuery(categoryQuery);
+    const departments = query.departmentIds.length > 0 ? query.departmentIds : [null];
+    const dateRanges = query.dateRanges.length > 0 ? query.dateRanges : [null];
+    const objectIds = new Set();
+
+    try {
+      for (const departmentId of departments) {
+        for (const range of dateRanges) {
+          const ids = await this.request({
+            q: query.q,
+            departmentId,
+            dateBegin: range && range.dateBegin,
+            dateEnd: range && range.dateEnd,
+            hasImages: query.hasImages,
+            isPublicDomain: query.isPublicDomain
+          });
+          ids.forEach(id => objectIds.add(id));
+        }
+      }
+    } catch (error) {
+      // Let the caller try another backend unless some searches succeeded
+      if (objectIds.size === 0) {
+        throw error;
+      }
+
+      this.metService.handleApiError(error, 'searching categories');
+      console.warn(`Category search stopped early after ${objectIds.size} results`);
+    }
+
+    const found = [...objectIds];
+    console.log(`Found ${found.length} results from Met Collection API`);
+
+    // The search has no classification filter, so check the selected types on the objects
+    const filtered = query.artworkTypes.length > 0
+      ? await this.metService.filterForArtTypes(found, query.artworkTypes, { maxItems, publicDomainOnly: query.isPublicDomain })
+      : found;
+
+    return {
+      objectIds: maxItems ? filtered.slice(0, maxItems) : filtered,
+      total: found.length
+    };
+  }
+
+  /**
+   * Translate the selections of a category import into search parameters
+   * @param {Object} categoryQuery - departmentIds, artworkTypes, timePeriods, keywords, isPublicDomain
+   * @returns {Object} - q, departmentIds, dateRanges, hasImages, isPublicDomain and artworkTypes
+   */
+  buildCategoryQuery(categoryQuery) {
+    // Keywords are entered comma separated, the search wants them as words
+    const keywords = (categoryQuery.keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean);
+
+    const dateRanges = [];
+    (categoryQuery.timePeriods || []).forEach(period => {
+      const ranges = getPeriodRanges(period);
+
+      if (ranges) {
+        dateRanges.push(...ranges);
+      } else {
+        console.warn(`No date range known for time period "${period}"`);
+      }
+    });
+
+    return {
+      q: keywords.length > 0 ? keywords.join(' ') : '*',
+      departmentIds: categoryQuery.departmentIds || [],
+      dateRanges,
+      hasImages: true,
+      isPublicDomain: categoryQuery.isPublicDomain !== undefined ? categoryQuery.isPublicDomain : true,
+      artworkTypes: categoryQuery.artworkTypes || []
+    };
+  }
+}
+
+module.exports = CollectionApiSearch;
@@ -0,0 +1,148 @@
+// services/collectionListingSearch.js - Search backend for the collection listing behind metmuseum.org search pages
+const axios = require('axios');
+const { getCandidateLimit } = require('../utils/artTypeFilter');
+
+// Largest page the collection listing search returns
+const MAX_PER_PAGE = 100;
+
+class CollectionListingSearch {
+  /**
+   * @param {MetService} metService - Provides the rate limit budget and object details
+   */
+  constructor(metService) {
+    this.name = 'collectionlisting';
+    this.baseUrl = 'https://www.metmuseum.org/mothra/collectionlisting';
+    this.metService = metService;
+  }
+
+  /**
+   * Search with the parameters of a Met search URL, following the result pages until
+   * maxItems objects are found or the results run out. Starts at the page or offset of the query.
+   * @param {Object} query - Parsed Met URL query
+   * @param {Object} [options]
+   * @param {number} [options.maxItems] - Stop after this many objects (0 or unset reads every page)
+   * @returns {Promise<Object>} - objectIds and the total number of matches the search reported
+   */
+  async search(query, { maxItems = 0 } = {}) {
+    // Use query parameters directly from the parsed URL
+    const searchParams = {
+      q: query.q || '',
+      showOnly: query.showOnly || null,
+      artist: query.artist || null,
+      material: query.material || null,
+      era: query.era || null,
+      geolocation: query.geolocation || null,
+      department: query.department || null,
+      pkgIds: query.pkgIds || null,
+      exhibitionId: query.exhibitionId || null,
+      feature: query.feature || null,
+      searchField: query.searchField || null,
+      sortBy: query.sortBy || null,
+      sortOrder: query.sortOrder || null
+    };
+
+    // Remove null values
+    Object.keys(searchParams).forEach(key => {
+      if (searchParams[key] === null) {
+        delete searchParams[key];
+      }
+    });
+
+    const perPage = Math.min(query.perPage || MAX_PER_PAGE, MAX_PER_PAGE);
+    let offset = query.offset || (query.page > 1 ? (query.page - 1) * (query.perPage || perPage) : 0);
+    const objectIds = new Set();
+    let total = 0;
+
+    console.log("Searching the collection listing with query:", query);
+
+    try {
+      while (!maxItems || objectIds.size < maxItems) {
+        // Wait for budget between pages instead of giving up on a long search
+        await this.metService.waitForBudget();
+        await this.metService.checkRateLimits();
+
+        const params = { ...searchParams, offset, perPage };
+        console.log('Searching Met API with params:', params);
+        const response = await axios.get(`${this.baseUrl}/search`, { params });
+
+        // The endpoint is undocumented, so treat an unfamiliar response as a failure
+        if (!Array.isArray(response.data.results)) {
+          throw new Error('Unexpected collection listing response');
+        }
+
+        const results = response.data.results;
+        total = response.data.totalResults || Math.max(total, offset + results.length);
+
+        // Extract object IDs from the result URLs
+        results.forEach(result => {
+          const match = result.url && result.url.match(/\/search\/(\d+)/);
+          if (match) {
+            objectIds.add(parseInt(match[1]));
+          }
+        });
+
+        offset += results.length;
+        if (results.length === 0 || results.length < perPage || offset >= total) {
+          break;
+        }
+      }
+    } catch (error) {
+      // Let the caller try another backend unless some pages were read
+      if (objectIds.size === 0) {
+        throw error;
+      }
+
+      this.metService.handleApiError(error, 'searching the collection listing');
+      console.warn(`Search stopped early after ${objectIds.size} of ${total} results`);
+    }
+
+    const found = [...objectIds];
+    console.log(`Found ${found.length} of ${total} results in the collection listing`);
+
+    return {
+      objectIds: maxItems ? found.slice(0, maxItems) : found,
+      total
+    };
+  }
+
+  /**
+   * Search for a category import. The listing has no date or classification filters, so it
+   * searches the keywords per department and leaves the artwork types to a filter on the objects.
+   * @param {Object} categoryQuery - departmentIds, artworkTypes, timePeriods, keywords, isPublicDomain
+   * @param {Object} [options]
+   * @param {number} [options.maxItems] - Stop after this many objects
+   * @returns {Promise<Object>} - objectIds and the total number of matches before the artwork type filter
+   */
+  async searchCategory(categoryQuery, { maxItems = 0 } = {}) {
+    const departments = categoryQuery.departmentIds && categoryQuery.departmentIds.length > 0
+      ? categoryQuery.departmentIds
+      : [null];
+    const artworkTypes = categoryQuery.artworkTypes || [];
+    const isPublicDomain = categoryQuery.isPublicDomain !== undefined ? categoryQuery.isPublicDomain : true;
+    const objectIds = new Set();
+    let total = 0;
+
+    for (const department of departments) {
+      const result = await this.search({
+        q: (categoryQuery.keywords || '').split(',').map(keyword => keyword.trim()).filter(Boolean).join(' '),
+        department,
+        showOnly: isPublicDomain ? 'openAccess|withImage' : 'withImage'
+      }, { maxItems: artworkTypes.length > 0 ? getCandidateLimit(maxItems) : maxItems });
+
+      result.objectIds.forEach(id => objectIds.add(id));
+      total += result.total;
+    }
+
+    const found = [...objectIds];
+    const filtered = artworkTypes.length > 0
+      ? await this.metService.filterForArtTypes(found, artworkTypes, { maxItems, publicDomainOnly: isPublicDomain })
+      : found;
+
+    return {
+      objectIds: maxItems ? filtered.slice(0, maxItems) : filtered,
+      total
+    };
+  }
+}
+
+module.exports = CollectionListingSearch;
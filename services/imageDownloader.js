@@ -5,6 +5,7 @@ const axios = require('axios');
 const { promisify } = require('util');
 const archiver = require('archiver');
 const sanitize = require('sanitize-filename');
+const ImportItem = require('../models/ImportItem');
 
 const writeFileAsync = promisify(fs.writeFile);
 const mkdirAsync = promisify(fs.mkdir);
@@ -40,7 +41,7 @@ class ImageDownloader {
   /**
    * Download an individual image for processing
    * @param {string} imageUrl - URL of the image to download
-   * @param {number} objectId - Met Museum object ID
+   * @param {number|string} objectId - Met Museum object ID, with the view number for additional images
    * @returns {Promise<string>} - Path to the downloaded image
    */
   async downloadImage(imageUrl, objectId) {
@@ -77,21 +78,41 @@ class ImageDownloader {
         await mkdirAsync(jobDir, { recursive: true });
       }
 
-      const results = job.results.filter(result => result.processed && !result.error && result.imageUrl);
-      console.log(`Processing ${results.length} images for job ${job._id}`);
+      const query = {
+        job: job._id,
+        status: 'completed',
+        error: { $in: [null, ''] },
+        imageUrl: { $nin: [null, ''] }
+      };
+      const total = await ImportItem.countDocuments(query);
+      console.log(`Processing ${total} images for job ${job._id}`);
 
-      for (const result of results) {
+      // Walk the items with a cursor so large jobs are not loaded at once
+      const cursor = ImportItem.find(query).select('objectId title imageUrl additionalImages').sort({ position: 1 }).lean().cursor();
+
+      for await (const result of cursor) {
         try {
           const sourceImagePath = await this.downloadImage(result.imageUrl, result.objectId);
+          const sanitizedTitle = sanitize(result.title).replace(/\s+/g, '_');
 
           if (sourceImagePath) {
-            const sanitizedTitle = sanitize(result.title).replace(/\s+/g, '_');
             const targetImagePath = path.join(jobDir, `${sanitizedTitle}_${result.objectId}.jpg`);
             console.log(`Copying image for ${result.title} to ${targetImagePath}`);
             fs.copyFileSync(sourceImagePath, targetImagePath);
           } else {
             console.warn(`Image for object ${result.objectId} could not be downloaded.`);
           }
+
+          // Additional views follow the primary image as _2, _3, ...
+          for (const [index, image] of (result.additionalImages || []).entries()) {
+            const viewPath = await this.downloadImage(image.url, `${result.objectId}_${index + 1}`);
+
+            if (viewPath) {
+              fs.copyFileSync(viewPath, path.join(jobDir, `${sanitizedTitle}_${result.objectId}_${index + 2}.jpg`));
+            } else {
+              console.warn(`Additional image ${index + 1} of object ${result.objectId} could not be downloaded.`);
+            }
+          }
         } catch (error) {
           console.error(`Error processing image for ${result.title}:`, error.message);
         }
@@ -0,0 +1,282 @@
+// services/importPreview.js - Dry run of an import: what a job would find, skip and cost
+const MetService = require('./metService');
+const { PROVIDERS } = require('./llmProviders');
+const { getCandidateLimit, checkArtTypeLimit } = require('../utils/artTypeFilter');
+
+const DEFAULT_SAMPLE_SIZE = 8;
+const MAX_SAMPLE_SIZE = 20;
+
+// Objects a preview searches for, one page of the collection listing. Counts come from the
+// number of matches the search reports, so a preview never pages through a large result.
+const PREVIEW_SEARCH_LIMIT = 100;
+
+// Rough duration of the pipeline stages in seconds, measured on typical runs
+const STAGE_SECONDS = {
+  metadata: 1,
+  image: 2,
+  descriptions: 10,
+  shopifyProduct: 2,
+  shopifyCollection: 0.5
+};
+const ITEM_DELAY_SECONDS = 0.5; // JobProcessor.itemDelay
+
+// API budgets the run is held to (see rateLimitManager.js)
+const MET_REQUESTS_PER_MINUTE = 80;
+const SHOPIFY_REQUESTS_PER_SECOND = 2;
+
+// A JSON reply with a 5 sentence and a 3 paragraph description, SEO fields and tags is about this long
+const ESTIMATED_COMPLETION_CHARS = 3000;
+const CHARS_PER_TOKEN = 4;
+
+// USD per 1K tokens, OpenAI and Azure models can be overridden with OPENAI_PRICE_INPUT_PER_1K / OPENAI_PRICE_OUTPUT_PER_1K
+const MODEL_PRICES = {
+  'gpt-3.5-turbo': { input: 0.0005, output: 0.0015 },
+  'gpt-4o-mini': { input: 0.00015, output: 0.0006 },
+  'gpt-4o': { input: 0.0025, output: 0.01 },
+  'gpt-4-turbo': { input: 0.01, output: 0.03 },
+  'gpt-4': { input: 0.03, output: 0.06 },
+  'claude-3-5-haiku': { input: 0.0008, output: 0.004 },
+  'claude-3-5-sonnet': { input: 0.003, output: 0.015 }
+};
+
+class ImportPreview {
+  constructor(metService = new MetService()) {
+    this.metService = metService;
+    this.openai = metService.openai;
+  }
+
+  /**
+   * Look up what an import would do without creating a job. Only reads from the
+   * Met APIs, nothing is sent to the LLM provider or Shopify. The search is capped at
+   * PREVIEW_SEARCH_LIMIT objects and artwork types are only checked on the sample.
+   * @param {string} source - Job source: url, category or list
+   * @param {Object} query - Parsed Met URL query or category selections
+   * @param {Object} [options] - Job options (maxItems, searchBackend, skipShopifyUpload, concurrency)
+   * @param {number} [sampleSize] - Number of objects to fetch details for
+   * @returns {Promise<Object>} - Counts, sample artworks and estimates
+   * @throws {Error} - With code ART_TYPE_LIMIT_REQUIRED for artwork types without maxItems
+   */
+  async preview(source, query, options = {}, sampleSize = DEFAULT_SAMPLE_SIZE) {
+    const warnings = [];
+    const artworkTypes = source === 'category' ? query.artworkTypes || [] : [];
+
+    const limitError = checkArtTypeLimit(source, query, options);
+    if (limitError) {
+      const error = new Error(limitError);
+      error.code = 'ART_TYPE_LIMIT_REQUIRED';
+      throw error;
+    }
+
+    const search = await this.metService.findObjectIds(source, { ...query, artworkTypes: [] }, {
+      maxItems: options.maxItems > 0 ? Math.min(options.maxItems, PREVIEW_SEARCH_LIMIT) : PREVIEW_SEARCH_LIMIT,
+      backend: options.searchBackend
+    });
+    const { total, backend, errors, urlResults } = search;
+    const objectIds = search.objectIds;
+
+    if (urlResults) {
+      urlResults.filter(result => result.error).forEach(result => {
+        warnings.push(`The search for ${result.url} failed (${result.error}) and would be left out.`);
+      });
+    } else {
+      errors.forEach(error => {
+        warnings.push(`The ${error.backend} search failed (${error.message})${backend ? `, results come from ${backend}` : ''}.`);
+      });
+    }
+    if (backend && objectIds.length === 0) {
+      warnings.push('The search found no objects. The job would fall back to a generic search of public domain works.');
+    }
+
+    const size = Math.min(Math.max(parseInt(sampleSize) || DEFAULT_SAMPLE_SIZE, 1), MAX_SAMPLE_SIZE);
+    const template = await this.openai.resolveTemplate(options.promptTemplate, options.promptTemplateVersion);
+    const artworks = await this.getSampleArtworks(objectIds.slice(0, size), template, artworkTypes);
+
+    const eligible = artworks.filter(artwork => artwork.eligible);
+    const eligibleRatio = artworks.length > 0 ? eligible.length / artworks.length : 0;
+
+    // The job only keeps the matches of the artwork type filter, which reads a limited number of candidates
+    let importCount = options.maxItems > 0 ? Math.min(total, options.maxItems) : total;
+    if (artworkTypes.length > 0) {
+      const candidates = Math.min(total, getCandidateLimit(options.maxItems));
+      importCount = Math.min(options.maxItems, Math.round(candidates * eligibleRatio));
+
+      warnings.push(`${eligible.length} of ${artworks.length} sampled objects are ${artworkTypes.join(', ')} and public domain, ` +
+        `the job would check the first ${candidates} of ${total} matches for these types.`);
+    } else if (artworks.length > 0 && eligible.length === 0) {
+      warnings.push('None of the sampled objects are public domain with an image, so most items would be skipped.');
+    }
+    if (artworkTypes.length === 0 && options.maxItems > 0 && total > options.maxItems) {
+      warnings.push(`Only the first ${options.maxItems} of ${total} matches would be imported (max items).`);
+    }
+
+    return {
+      source,
+      backend,
+      totalFound: total,
+      importCount,
+      urlResults,
+      sample: {
+        size: artworks.length,
+        eligibleCount: eligible.length,
+        publicDomainRatio: eligibleRatio,
+        artworks: artworks.map(({ promptChars, ...artwork }) => artwork)
+      },
+      collections: this.countCollections(eligible),
+      // Filtered jobs only process matching objects, so only the matches of the sample describe them
+      estimate: this.estimate(importCount, artworkTypes.length > 0 ? eligible : artworks, options),
+      warnings
+    };
+  }
+
+  /**
+   * Fetch sample objects and propose collections and tags like the pipeline would
+   * @param {number[]} objectIds - Objects to sample
+   * @param {Object} template - Prompt template of the job, see OpenAIService.resolveTemplate
+   * @param {string[]} [artworkTypes] - Types of a category import, other objects are not eligible
+   * @returns {Promise<Object[]>} - Sample artworks, objects that could not be fetched are left out
+   */
+  async getSampleArtworks(objectIds, template, artworkTypes = []) {
+    const artworks = [];
+
+    for (const objectId of objectIds) {
+      const details = await this.metService.getObjectDetails(objectId);
+      if (!details) continue;
+
+      const matchesType = artworkTypes.length === 0 || MetService.matchesArtType(details.classification, artworkTypes);
+      const eligible = Boolean(details.isPublicDomain && details.primaryImage && matchesType);
+      const artwork = {
+        objectId,
+        title: details.title,
+        artist: details.artistDisplayName,
+        date: details.objectDate,
+        department: details.department,
+        classification: details.classification,
+        imageUrl: details.primaryImageSmall || details.primaryImage,
+        isPublicDomain: details.isPublicDomain,
+        matchesType,
+        eligible,
+        collections: [],
+        tags: []
+      };
+
+      if (eligible) {
+        const year = parseInt(details.objectBeginDate);
+        const themes = this.metService.getThemeCollections(details);
+
+        artwork.collections = [...new Set([...this.metService.getEraCollections(year), ...themes.collections])];
+        artwork.tags = themes.tags;
+        const { system, prompt } = this.openai.buildPrompt(details, template);
+        artwork.promptChars = system.length + prompt.length;
+      }
+
+      artworks.push(artwork);
+    }
+
+    return artworks;
+  }
+
+  /**
+   * Count how many sampled artworks each proposed collection would receive
+   * @param {Object[]} artworks - Eligible sample artworks
+   * @returns {Object[]} - Collection names and counts, most frequent first
+   */
+  countCollections(artworks) {
+    const counts = {};
+    artworks.forEach(artwork => {
+      artwork.collections.forEach(name => {
+        counts[name] = (counts[name] || 0) + 1;
+      });
+    });
+
+    return Object.entries(counts)
+      .map(([name, count]) => ({ name, count }))
+      .sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+  }
+
+  /**
+   * Extrapolate run time and AI cost from the sample
+   * @param {number} importCount - Objects the job would process
+   * @param {Object[]} artworks - Sample artworks
+   * @param {Object} options - Job options
+   * @returns {Object} - Expected imports and skips, duration in seconds and AI usage
+   */
+  estimate(importCount, artworks, options) {
+    const eligible = artworks.filter(artwork => artwork.eligible);
+    const ratio = artworks.length > 0 ? eligible.length / artworks.length : 0;
+    const expectedImports = Math.round(importCount * ratio);
+    const expectedSkips = importCount - expectedImports;
+
+    const average = (values) => values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+    const collectionsPerItem = average(eligible.map(artwork => artwork.collections.length));
+    const promptChars = average(eligible.map(artwork => artwork.promptChars));
+
+    // Time spent on the items, spread over the job's workers
+    let importSeconds = STAGE_SECONDS.metadata + STAGE_SECONDS.image + STAGE_SECONDS.descriptions + ITEM_DELAY_SECONDS;
+    if (!options.skipShopifyUpload) {
+      importSeconds += STAGE_SECONDS.shopifyProduct + collectionsPerItem * STAGE_SECONDS.shopifyCollection;
+    }
+    const skipSeconds = STAGE_SECONDS.metadata + ITEM_DELAY_SECONDS;
+    const concurrency = options.concurrency || parseInt(process.env.JOB_PER_JOB_CONCURRENCY) || 2;
+    const workerSeconds = (expectedImports * importSeconds + expectedSkips * skipSeconds) / concurrency;
+
+    // The run can't be faster than the API budgets allow
+    const limits = {
+      workers: workerSeconds,
+      met: importCount / MET_REQUESTS_PER_MINUTE * 60,
+      shopify: options.skipShopifyUpload ? 0 : expectedImports * (1 + collectionsPerItem) / SHOPIFY_REQUESTS_PER_SECOND
+    };
+    const bottleneck = Object.keys(limits).reduce((slowest, key) => limits[key] > limits[slowest] ? key : slowest);
+
+    return {
+      expectedImports,
+      expectedSkips,
+      concurrency,
+      seconds: Math.ceil(limits[bottleneck]),
+      bottleneck,
+      ai: this.estimateAiCost(expectedImports, promptChars, options)
+    };
+  }
+
+  /**
+   * Estimate LLM token usage and cost for the descriptions
+   * @param {number} requests - Number of description requests
+   * @param {number} promptChars - Average prompt length in characters
+   * @param {Object} [options] - Job options, llmProvider and llmModel pick the provider and model
+   * @returns {Object} - Provider, model, token counts and cost in USD (null when the model has no known price)
+   */
+  estimateAiCost(requests, promptChars, options = {}) {
+    const provider = this.openai.getProvider(options.llmProvider);
+    const model = options.llmModel || provider.model || '';
+    // Local servers and the stub cost nothing per token
+    const knownPrice = PROVIDERS[provider.name].local
+      ? { input: 0, output: 0 }
+      : MODEL_PRICES[model] || MODEL_PRICES[Object.keys(MODEL_PRICES).find(name => model.startsWith(name))];
+    // The price overrides are for OpenAI deployments, other providers bill by their own price lists
+    const overrides = ['openai', 'azure'].includes(provider.name) ? {
+      input: parseFloat(process.env.OPENAI_PRICE_INPUT_PER_1K),
+      output: parseFloat(process.env.OPENAI_PRICE_OUTPUT_PER_1K)
+    } : {};
+    const price = {
+      input: overrides.input || (knownPrice && knownPrice.input),
+      output: overrides.output || (knownPrice && knownPrice.output)
+    };
+
+    const inputTokens = Math.round(requests * promptChars / CHARS_PER_TOKEN);
+    const outputTokens = Math.round(requests * Math.min(ESTIMATED_COMPLETION_CHARS / CHARS_PER_TOKEN, this.openai.maxTokens));
+    const cost = typeof price.input === 'number' && typeof price.output === 'number'
+      ? inputTokens / 1000 * price.input + outputTokens / 1000 * price.output
+      : null;
+
+    return {
+      provider: provider.name,
+      model: model || null,
+      requests,
+      inputTokens,
+      outputTokens,
+      cost: cost === null ? null : Math.round(cost * 10000) / 10000,
+      currency: 'USD'
+    };
+  }
+}
+
+module.exports = ImportPreview;
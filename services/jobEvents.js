@@ -0,0 +1,86 @@
+// services/jobEvents.js - Publishes job progress to connected clients (see routes/eventRoutes.js)
+const EventEmitter = require('events');
+
+// Job fields clients need to render progress, sent instead of the whole document
+const JOB_FIELDS = [
+  'name', 'status', 'progress', 'priority', 'totalObjects', 'totalHits', 'searchBackend', 'urlResults',
+  'processedCount', 'failedCount', 'skippedCount', 'existingSkippedCount', 'pauseReason', 'resumeAfter', 'error',
+  'lease', 'completedAt', 'updatedAt'
+];
+
+class JobEvents extends EventEmitter {
+  constructor() {
+    super();
+
+    // Every open event stream adds a listener
+    this.setMaxListeners(0);
+  }
+
+  /**
+   * Send the current state of a job. Partial updates only carry the fields that changed.
+   * @param {Object} job - Job document or plain object with at least _id
+   * @param {Object} [changes] - Fields to send instead of reading them from the job
+   */
+  publishJob(job, changes) {
+    const source = changes || job;
+    const data = { _id: job._id.toString() };
+
+    JOB_FIELDS.forEach(field => {
+      if (source[field] !== undefined) {
+        data[field] = source[field];
+      }
+    });
+
+    this.publish('job', data);
+  }
+
+  /**
+   * Send the outcome of an import item
+   * @param {ObjectId} jobId - Job the item belongs to
+   * @param {Object} item - ImportItem document
+   * @param {string} status - Outcome: completed, failed, skipped or retrying
+   */
+  publishItem(jobId, item, status) {
+    this.publish('item', {
+      jobId: jobId.toString(),
+      objectId: item.objectId,
+      status,
+      title: item.title,
+      artist: item.artist,
+      imageUrl: item.imageUrl,
+      error: item.error,
+      nextAttemptAt: item.nextAttemptAt
+    });
+  }
+
+  /**
+   * Send a rate limit pause of a job
+   * @param {ObjectId} jobId - The paused job
+   * @param {Date} resumeAfter - When the job continues
+   */
+  publishRateLimit(jobId, resumeAfter) {
+    this.publish('rate_limit', { jobId: jobId.toString(), resumeAfter });
+  }
+
+  /**
+   * Send a new entry of a job's event log
+   * @param {Object} event - JobEvent document
+   */
+  publishLog(event) {
+    this.publish('log', { ...event.toObject(), jobId: event.job.toString() });
+  }
+
+  /**
+   * Send the removal of a job
+   * @param {ObjectId} jobId - The deleted job
+   */
+  publishJobDeleted(jobId) {
+    this.publish('job_deleted', { _id: jobId.toString() });
+  }
+
+  publish(type, data) {
+    this.emit('event', { type, data });
+  }
+}
+
+module.exports = new JobEvents();
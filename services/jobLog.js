@@ -0,0 +1,27 @@
+// services/jobLog.js - Records what happens to a job in its persisted event log
+const JobEvent = require('../models/JobEvent');
+const jobEvents = require('./jobEvents');
+
+/**
+ * Add an entry to a job's event log and push it to connected clients.
+ * Write errors are logged but never thrown, the event log must not break processing.
+ * @param {ObjectId} jobId - Job the event belongs to
+ * @param {string} type - One of JobEvent.TYPES
+ * @param {string} message - Human readable summary
+ * @param {Object} [details] - objectId, actor and type specific data
+ * @returns {Promise<Object|null>} - The stored event
+ */
+async function record(jobId, type, message, { objectId, actor, data } = {}) {
+  try {
+    const event = await JobEvent.create({ job: jobId, type, message, objectId, actor, data });
+    jobEvents.publishLog(event);
+    return event;
+  } catch (error) {
+    console.error(`Error recording ${type} event for job ${jobId}:`, error.message);
+    return null;
+  }
+}
+
+module.exports = {
+  record
+};
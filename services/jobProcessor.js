@@ -1,13 +1,44 @@
 // services/jobProcessor.js - Updated background processor for import jobs
+const os = require('os');
 const Job = require('../models/Job');
+const ImportItem = require('../models/ImportItem');
+const ImportedObject = require('../models/ImportedObject');
+const Schedule = require('../models/Schedule');
 const MetService = require('./metService');
+const ArtworkPipeline = require('./artworkPipeline');
+const RetryPolicy = require('./retryPolicy');
+const { classifyError } = require('../utils/errorClassifier');
+const RateLimitManager = require('./rateLimitManager');
+const WorkerPool = require('./workerPool');
+const jobEvents = require('./jobEvents');
+const jobLog = require('./jobLog');
+
+// skipExisting widens the search by at most this many times maxItems
+const EXISTING_SEARCH_FACTOR = 4;
 
 class JobProcessor {
   constructor() {
     this.isRunning = false;
-    this.currentJob = null;
+    this.activeJobs = new Map(); // Job ID -> { promise, state }
     this.metService = new MetService();
+    this.pipeline = new ArtworkPipeline(this.metService);
+    this.rateLimits = new RateLimitManager();
     this.checkInterval = 5000; // 5 seconds
+    this.itemDelay = 500; // Delay after each object to be nice to the APIs
+    
+    // Lease settings used to detect jobs orphaned by a crashed process
+    this.instanceId = process.env.WORKER_ID || `${os.hostname()}:${process.pid}`;
+    this.leaseDuration = parseInt(process.env.JOB_LEASE_DURATION_MS) || 60000; // 1 minute
+    this.heartbeatInterval = Math.floor(this.leaseDuration / 4);
+    this.recoveryInterval = 60000; // 1 minute
+    this.lastRecoveryAt = 0;
+    
+    // Concurrency settings
+    this.maxActiveJobs = parseInt(process.env.JOB_MAX_ACTIVE) || 3;
+    this.pool = new WorkerPool({
+      concurrency: parseInt(process.env.JOB_WORKER_CONCURRENCY) || 4,
+      perJobConcurrency: parseInt(process.env.JOB_PER_JOB_CONCURRENCY) || 2
+    });
   }
   
   async start() {
@@ -16,7 +47,7 @@ class JobProcessor {
       return;
     }
     
-    console.log('Starting job processor');
+    console.log(`Starting job processor ${this.instanceId} (${this.pool.concurrency} workers, up to ${this.maxActiveJobs} jobs at once)`);
     this.isRunning = true;
     this.processJobs();
   }
@@ -29,252 +60,807 @@ class JobProcessor {
   async processJobs() {
     while (this.isRunning) {
       try {
-        // Get the next job to process
-        const job = await this.getNextJob();
-        
-        if (!job) {
-          // No jobs to process, wait before checking again
-          await this.sleep(this.checkInterval);
-          continue;
+        // Reclaim jobs left behind by a crashed process, at startup and periodically after that
+        if (Date.now() - this.lastRecoveryAt >= this.recoveryInterval) {
+          this.lastRecoveryAt = Date.now();
+          await this.recoverOrphanedJobs();
         }
         
-        this.currentJob = job;
+        await this.materializeSchedules();
         
-        // Process the job based on its current status
-        if (job.status === 'pending') {
-          await this.initializeJob(job);
-        } else if (job.status === 'initialized') {
-          await this.processJob(job);
-        } else if (job.status === 'paused') {
-          // Check if it's time to resume a paused job
-          if (job.pauseReason === 'rate_limit' && job.resumeAfter) {
-            if (Date.now() >= new Date(job.resumeAfter).getTime()) {
-              // Time to resume
-              await job.updateStatus('initialized');
-              await this.processJob(job);
-            } else {
-              // Not time to resume yet, check other jobs
-              await this.sleep(1000);
-            }
-          }
-        }
+        const freeSlots = this.maxActiveJobs - this.activeJobs.size;
         
-        this.currentJob = null;
+        // Claim as many jobs as we have room for
+        for (let i = 0; i < freeSlots; i++) {
+          const job = await this.claimNextJob();
+          if (!job) break;
+          
+          this.runJob(job);
+        }
       } catch (error) {
         console.error('Error in job processor:', error);
+      }
+      
+      await this.sleep(this.checkInterval);
+    }
+  }
+  
+  /**
+   * Create jobs for the schedules that are due. The next run time is moved forward
+   * with a compare-and-set, so only one processor creates the job for a given run.
+   */
+  async materializeSchedules() {
+    const now = new Date();
+    const dueSchedules = await Schedule.find({ enabled: true, nextRunAt: { $lte: now } });
+    
+    for (const schedule of dueSchedules) {
+      const claimed = await Schedule.updateOne(
+        { _id: schedule._id, enabled: true, nextRunAt: schedule.nextRunAt },
+        { $set: { nextRunAt: schedule.getNextRunAt(now), lastRunAt: now } }
+      );
+      
+      if (claimed.modifiedCount === 0) {
+        continue; // Another processor got there first, or the schedule changed
+      }
+      
+      const run = { scheduledFor: schedule.nextRunAt, createdAt: now };
+      
+      try {
+        // Overlapping runs would import the same objects twice
+        const activeRun = await Job.exists({
+          schedule: schedule._id,
+          status: { $in: ['pending', 'initializing', 'initialized', 'processing', 'paused'] }
+        });
         
-        // If there was a job being processed, mark it as failed
-        if (this.currentJob) {
-          this.currentJob.status = 'failed';
-          this.currentJob.error = error.message;
-          await this.currentJob.save();
-          this.currentJob = null;
+        if (activeRun) {
+          run.error = 'Previous run is still active';
+        } else {
+          const job = await Job.create({
+            name: `${schedule.name}: ${now.toLocaleString()}`,
+            priority: schedule.priority,
+            source: schedule.source,
+            query: schedule.query,
+            options: { ...schedule.options, onlyNewItems: schedule.onlyNewItems },
+            schedule: schedule._id
+          });
+          
+          run.job = job._id;
+          jobEvents.publishJob(job);
+          await jobLog.record(job._id, 'created', `Created by schedule ${schedule.name}`, {
+            actor: 'schedule',
+            data: { schedule: schedule._id, scheduledFor: run.scheduledFor }
+          });
+          console.log(`Schedule ${schedule._id} (${schedule.name}) created job ${job._id}`);
         }
-        
-        // Wait before trying again
-        await this.sleep(10000);
+      } catch (error) {
+        console.error(`Error running schedule ${schedule._id}:`, error);
+        run.error = error.message;
       }
+      
+      if (run.error) {
+        console.warn(`Schedule ${schedule._id} (${schedule.name}) skipped a run: ${run.error}`);
+      }
+      
+      await Schedule.updateOne(
+        { _id: schedule._id },
+        {
+          $push: { runs: { $each: [run], $position: 0, $slice: Schedule.MAX_RUN_HISTORY } },
+          $inc: { runCount: run.job ? 1 : 0 },
+          ...(run.job && { $set: { lastJob: run.job } })
+        }
+      );
     }
   }
   
-  async getNextJob() {
-    // Get all jobs that need processing, ordered by priority
-    const jobs = await Job.find({
-      $or: [
-        { status: 'pending' },
-        { status: 'initialized' },
-        { 
-          status: 'paused', 
-          pauseReason: 'rate_limit',
-          resumeAfter: { $lte: new Date() }
+  /**
+   * Atomically claim the highest priority job that needs processing and is not leased
+   * by another processor, the oldest one among jobs of the same priority. Safe to call from several instances against the same database.
+   * @returns {Promise<Object|null>} - The claimed job, or null if there is nothing to do
+   */
+  async claimNextJob() {
+    const now = new Date();
+    
+    return Job.findOneAndUpdate(
+      {
+        _id: { $nin: Array.from(this.activeJobs.keys()) },
+        $and: [
+          {
+            $or: [
+              { status: 'pending' },
+              { status: 'initialized' },
+              { 
+                status: 'paused', 
+                pauseReason: { $in: ['rate_limit', 'retry'] },
+                resumeAfter: { $lte: now }
+              }
+            ]
+          },
+          {
+            $or: [
+              { 'lease.owner': { $exists: false } },
+              { 'lease.owner': null },
+              { 'lease.expiresAt': { $lt: now } }
+            ]
+          }
+        ]
+      },
+      {
+        $set: {
+          lease: { owner: this.instanceId, expiresAt: new Date(now.getTime() + this.leaseDuration) },
+          heartbeatAt: now
         }
+      },
+      { sort: Job.QUEUE_SORT, new: true }
+    );
+  }
+  
+  /**
+   * Find jobs that are marked as running but whose lease ran out, meaning the
+   * process working on them died, and put them back in the queue
+   * @returns {Promise<number>} - Number of recovered jobs
+   */
+  async recoverOrphanedJobs() {
+    const orphans = await Job.find({
+      _id: { $nin: Array.from(this.activeJobs.keys()) },
+      status: { $in: ['initializing', 'processing'] },
+      $or: [
+        { 'lease.expiresAt': { $lt: new Date() } },
+        { 'lease.expiresAt': { $exists: false } },
+        { 'lease.expiresAt': null }
       ]
-    }).sort({ createdAt: 1 });
+    });
+    
+    for (const job of orphans) {
+      // Jobs that crashed while collecting object IDs start over, others resume from their checkpoint
+      const status = job.status === 'initializing' || job.totalObjects === 0 ? 'pending' : 'initialized';
+      
+      // Only touch the job if nobody else reclaimed or renewed it in the meantime
+      const filter = { _id: job._id, status: job.status };
+      if (job.lease && job.lease.expiresAt) {
+        filter['lease.expiresAt'] = job.lease.expiresAt;
+      }
+      
+      const result = await Job.updateOne(
+        filter,
+        {
+          $set: { status, recoveredAt: new Date(), updatedAt: new Date() },
+          $unset: { lease: '' },
+          $inc: { recoveryCount: 1 }
+        }
+      );
+      
+      if (result.modifiedCount > 0) {
+        jobEvents.publishJob(job, { status, lease: null });
+        await jobLog.record(job._id, 'recovered', `Recovered after processor ${job.lease ? job.lease.owner : 'unknown'} stopped responding`, {
+          actor: this.instanceId,
+          data: { previousOwner: job.lease ? job.lease.owner : null, previousStatus: job.status }
+        });
+        console.warn(`Recovered orphaned job ${job._id} (lease owner: ${job.lease ? job.lease.owner : 'none'}), ` +
+          `resuming from ${job.processedCount}/${job.totalObjects} processed objects`);
+      }
+    }
     
-    return jobs.length > 0 ? jobs[0] : null;
+    return orphans.length;
   }
   
-  async initializeJob(job) {
-  try {
-    console.log(`Initializing job ${job._id}: ${job.name}`);
-    job.status = 'processing';
-    await job.save();
-      
-      let objectIds = [];
-      
-      // Get object IDs based on job source
-      if (job.source === 'url') {
-        console.log(`Processing URL job with query:`, job.query);
-        objectIds = await this.metService.searchObjects(job.query);
-      } else if (job.source === 'category') {
-        // Use the category source
-        console.log(`Processing category job with:`, {
-          artworkTypes: job.query.artworkTypes,
-          timePeriods: job.query.timePeriods,
-          keywords: job.query.keywords
-        });
+  async renewLease(job, state) {
+    const now = new Date();
+    
+    try {
+      const result = await Job.updateOne(
+        { _id: job._id, 'lease.owner': this.instanceId },
+        { $set: { 'lease.expiresAt': new Date(now.getTime() + this.leaseDuration), heartbeatAt: now } }
+      );
+      
+      // Another processor reclaimed the job (e.g. we stalled past the lease), so stop working on it
+      if (result.matchedCount === 0 && !state.halted) {
+        console.warn(`Lost lease on job ${job._id}, stopping work on it`);
+        this.halt(job._id.toString(), state);
+      }
+    } catch (error) {
+      console.error(`Error renewing lease for job ${job._id}:`, error.message);
+    }
+  }
+  
+  async releaseLease(job) {
+    await Job.updateOne(
+      { _id: job._id, 'lease.owner': this.instanceId },
+      { $unset: { lease: '' } }
+    );
+  }
+  
+  runJob(job) {
+    const jobId = job._id.toString();
+    
+    const state = {
+      halted: false,
+      processedCount: 0,
+      failedCount: 0,
+      skippedCount: 0
+    };
+    
+    const run = (async () => {
+      const heartbeat = setInterval(() => this.renewLease(job, state), this.heartbeatInterval);
+      
+      try {
         
-        // Build query from category selections
-        const query = {
-          hasImages: true,
-          departmentIds: job.query.departmentIds || [],
-          keywords: job.query.keywords || '',
-          isPublicDomain: job.query.isPublicDomain !== undefined ? job.query.isPublicDomain : true,
-          filters: {
-            additionalKeywords: []
+        // Process the job based on its current status
+        if (job.status === 'pending') {
+          await this.initializeJob(job);
+          
+          if (job.status !== 'initialized') {
+            return;
           }
-        };
-        
-        // Add time period date ranges if selected
-        if (job.query.timePeriods && job.query.timePeriods.length > 0) {
-          // Map time periods to date ranges and keywords
-          job.query.timePeriods.forEach(period => {
-            const periodLower = period.toLowerCase();
-            
-            // Add period as a keyword
-            query.filters.additionalKeywords.push(periodLower);
-            
-            // Map to date ranges based on period names
-            if (periodLower.includes('1900-present') || periodLower.includes('20th century')) {
-              query.dateBegin = 1900;
-            } else if (periodLower.includes('19th century') || periodLower.includes('1800')) {
-              query.dateBegin = 1800;
-              query.dateEnd = 1899;
-            } else if (periodLower.includes('baroque') || periodLower.includes('rococo') || 
-                      periodLower.includes('1600-1750')) {
-              query.dateBegin = 1600;
-              query.dateEnd = 1750;
-            } else if (periodLower.includes('renaissance') || periodLower.includes('1400-1600')) {
-              query.dateBegin = 1400;
-              query.dateEnd = 1600;
-            } else if (periodLower.includes('medieval') || periodLower.includes('500-1400')) {
-              query.dateBegin = 500;
-              query.dateEnd = 1400;
-            }
+        } else if (job.status === 'paused') {
+          // Rate limit window or retry backoff has passed, resume the job unless it was cancelled since the claim
+          const reason = job.pauseReason;
+          if (!await this.setOwnedStatus(job, 'initialized', 'paused')) {
+            return;
+          }
+          await jobLog.record(job._id, 'resumed', reason === 'retry' ? 'Resumed to retry failed items' : 'Resumed after rate limit wait', {
+            actor: this.instanceId,
+            data: { reason }
           });
         }
         
-        // Set classification filter if artwork types are selected
-        if (job.query.artworkTypes && job.query.artworkTypes.length > 0) {
-          query.filters.classification = job.query.artworkTypes[0]; // Use first selected type as primary filter
-          
-          // Add all types as keywords
-          job.query.artworkTypes.forEach(type => {
-            query.filters.additionalKeywords.push(type.toLowerCase());
-          });
-        }
+        await this.processJob(job, state);
+      } catch (error) {
+        console.error(`Error running job ${jobId}:`, error);
         
-        // Get object IDs with the constructed query
-        objectIds = await this.metService.searchObjects(query);
+        await this.updateOwnedJob(job, { status: 'failed', error: error.message });
+        await jobLog.record(job._id, 'failed', `Job failed: ${error.message}`, { actor: this.instanceId });
+      } finally {
+        clearInterval(heartbeat);
+        await this.releaseLease(job).catch(error => {
+          console.error(`Error releasing lease for job ${jobId}:`, error.message);
+        });
+        this.activeJobs.delete(jobId);
+      }
+    })();
+    
+    this.activeJobs.set(jobId, { promise: run, state });
+    return run;
+  }
+  
+  async initializeJob(job) {
+    try {
+      console.log(`Initializing job ${job._id}: ${job.name}`);
+      if (!await this.setOwnedStatus(job, 'initializing', 'pending')) {
+        return;
+      }
+      
+      // Recurring runs only import the objects earlier runs of the schedule did not
+      let imported = null;
+      if (job.schedule && job.options.onlyNewItems) {
+        const earlierJobs = await Job.find({ schedule: job.schedule, _id: { $ne: job._id } }).distinct('_id');
+        imported = new Set(await ImportItem.distinct('objectId', {
+          job: { $in: earlierJobs },
+          status: 'completed'
+        }));
+      }
+      
+      // Read enough pages to still fill maxItems after leaving out imported objects. The
+      // registry of all jobs can be large, so it only widens the search up to a point.
+      // The artwork type filter stops at its own candidate cap however far this widens.
+      let maxItems = job.options.maxItems > 0 ? job.options.maxItems + (imported ? imported.size : 0) : 0;
+      if (maxItems && job.options.skipExisting) {
+        const registered = await ImportedObject.estimatedDocumentCount();
+        maxItems += Math.min(registered, job.options.maxItems * EXISTING_SEARCH_FACTOR);
+      }
+      const search = await this.metService.findObjectIds(job.source, job.query, {
+        maxItems,
+        backend: job.options.searchBackend
+      });
+      
+      // Every backend failing is an error, unlike a search without results
+      if (!search.backend) {
+        throw new Error(`Search failed: ${search.errors.map(error => `${error.url ? `${error.url} ` : ''}${error.backend}: ${error.message}`).join('; ')}`);
+      }
+      
+      let objectIds = search.objectIds;
+      job.totalHits = search.total;
+      job.searchBackend = search.backend;
+      
+      if (search.urlResults) {
+        job.urlResults = search.urlResults;
         
-        // Further filter by artwork types if needed
-        if (job.query.artworkTypes && job.query.artworkTypes.length > 1) {
-          objectIds = await this.metService.filterForArtTypes(objectIds, job.query.artworkTypes);
+        for (const result of search.urlResults.filter(urlResult => urlResult.error)) {
+          await jobLog.record(job._id, 'search_url_failed', `Left out ${result.url}: ${result.error}`, {
+            actor: this.instanceId,
+            data: { url: result.url, errors: search.errors.filter(error => error.url === result.url) }
+          });
         }
+      } else if (search.errors.length > 0) {
+        const failed = search.errors.map(error => error.backend).join(', ');
+        await jobLog.record(job._id, 'search_fallback', `Search fell back to ${search.backend} after ${failed} failed`, {
+          actor: this.instanceId,
+          data: { backend: search.backend, errors: search.errors }
+        });
       }
       
-      // Add fallback if no results found
-      if (objectIds.length === 0) {
+      // Add fallback if no results found, a list that turned out empty should stay empty
+      if (objectIds.length === 0 && job.source !== 'list') {
         console.warn(`No objects found for job ${job._id}. Using fallback search.`);
         // Try a more basic search
-        objectIds = await this.metService.searchObjects({
+        const fallback = await this.metService.findObjectIds('url', {
           hasImages: true,
           isPublicDomain: true,
           q: '*'
-        });
+        }, { maxItems, backend: job.options.searchBackend });
+        objectIds = fallback.objectIds;
+        job.totalHits = fallback.total;
         
         if (objectIds.length > 0) {
           console.log(`Fallback search found ${objectIds.length} objects`);
         }
       }
       
+      if (imported) {
+        const newObjectIds = objectIds.filter(objectId => !imported.has(objectId));
+        job.previouslyImportedCount = objectIds.length - newObjectIds.length;
+        objectIds = newObjectIds;
+        
+        console.log(`Job ${job._id} left out ${job.previouslyImportedCount} objects imported by earlier runs`);
+      }
+      
+      if (job.options.skipExisting) {
+        const existing = await this.findExistingImports(job, objectIds);
+        job.existingSkippedCount = existing.size;
+        objectIds = objectIds.filter(objectId => !existing.has(objectId));
+        
+        if (existing.size > 0) {
+          console.log(`Job ${job._id} left out ${existing.size} objects already imported by other jobs`);
+        }
+      }
+      
       // Limit the number of objects if maxItems is set
       if (job.options.maxItems && job.options.maxItems > 0 && objectIds.length > job.options.maxItems) {
         objectIds = objectIds.slice(0, job.options.maxItems);
       }
       
-      // Update the job with the object IDs
-      job.objectIds = objectIds;
+      // Store one import item per object, replacing any left over from an interrupted initialization
+      await ImportItem.deleteMany({ job: job._id });
+      await ImportItem.insertMany(
+        objectIds.map((objectId, position) => ({
+          job: job._id,
+          objectId,
+          position,
+          sourceUrls: search.sourceUrls ? search.sourceUrls[objectId] : undefined
+        })),
+        { ordered: false }
+      );
+      
+      // Update the job with the object count
       job.totalObjects = objectIds.length;
-      job.status = 'initialized';
       await job.save();
+      if (!await this.setOwnedStatus(job, 'initialized', 'initializing')) {
+        return;
+      }
+      await jobLog.record(job._id, 'initialized', `Found ${objectIds.length} objects to import (${job.totalHits} search matches)`, {
+        actor: this.instanceId,
+        data: {
+          totalObjects: objectIds.length,
+          totalHits: job.totalHits,
+          searchBackend: job.searchBackend,
+          previouslyImportedCount: job.previouslyImportedCount,
+          existingSkippedCount: job.existingSkippedCount
+        }
+      });
       
       console.log(`Job ${job._id} initialized with ${objectIds.length} objects`);
     } catch (error) {
       console.error(`Error initializing job ${job._id}:`, error);
-      job.status = 'failed';
-      job.error = error.message;
-      await job.save();
+      
+      // A pause, cancel or another processor's reclaim since the claim wins over the failure
+      if (await this.updateOwnedJob(job, { status: 'failed', error: error.message }, 'initializing')) {
+        job.status = 'failed';
+        job.error = error.message;
+        job.unmarkModified('status');
+        job.unmarkModified('error');
+        await jobLog.record(job._id, 'failed', `Initialization failed: ${error.message}`, { actor: this.instanceId });
+      }
     }
   }
   
-  async processJob(job) {
+  async processJob(job, state) {
+    const jobId = job._id.toString();
+    
     try {
-      console.log(`Processing job ${job._id}: ${job.name}`);
-      job.status = 'processing';
-      await job.save();
+      console.log(`Processing job ${jobId}: ${job.name}`);
+      if (!await this.setOwnedStatus(job, 'processing', 'initialized')) {
+        return;
+      }
       
-      // Process each object ID
-      for (let i = job.processedIds.length; i < job.objectIds.length; i++) {
-        const objectId = job.objectIds[i];
+      state.processedCount = job.processedCount;
+      state.failedCount = job.failedCount;
+      state.skippedCount = job.skippedCount;
+      const limit = job.options.concurrency || this.pool.perJobConcurrency;
+      
+      // Keep going while items are ready, failed items may be due for a retry again within the run
+      let remaining = await this.getReadyItems(job);
+      
+      await jobLog.record(job._id, 'started', `Processing ${remaining.length} objects on ${this.instanceId}`, {
+        actor: this.instanceId,
+        data: { remaining: remaining.length, concurrency: limit }
+      });
+      
+      while (remaining.length > 0) {
+        // Hand every object to the worker pool, which interleaves them with other jobs
+        await Promise.all(remaining.map(item => 
+          this.pool.run(jobId, () => this.processObject(job, item, state), limit)
+        ));
         
-        try {
-          console.log(`Processing object ${objectId} (${i + 1}/${job.objectIds.length})`);
-          
-          // Skip if already processed
-          if (job.processedIds.includes(objectId)) {
-            console.log(`Object ${objectId} already processed, skipping`);
-            continue;
-          }
-          
-          // Process the artwork
-          const result = await this.metService.processArtwork(objectId, job.options);
+        if (state.halted) {
+          return;
+        }
+        
+        remaining = await this.getReadyItems(job);
+      }
+      
+      // Items waiting out their retry backoff: free the slot and come back when the first one is due
+      const nextRetry = await ImportItem.findOne({ job: job._id, status: 'pending', nextAttemptAt: { $gt: new Date() } })
+        .select('nextAttemptAt')
+        .sort({ nextAttemptAt: 1 });
+      
+      if (nextRetry) {
+        const paused = await this.updateOwnedJob(
+          job,
+          { status: 'paused', pauseReason: 'retry', resumeAfter: nextRetry.nextAttemptAt },
+          'processing'
+        );
+        
+        if (paused) {
+          await jobLog.record(job._id, 'paused', 'Paused until failed items are due for a retry', {
+            actor: this.instanceId,
+            data: { reason: 'retry', resumeAfter: nextRetry.nextAttemptAt }
+          });
+        }
+        
+        console.log(`Job ${jobId} waiting to retry failed items. Will resume at ${nextRetry.nextAttemptAt}`);
+        return;
+      }
+      
+      // All objects processed. Only complete the job if nobody paused or cancelled it meanwhile.
+      const completed = await this.updateOwnedJob(job, { status: 'completed', progress: 100, completedAt: new Date() }, 'processing');
+      
+      if (completed) {
+        await jobLog.record(job._id, 'completed',
+          `Completed: ${state.processedCount} processed, ${state.failedCount} failed, ${state.skippedCount} skipped`, {
+            actor: this.instanceId,
+            data: { processedCount: state.processedCount, failedCount: state.failedCount, skippedCount: state.skippedCount }
+          });
+      }
+      
+      console.log(`Job ${jobId} completed: ${state.processedCount} processed, ${state.failedCount} failed, ${state.skippedCount} skipped`);
+    } catch (error) {
+      console.error(`Error processing job ${jobId}:`, error);
+      this.pool.clear(jobId);
+      
+      await this.updateOwnedJob(job, { status: 'failed', error: error.message });
+      await jobLog.record(job._id, 'failed', `Job failed: ${error.message}`, { actor: this.instanceId });
+    }
+  }
+  
+  // Items that have not finished and are not waiting for a retry. Items still marked
+  // as processing were in flight when a previous run died.
+  async getReadyItems(job) {
+    return ImportItem.find({
+      job: job._id,
+      status: { $in: ['pending', 'processing'] },
+      $or: [
+        { nextAttemptAt: { $exists: false } },
+        { nextAttemptAt: null },
+        { nextAttemptAt: { $lte: new Date() } }
+      ]
+    })
+      .select('objectId status')
+      .sort({ position: 1 });
+  }
+  
+  async processObject(job, item, state) {
+    const jobId = job._id.toString();
+    const objectId = item.objectId;
+    
+    if (state.halted) {
+      return;
+    }
+    
+    // Stop handing out work if the job was paused, cancelled or taken over while queued
+    const current = await Job.findById(job._id).select('status lease');
+    if (!current || current.status !== 'processing' || !current.lease || current.lease.owner !== this.instanceId) {
+      this.halt(jobId, state);
+      return;
+    }
+    
+    await this.waitForRateLimits();
+    
+    try {
+      console.log(`Processing object ${objectId} for job ${jobId}`);
+      
+      // Another job may have imported the object since this one was initialized
+      if (job.options.skipExisting && item.status === 'pending') {
+        const existing = await this.findExistingImports(job, [objectId]);
+        if (existing.has(objectId)) {
+          await this.skipExistingItem(job, state, item, existing.get(objectId));
+          return;
+        }
+      }
+      
+      // An object that was in flight when a previous run died may already exist in Shopify
+      const options = item.status === 'processing'
+        ? { ...job.toObject().options, checkExistingProduct: true }
+        : job.options;
+      
+      const doc = await ImportItem.findByIdAndUpdate(
+        item._id,
+        { $set: { status: 'processing', startedAt: new Date(), updatedAt: new Date() } },
+        { new: true }
+      );
+      
+      await jobLog.record(job._id, 'item_started', `Started object ${objectId} at stage ${doc.getCurrentStage()}`, {
+        actor: this.instanceId,
+        objectId,
+        data: { stage: doc.getCurrentStage(), attempt: doc.attemptCount + 1 }
+      });
+      
+      // Run the remaining pipeline stages of the artwork
+      let status = await this.pipeline.run(doc, options);
+      
+      if (status === 'failed') {
+        status = await this.applyRetryPolicy(job, doc);
+      }
+      
+      await this.recordItemOutcome(job, state, doc, status);
+    } catch (error) {
+      console.error(`Error processing object ${objectId}:`, error);
+      
+      // Check if rate limited
+      if (error.code === 'RATE_LIMIT_EXCEEDED') {
+        if (!state.halted) {
+          this.halt(jobId, state);
           
-          if (result) {
-            // Add to results
-            job.results.push(result);
-            job.processedIds.push(objectId);
-            
-            // Update progress and save
-            job.progress = job.calculateProgress();
-            await job.save();
-          }
-        } catch (error) {
-          console.error(`Error processing object ${objectId}:`, error);
+          // Pause job due to rate limiting
+          const resumeAfter = new Date(Date.now() + (error.retryAfter * 1000));
+          const paused = await this.updateOwnedJob(
+            job,
+            { status: 'paused', pauseReason: 'rate_limit', resumeAfter },
+            'processing'
+          );
           
-          // Check if rate limited
-          if (error.code === 'RATE_LIMIT_EXCEEDED') {
-            // Pause job due to rate limiting
-            await job.updateStatus('paused', 'rate_limit');
-            job.resumeAfter = new Date(Date.now() + (error.retryAfter * 1000));
-            await job.save();
-            
-            console.log(`Job ${job._id} paused due to rate limit. Will resume at ${job.resumeAfter}`);
-            return;
+          if (paused) {
+            jobEvents.publishRateLimit(job._id, resumeAfter);
+            await jobLog.record(job._id, 'paused', `Paused by a rate limit: ${error.message}`, {
+              actor: this.instanceId,
+              objectId,
+              data: { reason: 'rate_limit', resumeAfter }
+            });
           }
           
-          // Add to failed IDs for other errors
-          if (!job.failedIds.includes(objectId)) {
-            job.failedIds.push(objectId);
-            await job.save();
-          }
+          console.log(`Job ${jobId} paused due to rate limit. Will resume at ${resumeAfter}`);
         }
-        
-        // Small delay between requests to be nice to the API
-        await this.sleep(500);
+        return;
       }
       
-      // All objects processed
-      job.status = 'completed';
-      job.completedAt = new Date();
-      await job.save();
+      // Record the failure for other errors and let the retry policy decide what happens next
+      const doc = await ImportItem.findById(item._id);
+      doc.attemptCount++;
+      doc.attemptHistory.push({ stage: doc.getCurrentStage(), error: error.message, errorClass: classifyError(error) });
+      doc.status = 'failed';
+      doc.error = error.message;
+      doc.completedAt = new Date();
       
-      console.log(`Job ${job._id} completed: ${job.processedIds.length} processed, ${job.failedIds.length} failed`);
-    } catch (error) {
-      console.error(`Error processing job ${job._id}:`, error);
-      job.status = 'failed';
-      job.error = error.message;
-      await job.save();
+      const status = await this.applyRetryPolicy(job, doc);
+      await this.recordItemOutcome(job, state, doc, status);
+    }
+    
+    // Small delay between requests to be nice to the API
+    await this.sleep(this.itemDelay);
+  }
+  
+  /**
+   * Schedule another attempt for a failed item, or move it to the dead-letter list
+   * when it ran out of attempts or the error is not worth retrying
+   * @param {Object} job - The job the item belongs to
+   * @param {Object} item - Failed ImportItem document
+   * @returns {Promise<string>} - 'retrying' or 'failed'
+   */
+  async applyRetryPolicy(job, item) {
+    const policy = new RetryPolicy(job.toObject().options.retry);
+    const lastAttempt = item.attemptHistory[item.attemptHistory.length - 1];
+    const errorClass = lastAttempt ? lastAttempt.errorClass : 'unknown';
+    
+    if (policy.shouldRetry(errorClass, item.attemptCount)) {
+      item.status = 'pending';
+      item.nextAttemptAt = new Date(Date.now() + policy.getDelay(item.attemptCount));
+      await item.save();
+      
+      console.log(`Object ${item.objectId} failed with ${errorClass} error, retry ${item.attemptCount} scheduled for ${item.nextAttemptAt}`);
+      return 'retrying';
+    }
+    
+    item.deadLetteredAt = new Date();
+    item.nextAttemptAt = undefined;
+    await item.save();
+    
+    console.log(`Object ${item.objectId} moved to dead-letter list after ${item.attemptCount} attempts (${errorClass})`);
+    return 'failed';
+  }
+  
+  /**
+   * Look up objects that other jobs already imported in a way that covers this job
+   * @param {Object} job - The job about to import the objects
+   * @param {number[]} objectIds - Met Museum object IDs
+   * @returns {Promise<Map>} - Object ID -> ImportedObject entry, for the objects to skip
+   */
+  async findExistingImports(job, objectIds) {
+    const existing = new Map();
+    if (objectIds.length === 0) {
+      return existing;
+    }
+    
+    const entries = await ImportedObject.find({ objectId: { $in: objectIds } }).lean();
+    entries
+      .filter(entry => ImportedObject.coversJob(entry, job))
+      .forEach(entry => existing.set(entry.objectId, entry));
+    
+    return existing;
+  }
+  
+  // Skip an item another job imported while this one was running, linking it to that import
+  async skipExistingItem(job, state, item, entry) {
+    const doc = await ImportItem.findByIdAndUpdate(
+      item._id,
+      {
+        $set: {
+          status: 'skipped',
+          error: `Already imported by job ${entry.job}`,
+          existingImport: { job: entry.job, shopifyProductId: entry.shopifyProductId },
+          completedAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { new: true }
+    );
+    
+    await Job.updateOne({ _id: job._id }, { $inc: { existingSkippedCount: 1 } });
+    await this.recordItemOutcome(job, state, doc, 'skipped');
+  }
+  
+  // Update the job's counters and progress after an item finished
+  async recordItemOutcome(job, state, item, status) {
+    jobEvents.publishItem(job._id, item, status);
+    await this.logItemOutcome(job, item, status);
+    
+    // Later jobs with skipExisting leave out objects in the registry, items waiting for review are registered once approved
+    if (status === 'completed' && !(item.review && item.review.required)) {
+      await ImportedObject.recordImport(item).catch(error => {
+        console.error(`Error registering imported object ${item.objectId}:`, error.message);
+      });
+    }
+    
+    const counter = { completed: 'processedCount', failed: 'failedCount', skipped: 'skippedCount' }[status];
+    
+    // Items scheduled for a retry have not finished yet
+    if (!counter) {
+      return;
+    }
+    
+    state[counter]++;
+    const progress = this.calculateProgress(job, state);
+    
+    await Job.updateOne(
+      { _id: job._id },
+      {
+        $inc: { [counter]: 1 },
+        $set: { progress, updatedAt: new Date() }
+      }
+    );
+    
+    jobEvents.publishJob(job, { progress, [counter]: state[counter] });
+  }
+  
+  // Add the outcome of an item to the job's event log
+  async logItemOutcome(job, item, status) {
+    const lastAttempt = item.attemptHistory && item.attemptHistory[item.attemptHistory.length - 1];
+    const failure = lastAttempt && {
+      stage: lastAttempt.stage,
+      errorClass: lastAttempt.errorClass,
+      error: lastAttempt.error,
+      attempts: item.attemptCount
+    };
+    const details = { actor: this.instanceId, objectId: item.objectId };
+    
+    switch (status) {
+      case 'completed':
+        return jobLog.record(job._id, 'item_succeeded', `Imported "${item.title}"`, {
+          ...details,
+          data: { title: item.title, shopifyProductId: item.shopifyProductId }
+        });
+      case 'skipped':
+        return jobLog.record(job._id, 'item_skipped', `Skipped object ${item.objectId}: ${item.error}`, details);
+      case 'retrying':
+        return jobLog.record(job._id, 'item_retry_scheduled',
+          `Object ${item.objectId} failed (${failure.errorClass}), retry scheduled for ${item.nextAttemptAt.toISOString()}`, {
+            ...details,
+            data: { ...failure, nextAttemptAt: item.nextAttemptAt }
+          });
+      case 'failed':
+        return jobLog.record(job._id, 'item_failed', `Object ${item.objectId} failed: ${item.error}`, {
+          ...details,
+          data: failure
+        });
+    }
+  }
+  
+  /**
+   * Update a job this processor holds the lease on and publish the change
+   * @param {Object} job - The job to update
+   * @param {Object} changes - Fields to set
+   * @param {string} [expectedStatus] - Only update the job while it has this status
+   * @returns {Promise<boolean>} - Whether the job was updated
+   */
+  async updateOwnedJob(job, changes, expectedStatus) {
+    const filter = { _id: job._id, 'lease.owner': this.instanceId };
+    if (expectedStatus) {
+      filter.status = expectedStatus;
+    }
+    
+    const result = await Job.updateOne(filter, { $set: { ...changes, updatedAt: new Date() } });
+    
+    if (result.modifiedCount > 0) {
+      jobEvents.publishJob(job, changes);
+      return true;
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Move a job to the next status, unless a user paused or cancelled it since it was loaded
+   * @param {Object} job - Job document, its status is updated when the change applies
+   * @param {string} status - New status
+   * @param {string} expectedStatus - Status the job must still have
+   * @returns {Promise<boolean>} - Whether the status changed
+   */
+  async setOwnedStatus(job, status, expectedStatus) {
+    if (!await this.updateOwnedJob(job, { status }, expectedStatus)) {
+      console.log(`Job ${job._id} is no longer ${expectedStatus}, leaving it as it is`);
+      return false;
+    }
+    
+    // Already stored, so later saves of the document don't write it over a user's change
+    job.status = status;
+    job.unmarkModified('status');
+    return true;
+  }
+  
+  // Stop a job's remaining queued objects from starting
+  halt(jobId, state) {
+    state.halted = true;
+    this.pool.clear(jobId);
+  }
+  
+  calculateProgress(job, state) {
+    if (!job.totalObjects) return 0;
+    const done = state.processedCount + state.failedCount + state.skippedCount;
+    return Math.min(100, Math.round((done / job.totalObjects) * 100));
+  }
+  
+  // Wait until every service an object touches has budget left
+  async waitForRateLimits() {
+    let waitTime = Math.max(
+      this.rateLimits.getWaitTime('met'),
+      this.rateLimits.getWaitTime('openai'),
+      this.rateLimits.getWaitTime('shopify')
+    );
+    
+    while (waitTime > 0) {
+      await this.sleep(waitTime);
+      waitTime = Math.max(
+        this.rateLimits.getWaitTime('met'),
+        this.rateLimits.getWaitTime('openai'),
+        this.rateLimits.getWaitTime('shopify')
+      );
     }
   }
   
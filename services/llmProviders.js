@@ -0,0 +1,286 @@
+// services/llmProviders.js - Chat completion providers used to generate artwork descriptions
+const crypto = require('crypto');
+const { OpenAI, AzureOpenAI } = require('openai');
+const Anthropic = require('@anthropic-ai/sdk');
+const { PROVIDER_NAMES } = require('../utils/llmProviderNames');
+
+const DEFAULT_PROVIDER = 'openai';
+
+// Read a header from the plain objects of the OpenAI SDK and the Headers of the Anthropic SDK
+function getHeader(headers, name) {
+  if (!headers) return undefined;
+  return typeof headers.get === 'function' ? headers.get(name) : headers[name];
+}
+
+// Give SDK errors the response shape the rest of the app expects (see utils/errorClassifier.js)
+function normalizeError(error, provider) {
+  if (error.status && !error.response) {
+    error.response = {
+      status: error.status,
+      headers: { 'retry-after': getHeader(error.headers, 'retry-after') },
+      data: error.error
+    };
+  }
+  error.provider = provider;
+  return error;
+}
+
+class LLMProvider {
+  /**
+   * @param {string} name - Provider name, one of the keys of PROVIDERS
+   * @param {Object} config - Provider settings, see PROVIDERS for the environment variables
+   */
+  constructor(name, config = {}) {
+    this.name = name;
+    this.config = config;
+    this.model = config.model;
+    this.client = null;
+  }
+
+  // Whether the credentials or endpoint the provider needs are set
+  get configured() {
+    return Boolean(this.config.apiKey);
+  }
+
+  // SDK clients are created on first use, so a missing key only fails jobs that use the provider
+  getClient() {
+    if (!this.client) {
+      if (!this.configured) {
+        throw new Error(`The ${this.name} provider is not configured`);
+      }
+      this.client = this.createClient();
+    }
+    return this.client;
+  }
+
+  /**
+   * Send one system and user message and return the reply
+   * @param {Object} request - system, prompt, maxTokens, temperature, an optional model override and
+   *   json to ask for a JSON object where the API supports it
+   * @returns {Promise<Object>} - text, model, inputTokens and outputTokens of the reply
+   */
+  async complete(request) {
+    try {
+      return await this.send(request);
+    } catch (error) {
+      throw normalizeError(error, this.name);
+    }
+  }
+}
+
+class OpenAIProvider extends LLMProvider {
+  createClient() {
+    return new OpenAI({ apiKey: this.config.apiKey, baseURL: this.config.baseURL });
+  }
+
+  async send({ system, prompt, maxTokens, temperature, model, json }) {
+    const completion = await this.getClient().chat.completions.create({
+      model: model || this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature,
+      response_format: json ? { type: 'json_object' } : undefined
+    });
+
+    const usage = completion.usage || {};
+    return {
+      text: (completion.choices[0].message.content || '').trim(),
+      model: completion.model || model || this.model,
+      inputTokens: usage.prompt_tokens,
+      outputTokens: usage.completion_tokens
+    };
+  }
+}
+
+// Azure addresses models by deployment name, the deployment is used as the model
+class AzureOpenAIProvider extends OpenAIProvider {
+  get configured() {
+    return Boolean(this.config.apiKey && this.config.endpoint && this.model);
+  }
+
+  createClient() {
+    return new AzureOpenAI({
+      apiKey: this.config.apiKey,
+      endpoint: this.config.endpoint,
+      apiVersion: this.config.apiVersion,
+      deployment: this.model
+    });
+  }
+}
+
+// Local servers such as Ollama or llama.cpp speak the OpenAI API and usually ignore the key
+class OpenAICompatibleProvider extends OpenAIProvider {
+  get configured() {
+    return Boolean(this.config.baseURL && this.model);
+  }
+
+  createClient() {
+    return new OpenAI({ apiKey: this.config.apiKey || 'not-needed', baseURL: this.config.baseURL });
+  }
+}
+
+// The Messages API has no JSON mode, the prompt asks for the JSON object
+class AnthropicProvider extends LLMProvider {
+  createClient() {
+    return new Anthropic({ apiKey: this.config.apiKey });
+  }
+
+  async send({ system, prompt, maxTokens, temperature, model }) {
+    const message = await this.getClient().messages.create({
+      model: model || this.model,
+      system,
+      messages: [{ role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    const usage = message.usage || {};
+    return {
+      text: message.content.filter(block => block.type === 'text').map(block => block.text).join('').trim(),
+      model: message.model || model || this.model,
+      inputTokens: usage.input_tokens,
+      outputTokens: usage.output_tokens
+    };
+  }
+}
+
+// Offline provider for tests and demos: the same prompt always gets the same reply
+class StubProvider extends LLMProvider {
+  get configured() {
+    return true;
+  }
+
+  async send({ system, prompt, model }) {
+    const hash = crypto.createHash('sha256').update(`${system}\n${prompt}`).digest('hex').slice(0, 8);
+    const titleLine = prompt.split('\n').find(line => line.startsWith('Title:'));
+    const title = titleLine ? titleLine.slice('Title:'.length).trim() : 'This artwork';
+
+    const text = JSON.stringify({
+      shortDescription: `${title} is shown here with a stub description (${hash}).`,
+      expandedDescription: `${title} is shown here with a stub description (${hash}).\n\n` +
+        'This text comes from the stub provider and was not written by a language model.',
+      seoTitle: `${title} Art Print`.slice(0, 70),
+      metaDescription: `Stub description of ${title} (${hash}).`.slice(0, 160),
+      altText: `Image of ${title}`.slice(0, 250),
+      suggestedTags: ['Stub', `Stub ${hash}`]
+    });
+
+    return {
+      text,
+      model: model || this.model,
+      inputTokens: Math.ceil((system.length + prompt.length) / 4),
+      outputTokens: Math.ceil(text.length / 4)
+    };
+  }
+}
+
+// Provider settings come from the environment, LLM_PROVIDER picks the default. One entry per PROVIDER_NAMES.
+const PROVIDERS = {
+  openai: {
+    label: 'OpenAI',
+    Provider: OpenAIProvider,
+    config: () => ({
+      apiKey: process.env.OPENAI_API_KEY,
+      baseURL: process.env.OPENAI_BASE_URL || undefined,
+      model: process.env.OPENAI_MODEL || 'gpt-3.5-turbo'
+    })
+  },
+  azure: {
+    label: 'Azure OpenAI',
+    Provider: AzureOpenAIProvider,
+    config: () => ({
+      apiKey: process.env.AZURE_OPENAI_API_KEY,
+      endpoint: process.env.AZURE_OPENAI_ENDPOINT,
+      apiVersion: process.env.AZURE_OPENAI_API_VERSION || '2024-06-01',
+      model: process.env.AZURE_OPENAI_DEPLOYMENT
+    })
+  },
+  anthropic: {
+    label: 'Anthropic',
+    Provider: AnthropicProvider,
+    config: () => ({
+      apiKey: process.env.ANTHROPIC_API_KEY,
+      model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest'
+    })
+  },
+  local: {
+    label: 'OpenAI-compatible server',
+    Provider: OpenAICompatibleProvider,
+    local: true,
+    config: () => ({
+      apiKey: process.env.LOCAL_LLM_API_KEY,
+      baseURL: process.env.LOCAL_LLM_BASE_URL,
+      model: process.env.LOCAL_LLM_MODEL
+    })
+  },
+  stub: {
+    label: 'Stub (offline)',
+    Provider: StubProvider,
+    local: true,
+    config: () => ({ model: 'stub' })
+  }
+};
+
+/**
+ * Name of the provider used when a job does not choose one
+ * @returns {string}
+ */
+function getDefaultProviderName() {
+  const name = process.env.LLM_PROVIDER || DEFAULT_PROVIDER;
+
+  if (!PROVIDERS[name]) {
+    console.warn(`Unknown LLM_PROVIDER "${name}", using ${DEFAULT_PROVIDER}`);
+    return DEFAULT_PROVIDER;
+  }
+  return name;
+}
+
+/**
+ * Create a provider from its environment settings
+ * @param {string} [name] - Provider name, defaults to LLM_PROVIDER
+ * @returns {LLMProvider}
+ * @throws {Error} - With code UNKNOWN_LLM_PROVIDER for names that are not in PROVIDERS
+ */
+function createProvider(name = getDefaultProviderName()) {
+  const definition = PROVIDERS[name];
+
+  if (!definition) {
+    const error = new Error(`Unknown LLM provider "${name}", expected one of ${PROVIDER_NAMES.join(', ')}`);
+    error.code = 'UNKNOWN_LLM_PROVIDER';
+    throw error;
+  }
+
+  return new definition.Provider(name, definition.config());
+}
+
+/**
+ * Describe the providers for the settings and import forms
+ * @returns {Object[]} - name, label, default model and whether the provider is configured and the default
+ */
+function listProviders() {
+  const defaultName = getDefaultProviderName();
+
+  return PROVIDER_NAMES.map(name => {
+    const provider = createProvider(name);
+    return {
+      name,
+      label: PROVIDERS[name].label,
+      model: provider.model || null,
+      configured: provider.configured,
+      local: Boolean(PROVIDERS[name].local),
+      isDefault: name === defaultName
+    };
+  });
+}
+
+module.exports = {
+  PROVIDERS,
+  PROVIDER_NAMES,
+  LLMProvider,
+  createProvider,
+  getDefaultProviderName,
+  listProviders
+};
@@ -8,16 +8,38 @@ const mkdirAsync = promisify(fs.mkdir);
 const OpenAIService = require('./openaiService');
 const ShopifyService = require('./shopifyService');
 const RateLimitManager = require('./rateLimitManager');
+const objectCache = require('./objectCache');
+const CollectionListingSearch = require('./collectionListingSearch');
+const CollectionApiSearch = require('./collectionApiSearch');
+const parseMetUrl = require('../utils/metUrlParser');
+const { getCandidateLimit, checkArtTypeLimit } = require('../utils/artTypeFilter');
+
+// Whether a Met classification (e.g. "Paintings", "Textiles-Woven") is one of the artwork types
+function matchesArtType(classification, artTypes) {
+  if (!classification) return false;
+  
+  const value = classification.toLowerCase();
+  return artTypes.some(type => {
+    // Compare on the singular stem so "Sculpture" matches "Sculptures" and the other way around
+    const stem = type.toLowerCase().replace(/s$/, '');
+    return value.startsWith(stem) || value.includes(` ${stem}`);
+  });
+}
 
 class MetService {
   constructor() {
-    this.baseUrl = 'https://www.metmuseum.org/mothra/collectionlisting';
     this.secondaryBaseUrl = 'https://collectionapi.metmuseum.org/public/collection/v1';
     this.openai = new OpenAIService();
     this.shopify = new ShopifyService();
     this.rateLimits = new RateLimitManager();
     this.outputDir = path.join(__dirname, '../data/images');
     
+    // Search backends by name, see findObjectIds
+    this.searchBackends = {
+      collectionlisting: new CollectionListingSearch(this),
+      collectionapi: new CollectionApiSearch(this)
+    };
+    
     // Ensure output directory exists
     this.ensureOutputDir();
   }
@@ -36,69 +58,50 @@ class MetService {
     return this.rateLimits.checkMetApiLimit();
   }
   
-  async searchObjects(query) {
-    try {
-      await this.checkRateLimits();
-      console.log("Searching for objects with query:", query);
-      
-      // Use query parameters directly from the parsed URL
-      const searchParams = {
-        q: query.q || '',
-        showOnly: query.showOnly || null,
-        artist: query.artist || null,
-        material: query.material || null,
-        era: query.era || null,
-        geolocation: query.geolocation || null,
-        department: query.department || null,
-        pkgIds: query.pkgIds || null,
-        exhibitionId: query.exhibitionId || null,
-        feature: query.feature || null,
-        searchField: query.searchField || null,
-        perPage:100
-      };
-      
-      // Remove null values
-      Object.keys(searchParams).forEach(key => {
-        if (searchParams[key] === null) {
-          delete searchParams[key];
-        }
-      });
-      
-      // Execute the API search
-      console.log('Searching Met API with params:', searchParams);
-      const response = await axios.get(`${this.baseUrl}/search`, { params: searchParams });
-      console.log('Response:', response.data);
-      
-      // Extract object IDs from the response
-      const objectIds = response.data.results.map(result => {
-        // Extract object ID from the URL
-        const url = result.url;
-        const match = url.match(/\/search\/(\d+)/);
-        return match ? parseInt(match[1]) : null;
-      }).filter(id => id !== null);
-      
-      console.log(`Found ${objectIds.length} results from Met API`);
-      
-      return objectIds;
-    } catch (error) {
-      this.handleApiError(error, 'searching objects');
-      return [];
+  /**
+   * Get an object record from the Met Collection API, answered from the object cache
+   * while the cached copy is fresh
+   * @param {number} objectId - Met Museum object ID
+   * @param {Object} [options]
+   * @param {boolean} [options.throwErrors] - Rethrow request errors instead of returning null.
+   *   A missing object still resolves to null.
+   * @param {boolean} [options.forceRefresh] - Fetch from the Met even if the cached copy is fresh
+   * @returns {Promise<Object|null>}
+   */
+  async getObjectDetails(objectId, { throwErrors = false, forceRefresh = false } = {}) {
+    const cached = await objectCache.get(objectId);
+    if (cached && cached.fresh && !forceRefresh) {
+      await objectCache.recordHit(objectId);
+      return cached.data;
     }
-  }
-  
-  async getObjectDetails(objectId) {
+    
     try {
       await this.checkRateLimits();
       
       const response = await axios.get(`${this.secondaryBaseUrl}/objects/${objectId}`);
+      await objectCache.store(objectId, response.data, Boolean(cached));
       return response.data;
     } catch (error) {
       this.handleApiError(error, `getting details for object ${objectId}`);
+      
+      const notFound = error.response && error.response.status === 404;
+      if (notFound) {
+        await objectCache.remove(objectId);
+      } else if (cached) {
+        // An expired copy is better than failing while the Met can't be reached
+        console.warn(`Using expired cached details for object ${objectId}`);
+        await objectCache.recordHit(objectId, true);
+        return cached.data;
+      }
+      
+      if (throwErrors && !notFound) {
+        throw error;
+      }
       return null;
     }
   }
   
-  async downloadImage(imageUrl, objectId) {
+  async downloadImage(imageUrl, objectId, { throwErrors = false } = {}) {
     try {
       const imagePath = path.join(this.outputDir, `${objectId}.jpg`);
       
@@ -117,20 +120,50 @@ class MetService {
       return imagePath;
     } catch (error) {
       console.error(`Error downloading image for object ${objectId}:`, error.message);
+      
+      if (throwErrors) {
+        throw error;
+      }
       return null;
     }
   }
   
-  async filterForArtTypes(objectIds, artTypes) {
+  /**
+   * Keep the objects whose classification matches one of the artwork types. Also drops
+   * objects without an image and, when publicDomainOnly is set, ones that aren't public domain.
+   * Only the first candidates are checked, see utils/artTypeFilter.js.
+   * @param {number[]} objectIds - Candidate objects, in search order
+   * @param {string[]} artTypes - Artwork types from /api/met/artwork-types
+   * @param {Object} options
+   * @param {number} options.maxItems - Stop after this many matches
+   * @param {boolean} [options.publicDomainOnly] - Require public domain objects (default true)
+   * @returns {Promise<number[]>} - Matching object IDs
+   * @throws {Error} - With code ART_TYPE_LIMIT_REQUIRED when maxItems is not set
+   */
+  async filterForArtTypes(objectIds, artTypes, { maxItems = 0, publicDomainOnly = true } = {}) {
+    if (!(maxItems > 0)) {
+      const error = new Error('Filtering on artwork types needs a max items limit');
+      error.code = 'ART_TYPE_LIMIT_REQUIRED';
+      throw error;
+    }
+    
+    const candidates = objectIds.slice(0, getCandidateLimit(maxItems));
+    if (candidates.length < objectIds.length) {
+      console.log(`Checking the artwork type of the first ${candidates.length} of ${objectIds.length} results`);
+    }
+    
     const validObjects = [];
     
-    for (const objectId of objectIds) {
+    for (const objectId of candidates) {
+      if (maxItems && validObjects.length >= maxItems) break;
+      
+      await this.waitForBudget();
       const objectDetails = await this.getObjectDetails(objectId);
       
       if (objectDetails && 
-          objectDetails.isPublicDomain && 
+          (objectDetails.isPublicDomain || !publicDomainOnly) && 
           objectDetails.primaryImage &&
-          (!artTypes.length || artTypes.includes(objectDetails.classification))) {
+          (!artTypes.length || matchesArtType(objectDetails.classification, artTypes))) {
         validObjects.push(objectId);
       }
     }
@@ -138,6 +171,145 @@ class MetService {
     return validObjects;
   }
   
+  /**
+   * Wait until the Met API budget allows another request
+   */
+  async waitForBudget() {
+    const waitTime = this.rateLimits.getWaitTime('met');
+    if (waitTime > 0) {
+      console.log(`Waiting ${Math.ceil(waitTime / 1000)}s for Met API budget`);
+      await new Promise(resolve => setTimeout(resolve, waitTime));
+    }
+  }
+  
+  /**
+   * Find the objects a job or preview would import. Backends are tried in turn, starting
+   * with the preferred one, until one of them answers.
+   * @param {string} source - Job source: url, category or list
+   * @param {Object} query - Parsed Met URL query, category selections or object list
+   * @param {Object} [options]
+   * @param {number} [options.maxItems] - Stop searching after this many objects
+   * @param {string} [options.backend] - Search backend to try first, or 'auto'
+   * @returns {Promise<Object>} - objectIds, the total number of matches the search reported,
+   *   the backend that answered (null if none did) and the errors of the backends that failed
+   * @throws {Error} - With code ART_TYPE_LIMIT_REQUIRED for category queries with artwork types but no maxItems
+   */
+  async findObjectIds(source, query, { maxItems = 0, backend = 'auto' } = {}) {
+    // Each URL of a multi-URL import is resolved on its own, object pages included
+    if (source === 'url' && query.urls && query.urls.length > 1) {
+      return this.findObjectIdsForUrls(query.urls, { maxItems, backend });
+    }
+    
+    // Object lists and object page URLs need no search
+    if (source === 'list' || (source === 'url' && query.urlType === 'object')) {
+      const objectIds = query.objectIds || [];
+      return {
+        objectIds: maxItems ? objectIds.slice(0, maxItems) : objectIds,
+        total: objectIds.length,
+        backend: 'list',
+        errors: []
+      };
+    }
+    
+    if (!['url', 'category'].includes(source)) {
+      return { objectIds: [], total: 0, backend: null, errors: [] };
+    }
+    
+    // Checked before searching, the listing backend would otherwise read every page
+    const limitError = checkArtTypeLimit(source, query, { maxItems });
+    if (limitError) {
+      const error = new Error(limitError);
+      error.code = 'ART_TYPE_LIMIT_REQUIRED';
+      throw error;
+    }
+    
+    console.log(`Processing ${source} job with query:`, query);
+    const errors = [];
+    
+    for (const name of this.getSearchOrder(source, backend)) {
+      const searchBackend = this.searchBackends[name];
+      
+      try {
+        const result = source === 'category'
+          ? await searchBackend.searchCategory(query, { maxItems })
+          : await searchBackend.search(query, { maxItems });
+        
+        if (errors.length > 0) {
+          console.warn(`Search fell back to the ${name} backend`);
+        }
+        return { ...result, backend: name, errors };
+      } catch (error) {
+        this.handleApiError(error, `searching with the ${name} backend`);
+        errors.push({ backend: name, message: error.message });
+      }
+    }
+    
+    return { objectIds: [], total: 0, backend: null, errors };
+  }
+  
+  /**
+   * Search several Met URLs one after the other and merge the results in URL order.
+   * A URL whose search fails is left out as long as another one answers.
+   * @param {string[]} urls - Met search URLs
+   * @param {Object} [options] - maxItems (per URL) and backend, as for findObjectIds
+   * @returns {Promise<Object>} - The fields of findObjectIds, with the backend of the first URL
+   *   that answered, plus sourceUrls (object ID -> URLs that found it) and urlResults per URL
+   */
+  async findObjectIdsForUrls(urls, { maxItems = 0, backend = 'auto' } = {}) {
+    const objectIds = [];
+    const sourceUrls = {};
+    const urlResults = [];
+    const errors = [];
+    let total = 0;
+    let firstBackend = null;
+    
+    for (const url of urls) {
+      const result = await this.findObjectIds('url', parseMetUrl(url), { maxItems, backend });
+      errors.push(...result.errors.map(error => ({ ...error, url })));
+      
+      let added = 0;
+      result.objectIds.forEach(objectId => {
+        if (!sourceUrls[objectId]) {
+          sourceUrls[objectId] = [];
+          objectIds.push(objectId);
+          added++;
+        }
+        sourceUrls[objectId].push(url);
+      });
+      
+      total += result.total;
+      firstBackend = firstBackend || result.backend;
+      urlResults.push({
+        url,
+        found: result.objectIds.length,
+        added,
+        total: result.total,
+        backend: result.backend || undefined,
+        error: result.backend ? undefined : result.errors.map(error => error.message).join('; ')
+      });
+      
+      console.log(`${url}: ${result.objectIds.length} objects, ${added} not found by earlier URLs`);
+    }
+    
+    return { objectIds, total, backend: firstBackend, errors, sourceUrls, urlResults };
+  }
+  
+  /**
+   * Order in which the search backends are tried
+   * @param {string} source - Job source: url or category
+   * @param {string} preferred - Backend to try first, or 'auto'
+   * @returns {string[]} - Backend names
+   */
+  getSearchOrder(source, preferred) {
+    // URLs come from the website search, categories map best onto the Collection API filters
+    const order = source === 'url' ? ['collectionlisting', 'collectionapi'] : ['collectionapi', 'collectionlisting'];
+    
+    if (this.searchBackends[preferred]) {
+      return [preferred, ...order.filter(name => name !== preferred)];
+    }
+    return order;
+  }
+  
   // Era/time period collections mapping
   getEraCollections(year) {
     const collections = [];
@@ -264,93 +436,6 @@ class MetService {
     return { collections, tags };
   }
   
-  async processArtwork(objectId, options = {}) {
-    try {
-      // Get artwork details
-      const artwork = await this.getObjectDetails(objectId);
-      
-      if (!artwork) {
-        console.warn(`Artwork details not found for objectId: ${objectId}`);
-        return null;
-      }
-      
-      // Check if it's public domain and has an image
-      if (!artwork.isPublicDomain || !artwork.primaryImage) {
-        console.warn(`Artwork ${objectId} skipped: Not public domain or missing image.`);
-        return null;
-      }
-      
-      // Download the image
-      const imagePath = await this.downloadImage(artwork.primaryImage, objectId);
-      
-      if (!imagePath) {
-        console.warn(`Image download failed for objectId: ${objectId}`);
-        return null;
-      }
-      
-      // Generate descriptions
-      const { rawDescription, shortDescription, expandedDescription } = 
-        await this.openai.generateDescriptions(artwork);
-      
-      // Determine the year
-      const year = parseInt(artwork.objectBeginDate);
-      
-      // Get era collections
-      const eraCollections = this.getEraCollections(year);
-      
-      // Get theme collections and tags
-      const { collections: themeCollections, tags } = this.getThemeCollections(artwork);
-      
-      // Combine collections
-      const allCollections = [...eraCollections, ...themeCollections];
-      
-      // Prepare result
-      const result = {
-        objectId,
-        title: artwork.title,
-        artist: artwork.artistDisplayName || 'Unknown Artist',
-        date: artwork.objectDate || 'Unknown',
-        imageUrl: artwork.primaryImage,
-        rawDescription,
-        shortDescription,
-        expandedDescription,
-        collections: allCollections,
-        tags,
-        year
-      };
-      
-      // Upload to Shopify if required
-      if (!options.skipShopifyUpload) {
-        try {
-          const productId = await this.shopify.uploadArtwork(
-            artwork,
-            shortDescription,
-            expandedDescription,
-            imagePath,
-            allCollections,
-            tags,
-            options.defaultPrice || 99.99
-          );
-          
-          result.shopifyProductId = productId;
-        } catch (error) {
-          console.error(`Error uploading to Shopify:`, error.message);
-          result.error = `Shopify upload failed: ${error.message}`;
-        }
-      }
-      
-      result.processed = true;
-      return result;
-    } catch (error) {
-      console.error(`Error processing artwork ${objectId}:`, error.message);
-      return {
-        objectId,
-        error: error.message,
-        processed: false
-      };
-    }
-  }
-  
   handleApiError(error, action) {
     if (error.response) {
       // The request was made and the server responded with a status code
@@ -367,8 +452,11 @@ class MetService {
       // The request was made but no response was received
       console.error(`No response received while ${action}: ${error.message}`);
     } else {
-      console.error(`Error with OpenAI request: ${error.message}`);
+      console.error(`Error ${action}: ${error.message}`);
     }
   }
 }
+
+MetService.matchesArtType = matchesArtType;
+
 module.exports = MetService;
\ No newline at end of file
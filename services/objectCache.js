@@ -0,0 +1,160 @@
+// services/objectCache.js - MongoDB cache of Met object records, shared by every MetService
+const MetObject = require('../models/MetObject');
+
+const DEFAULT_TTL_HOURS = 168; // 1 week
+
+class ObjectCache {
+  constructor() {
+    // 0 turns the cache off
+    const ttlHours = process.env.MET_OBJECT_CACHE_TTL_HOURS !== undefined
+      ? parseFloat(process.env.MET_OBJECT_CACHE_TTL_HOURS)
+      : DEFAULT_TTL_HOURS;
+    this.ttl = Math.max(ttlHours || 0, 0) * 60 * 60 * 1000;
+
+    // Counters since this process started
+    this.stats = {
+      hits: 0,
+      misses: 0,
+      refreshes: 0,
+      changes: 0,
+      staleServed: 0,
+      since: new Date()
+    };
+  }
+
+  get enabled() {
+    return this.ttl > 0;
+  }
+
+  /**
+   * Look up a cached object. Cache errors are logged and treated as a miss.
+   * @param {number} objectId - Met Museum object ID
+   * @returns {Promise<Object|null>} - The cached record and whether it is still fresh
+   */
+  async get(objectId) {
+    if (!this.enabled) return null;
+
+    try {
+      const cached = await MetObject.findOne({ objectId }).lean();
+      if (!cached) return null;
+
+      return {
+        data: cached.data,
+        fresh: cached.expiresAt > new Date()
+      };
+    } catch (error) {
+      console.error(`Error reading cached object ${objectId}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Count a request answered from the cache
+   * @param {number} objectId - Met Museum object ID
+   * @param {boolean} [stale] - The copy had expired but the Met could not be reached
+   */
+  async recordHit(objectId, stale = false) {
+    if (stale) {
+      this.stats.staleServed++;
+    } else {
+      this.stats.hits++;
+    }
+
+    try {
+      await MetObject.updateOne({ objectId }, { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } });
+    } catch (error) {
+      console.error(`Error counting cache hit for object ${objectId}:`, error.message);
+    }
+  }
+
+  /**
+   * Store a freshly fetched object and note whether the Met changed it since the last fetch
+   * @param {number} objectId - Met Museum object ID
+   * @param {Object} data - Response of objects/:id
+   * @param {boolean} refresh - The object was cached before (expired or refreshed on request)
+   * @returns {Promise<boolean>} - Whether metadataDate moved on since the cached copy
+   */
+  async store(objectId, data, refresh) {
+    if (refresh) {
+      this.stats.refreshes++;
+    } else {
+      this.stats.misses++;
+    }
+
+    if (!this.enabled) return false;
+
+    try {
+      const now = new Date();
+      const metadataDate = data.metadataDate ? new Date(data.metadataDate) : undefined;
+      const previous = await MetObject.findOne({ objectId }).select('metadataDate').lean();
+      const changed = Boolean(previous && metadataDate && previous.metadataDate &&
+        metadataDate.getTime() !== previous.metadataDate.getTime());
+
+      const update = {
+        data,
+        metadataDate,
+        fetchedAt: now,
+        expiresAt: new Date(now.getTime() + this.ttl)
+      };
+      if (changed) {
+        update.lastChangedAt = now;
+        this.stats.changes++;
+        console.log(`Met object ${objectId} changed since it was cached`);
+      }
+
+      await MetObject.updateOne({ objectId }, { $set: update }, { upsert: true });
+      return changed;
+    } catch (error) {
+      console.error(`Error caching object ${objectId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Drop an object the Met no longer has
+   * @param {number} objectId - Met Museum object ID
+   */
+  async remove(objectId) {
+    try {
+      await MetObject.deleteOne({ objectId });
+    } catch (error) {
+      console.error(`Error removing cached object ${objectId}:`, error.message);
+    }
+  }
+
+  /**
+   * Mark objects as expired so their next lookup fetches them again
+   * @param {number[]} [objectIds] - Objects to expire, all of them when left out
+   * @returns {Promise<number>} - Number of cached objects expired
+   */
+  async expire(objectIds) {
+    const filter = objectIds ? { objectId: { $in: objectIds } } : {};
+    const result = await MetObject.updateMany(filter, { $set: { expiresAt: new Date() } });
+    return result.modifiedCount;
+  }
+
+  /**
+   * Counters since start plus the size of the cache
+   * @returns {Promise<Object>}
+   */
+  async getStats() {
+    const [objects, stale, changed] = await Promise.all([
+      MetObject.countDocuments(),
+      MetObject.countDocuments({ expiresAt: { $lte: new Date() } }),
+      MetObject.countDocuments({ lastChangedAt: { $exists: true } })
+    ]);
+    const lookups = this.stats.hits + this.stats.misses + this.stats.refreshes + this.stats.staleServed;
+
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? (this.stats.hits + this.stats.staleServed) / lookups : 0,
+      enabled: this.enabled,
+      ttlHours: this.ttl / (60 * 60 * 1000),
+      objects,
+      stale,
+      changed
+    };
+  }
+}
+
+module.exports = new ObjectCache();
@@ -1,14 +1,77 @@
-// services/openaiService.js - Updated service for generating multiple descriptions with OpenAI
-const { Configuration, OpenAIApi } = require('openai');
+// services/openaiService.js - Generates artwork descriptions with the configured LLM provider
 const RateLimitManager = require('./rateLimitManager');
+const PromptTemplate = require('../models/PromptTemplate');
+const { createProvider, getDefaultProviderName } = require('./llmProviders');
+const { buildTemplateVariables, renderTemplate } = require('../utils/promptTemplate');
+const { describeReplyFormat, parseJsonReply, validateDescriptions } = require('../utils/descriptionSchema');
+const { classifyError } = require('../utils/errorClassifier');
+
+// Further requests with the validation errors when a reply doesn't match the schema
+const MAX_REPAIR_ATTEMPTS = 1;
+
+// Used to estimate the tokens of providers that report no usage
+const CHARS_PER_TOKEN = 4;
+
+const SYSTEM_PROMPT = "You are an expert art historian and copywriter specializing in creating engaging descriptions for art prints. Your writing is clear, informative, and compelling.";
+
+// Prompt used when no template in the database is the default
+const DEFAULT_PROMPT = `I need you to create two different descriptions for this artwork from the Metropolitan Museum of Art:
+
+ARTWORK INFORMATION:
+Title: {{title}}
+Artist: {{artist}}
+Date: {{date}}
+Medium: {{medium}}
+Department: {{department}}
+Classification: {{classification}}
+Original Description: {{rawDescription}}
+
+TASK 1 - SHORT DESCRIPTION:
+Create a concise, engaging description of this artwork in about 5 sentences. Focus on the visual elements, historical context, and significance. Make it appealing for customers considering purchasing a print.
+
+TASK 2 - EXPANDED DESCRIPTION:
+Create a more detailed description of 2-4 paragraphs (at least 3 paragraphs recommended). Include information about:
+- The artwork's visual appearance and composition
+- The historical and cultural context
+- The artist's style and significance
+- What makes this piece notable or interesting
+- Why someone might want to display this artwork in their home`;
+
+// Appended to every prompt, the reply is checked against utils/descriptionSchema.js
+const RESPONSE_FORMAT = describeReplyFormat();
+
+const BUILT_IN_TEMPLATE = {
+  templateId: null,
+  name: 'Built-in',
+  version: null,
+  system: SYSTEM_PROMPT,
+  prompt: DEFAULT_PROMPT
+};
 
 class OpenAIService {
   constructor() {
-    this.configuration = new Configuration({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    this.openai = new OpenAIApi(this.configuration);
     this.rateLimits = new RateLimitManager();
+    this.providers = {};
+    this.maxTokens = 1500;
+  }
+  
+  /**
+   * Get a provider, created once per service
+   * @param {string} [name] - Provider name, defaults to LLM_PROVIDER
+   * @returns {LLMProvider}
+   */
+  getProvider(name) {
+    const providerName = name || getDefaultProviderName();
+    
+    if (!this.providers[providerName]) {
+      this.providers[providerName] = createProvider(providerName);
+    }
+    return this.providers[providerName];
+  }
+  
+  // Model of the default provider
+  get model() {
+    return this.getProvider().model;
   }
   
   async checkRateLimits() {
@@ -16,133 +79,207 @@ class OpenAIService {
   }
   
   /**
-   * Generate multiple descriptions for an artwork
+   * Find the prompt template a job uses
+   * @param {ObjectId|string} [templateId] - Template chosen for the job, the default template when left out
+   * @param {number} [version] - Version of the template, the latest when left out
+   * @returns {Promise<Object>} - templateId, name, version, system and prompt; the built-in prompt when
+   *   the job chose no template and no template is the default
+   * @throws {Error} - With code PROMPT_TEMPLATE_NOT_FOUND when the template or version does not exist
+   */
+  async resolveTemplate(templateId, version) {
+    const template = templateId
+      ? await PromptTemplate.findById(templateId)
+      : await PromptTemplate.findOne({ isDefault: true, archived: false });
+    
+    if (!template) {
+      if (!templateId) return BUILT_IN_TEMPLATE;
+      
+      const error = new Error(`Prompt template ${templateId} not found`);
+      error.code = 'PROMPT_TEMPLATE_NOT_FOUND';
+      throw error;
+    }
+    
+    const entry = template.getVersion(version);
+    if (!entry) {
+      const error = new Error(`Prompt template "${template.name}" has no version ${version}`);
+      error.code = 'PROMPT_TEMPLATE_NOT_FOUND';
+      throw error;
+    }
+    
+    return {
+      templateId: template._id,
+      name: template.name,
+      version: entry.version,
+      system: entry.system || SYSTEM_PROMPT,
+      prompt: entry.prompt
+    };
+  }
+  
+  /**
+   * Build the description prompt for an artwork
    * @param {Object} artwork - The artwork data from Met API
-   * @returns {Object} - Object containing short and expanded descriptions
+   * @param {Object} [template] - Template from resolveTemplate, the built-in prompt when left out
+   * @returns {Object} - The raw description used, the system message and the user prompt
+   */
+  buildPrompt(artwork, template = BUILT_IN_TEMPLATE) {
+    const variables = buildTemplateVariables(artwork);
+    
+    return {
+      rawDescription: variables.rawDescription,
+      system: renderTemplate(template.system, variables),
+      prompt: `${renderTemplate(template.prompt, variables).trim()}\n\n${RESPONSE_FORMAT}`
+    };
+  }
+  
+  /**
+   * Read the product copy of a reply
+   * @param {string} text - Reply of the model
+   * @returns {Object} - errors as { field, message } and the validated copy
    */
-  async generateDescriptions(artwork) {
+  readReply(text) {
     try {
-      await this.checkRateLimits();
-      
-      // Extract the raw description from the artwork
-      const rawDescription = artwork.objectDescription || 
-                           artwork.description || 
-                           artwork.creditLine || 
-                           `${artwork.title} (${artwork.objectDate || 'Unknown date'}) by ${artwork.artistDisplayName || 'Unknown artist'}. ${artwork.medium || ''}`;
-      
-      // Create combined prompt for both description types (more efficient)
-      const prompt = `I need you to create two different descriptions for this artwork from the Metropolitan Museum of Art:
-
-ARTWORK INFORMATION:
-Title: ${artwork.title}
-Artist: ${artwork.artistDisplayName || 'Unknown artist'}
-Date: ${artwork.objectDate || 'Unknown date'}
-Medium: ${artwork.medium || 'Unknown medium'}
-Department: ${artwork.department || 'Unknown department'}
-Classification: ${artwork.classification || 'Unknown type'}
-Original Description: ${rawDescription}
+      return validateDescriptions(parseJsonReply(text));
+    } catch (error) {
+      return { errors: [{ field: 'reply', message: error.message }], value: {} };
+    }
+  }
+  
+  // Ask the model to fix a reply that did not match the schema
+  buildRepairPrompt(prompt, reply, errors) {
+    return `${prompt}
 
-TASK 1 - SHORT DESCRIPTION:
-Create a concise, engaging description of this artwork in about 5 sentences. Focus on the visual elements, historical context, and significance. Make it appealing for customers considering purchasing a print.
+Your previous reply could not be used:
+${errors.map(entry => `- ${entry.message}`).join('\n')}
 
-TASK 2 - EXPANDED DESCRIPTION:
-Create a more detailed description of 2-4 paragraphs (at least 3 paragraphs recommended). Include information about:
-- The artwork's visual appearance and composition
-- The historical and cultural context
-- The artist's style and significance
-- What makes this piece notable or interesting
-- Why someone might want to display this artwork in their home
+Previous reply:
+${reply}
 
-Please format your response exactly like this:
----SHORT DESCRIPTION---
-[Your 5-sentence description here]
----EXPANDED DESCRIPTION---
-[Your 2-4 paragraph description here]`;
-      
-      const completion = await this.openai.createChatCompletion({
-        model: process.env.OPENAI_MODEL || "gpt-3.5-turbo",
-        messages: [
-          {
-            role: "system",
-            content: "You are an expert art historian and copywriter specializing in creating engaging descriptions for art prints. Your writing is clear, informative, and compelling."
-          },
-          {
-            role: "user",
-            content: prompt
-          }
-        ],
-        max_tokens: 1000,
-        temperature: 0.7
-      });
-      
-      const fullResponse = completion.data.choices[0].message.content.trim();
-      this.rateLimits.recordOpenAIUsage(prompt.length + fullResponse.length);
+Reply again with only the corrected JSON object.`;
+  }
+  
+  /**
+   * Generate multiple descriptions for an artwork
+   * @param {Object} artwork - The artwork data from Met API
+   * @param {Object} [options] - provider, model, template and templateVersion of the job, the defaults are used when left out;
+   *   resolvedTemplate skips the template lookup, e.g. for unsaved text
+   * @returns {Object} - The product copy (short and expanded descriptions, SEO title, meta description, alt text and
+   *   suggested tags) and the provider, model and template that wrote it. When no reply matched the schema the copy
+   *   is left out and review holds the validation errors and the last reply.
+   * @throws {Error} - When the job's prompt template does not exist, or the provider fails: rate limits with
+   *   code RATE_LIMIT_EXCEEDED, other errors with their errorClass for the stage retry
+   */
+  async generateDescriptions(artwork, options = {}) {
+    const template = options.resolvedTemplate || await this.resolveTemplate(options.template, options.templateVersion);
+    
+    try {
+      await this.checkRateLimits();
       
-      // Parse the response to extract the two descriptions
-      const shortDescMarker = "---SHORT DESCRIPTION---";
-      const expandedDescMarker = "---EXPANDED DESCRIPTION---";
+      const { rawDescription, system, prompt } = this.buildPrompt(artwork, template);
+      const provider = this.getProvider(options.provider);
+      const request = {
+        system,
+        model: options.model,
+        maxTokens: this.maxTokens,
+        temperature: 0.7,
+        json: true
+      };
       
-      let shortDescription = "";
-      let expandedDescription = "";
+      let completion = await provider.complete({ ...request, prompt });
+      this.recordUsage(system + prompt, completion);
+      let reply = this.readReply(completion.text);
       
-      if (fullResponse.includes(shortDescMarker) && fullResponse.includes(expandedDescMarker)) {
-        // Extract short description
-        const shortStart = fullResponse.indexOf(shortDescMarker) + shortDescMarker.length;
-        const shortEnd = fullResponse.indexOf(expandedDescMarker);
-        shortDescription = fullResponse.substring(shortStart, shortEnd).trim();
+      for (let attempt = 1; attempt <= MAX_REPAIR_ATTEMPTS && reply.errors.length > 0; attempt++) {
+        console.warn(`${provider.name} reply for object ${artwork.objectID} did not match the schema, repair attempt ${attempt}:`,
+          reply.errors.map(entry => entry.message).join('; '));
         
-        // Extract expanded description
-        const expandedStart = fullResponse.indexOf(expandedDescMarker) + expandedDescMarker.length;
-        expandedDescription = fullResponse.substring(expandedStart).trim();
-      } else {
-        // Fallback if format isn't followed
-        console.warn("OpenAI response didn't follow the expected format");
-        
-        // Try to split the response in half as a fallback
-        const halfwayPoint = Math.floor(fullResponse.length / 2);
-        shortDescription = fullResponse.substring(0, halfwayPoint).trim();
-        expandedDescription = fullResponse.substring(halfwayPoint).trim();
+        const repairPrompt = this.buildRepairPrompt(prompt, completion.text, reply.errors);
+        completion = await provider.complete({ ...request, prompt: repairPrompt });
+        this.recordUsage(system + repairPrompt, completion);
+        reply = this.readReply(completion.text);
       }
       
-      return {
-        rawDescription,
-        shortDescription,
-        expandedDescription
+      const generatedBy = {
+        provider: provider.name,
+        model: completion.model,
+        promptTemplate: template.templateId || undefined,
+        promptName: template.name,
+        promptVersion: template.version || undefined
       };
-    } catch (error) {
-      this.handleApiError(error);
-      
-      // Fallback to a basic description
-      const rawDescription = artwork.objectDescription || 
-                           artwork.description || 
-                           artwork.creditLine || 
-                           `${artwork.title} by ${artwork.artistDisplayName || 'Unknown artist'}`;
       
-      const basicDesc = `${artwork.title} (${artwork.objectDate || 'Unknown date'}) by ${artwork.artistDisplayName || 'Unknown artist'}. ${artwork.medium || ''}. From the collection of the Metropolitan Museum of Art.`;
+      // Held back for a person to write the copy instead of shipping a broken reply
+      if (reply.errors.length > 0) {
+        return {
+          rawDescription,
+          generatedBy,
+          review: {
+            reason: 'invalid_output',
+            errors: reply.errors.map(entry => entry.message),
+            rawResponse: completion.text
+          }
+        };
+      }
       
       return {
         rawDescription,
-        shortDescription: basicDesc,
-        expandedDescription: `${basicDesc} This artwork is part of the ${artwork.department || 'museum'}'s collection and exemplifies ${artwork.classification || 'art'} from the period.`
+        ...reply.value,
+        generatedBy
       };
+    } catch (error) {
+      throw this.handleApiError(error);
     }
   }
   
+  /**
+   * Count a completion against the tokens per minute budget
+   * @param {string} promptText - System message and prompt that were sent
+   * @param {Object} completion - Reply of LLMProvider.complete
+   */
+  recordUsage(promptText, completion) {
+    const reported = Number.isFinite(completion.inputTokens) && Number.isFinite(completion.outputTokens);
+    const tokens = reported
+      ? completion.inputTokens + completion.outputTokens
+      : Math.ceil((promptText.length + completion.text.length) / CHARS_PER_TOKEN);
+    
+    this.rateLimits.recordOpenAIUsage(tokens);
+  }
+  
+  /**
+   * Log a provider error and prepare it for the stage retry: rate limits pause the job,
+   * other errors carry their retry class
+   * @param {Error} error - Error of the provider or the rate limit check
+   * @returns {Error} - The error to throw
+   */
   handleApiError(error) {
+    const provider = error.provider || 'LLM';
+    
     if (error.response) {
-      // OpenAI API error
+      // Provider API error, the providers give SDK errors this shape
       if (error.response.status === 429) {
         // Rate limit error
         const retryAfter = parseInt(error.response.headers['retry-after'] || '60');
         this.rateLimits.setRateLimited('openai', retryAfter * 1000);
-        console.error(`OpenAI rate limit exceeded. Retry after ${retryAfter} seconds.`);
+        console.error(`${provider} rate limit exceeded. Retry after ${retryAfter} seconds.`);
+        
+        const rateLimitError = new Error(`${provider} rate limit exceeded. Retry after ${retryAfter} seconds.`);
+        rateLimitError.code = 'RATE_LIMIT_EXCEEDED';
+        rateLimitError.service = 'openai';
+        rateLimitError.retryAfter = retryAfter;
+        return rateLimitError;
       } else {
-        console.error(`OpenAI API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
+        console.error(`${provider} API error: ${error.response.status} - ${JSON.stringify(error.response.data)}`);
       }
     } else {
-      console.error(`Error with OpenAI request: ${error.message}`);
+      console.error(`Error with ${provider} request: ${error.message}`);
     }
+    
+    if (error.code !== 'RATE_LIMIT_EXCEEDED') {
+      error.errorClass = classifyError(error);
+    }
+    return error;
   }
 }
 
+OpenAIService.SYSTEM_PROMPT = SYSTEM_PROMPT;
+OpenAIService.BUILT_IN_TEMPLATE = BUILT_IN_TEMPLATE;
+
 module.exports = OpenAIService;
@@ -1,32 +1,37 @@
 // services/rateLimitManager.js - Manages rate limits for external APIs
+// Budgets are shared by every RateLimitManager instance in the process so that
+// concurrent workers (and the separate service instances they use) draw from
+// the same per-service allowance instead of each getting their own.
+const sharedLimits = {
+  met: {
+    requests: 80,       // Met Museum API has no documented limit, but we'll be conservative
+    period: 60 * 1000,  // 1 minute
+    current: 0,
+    resetAt: null,
+    rateLimited: false,
+    resumeAt: null
+  },
+  openai: {
+    tokens: 10000,      // Tokens per minute (TPM) varies by API key
+    period: 60 * 1000,  // 1 minute
+    current: 0,
+    resetAt: null,
+    rateLimited: false,
+    resumeAt: null
+  },
+  shopify: {
+    requests: 2,         // Requests per second
+    period: 1 * 1000,    // 1 second
+    current: 0,
+    resetAt: null,
+    rateLimited: false,
+    resumeAt: null
+  }
+};
+
 class RateLimitManager {
   constructor() {
-    this.limits = {
-      met: {
-        requests: 80,       // Met Museum API has no documented limit, but we'll be conservative
-        period: 60 * 1000,  // 1 minute
-        current: 0,
-        resetAt: null,
-        rateLimited: false,
-        resumeAt: null
-      },
-      openai: {
-        tokens: 10000,      // Tokens per minute (TPM) varies by API key
-        period: 60 * 1000,  // 1 minute
-        current: 0,
-        resetAt: null,
-        rateLimited: false,
-        resumeAt: null
-      },
-      shopify: {
-        requests: 2,         // Requests per second
-        period: 1 * 1000,    // 1 second
-        current: 0,
-        resetAt: null,
-        rateLimited: false,
-        resumeAt: null
-      }
-    };
+    this.limits = sharedLimits;
   }
   
   async checkMetApiLimit() {
@@ -118,6 +123,33 @@ class RateLimitManager {
     }
   }
   
+  /**
+   * Time to wait before the service has budget for another request
+   * @param {string} service - Service name (met, openai, shopify)
+   * @returns {number} - Milliseconds to wait, 0 if a request can be made now
+   */
+  getWaitTime(service) {
+    const limit = this.limits[service];
+    if (!limit) {
+      throw new Error(`Unknown service: ${service}`);
+    }
+    
+    const now = Date.now();
+    
+    if (limit.rateLimited && limit.resumeAt > now) {
+      return limit.resumeAt - now;
+    }
+    
+    if (limit.resetAt && limit.resetAt > now) {
+      const budget = service === 'openai' ? limit.tokens : limit.requests;
+      if (limit.current >= budget) {
+        return limit.resetAt - now;
+      }
+    }
+    
+    return 0;
+  }
+  
   setRateLimited(service, duration) {
     const limit = this.limits[service];
     if (!limit) {
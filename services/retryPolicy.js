@@ -0,0 +1,44 @@
+// services/retryPolicy.js - Decides whether and when a failed import item is retried
+const DEFAULT_POLICY = {
+  maxAttempts: 3,
+  backoffSeconds: 30,
+  backoffMultiplier: 2,
+  maxBackoffSeconds: 15 * 60,
+  retryOn: ['network', 'timeout', 'rate_limit', 'server_error']
+};
+
+class RetryPolicy {
+  /**
+   * @param {Object} [settings] - Job retry options, missing values fall back to the defaults
+   */
+  constructor(settings = {}) {
+    const defined = Object.entries(settings || {})
+      .filter(([, value]) => value !== undefined && value !== null);
+
+    this.settings = { ...DEFAULT_POLICY, ...Object.fromEntries(defined) };
+  }
+
+  /**
+   * @param {string} errorClass - Class of the last error (see utils/errorClassifier)
+   * @param {number} attempts - Number of failed attempts so far
+   * @returns {boolean}
+   */
+  shouldRetry(errorClass, attempts) {
+    return attempts < this.settings.maxAttempts && this.settings.retryOn.includes(errorClass);
+  }
+
+  /**
+   * Exponential backoff before the next attempt
+   * @param {number} attempts - Number of failed attempts so far
+   * @returns {number} - Delay in milliseconds
+   */
+  getDelay(attempts) {
+    const { backoffSeconds, backoffMultiplier, maxBackoffSeconds } = this.settings;
+    const seconds = backoffSeconds * Math.pow(backoffMultiplier, Math.max(attempts - 1, 0));
+    return Math.min(seconds, maxBackoffSeconds) * 1000;
+  }
+}
+
+RetryPolicy.DEFAULT_POLICY = DEFAULT_POLICY;
+
+module.exports = RetryPolicy;
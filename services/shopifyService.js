@@ -2,6 +2,7 @@
 const Shopify = require('shopify-api-node');
 const fs = require('fs');
 const RateLimitManager = require('./rateLimitManager');
+const { normalizeArtwork } = require('../utils/artworkRecord');
 
 class ShopifyService {
   constructor() {
@@ -29,7 +30,76 @@ class ShopifyService {
     return this.rateLimits.checkShopifyLimit();
   }
   
-  async uploadArtwork(artwork, shortDescription, expandedDescription, imagePath, collections, tags, price = 99.99) {
+  /**
+   * Metafields for the normalized Met metadata, used for storefront filters and attribution.
+   * Fields the Met left empty get no metafield, Shopify rejects empty values.
+   * @param {Object} record - Normalized artwork record (see utils/artworkRecord.js)
+   * @returns {Object[]} - Metafields in the art namespace
+   */
+  buildRecordMetafields(record) {
+    const dimensions = record.dimensionsCm || {};
+    const fields = {
+      accession_number: record.accessionNumber,
+      classification: record.classification,
+      medium: record.medium,
+      culture: record.culture,
+      period: record.period,
+      dimensions: record.dimensions,
+      height_cm: dimensions.height,
+      width_cm: dimensions.width,
+      depth_cm: dimensions.depth,
+      credit_line: record.creditLine,
+      artist_ulan_url: record.artist.ulanUrl,
+      artist_wikidata_url: record.artist.wikidataUrl,
+      met_url: record.objectUrl
+    };
+
+    const metafields = Object.entries(fields)
+      .filter(([, value]) => value !== undefined && value !== '')
+      .map(([key, value]) => ({ key, value: String(value), namespace: 'art', value_type: 'string' }));
+
+    // Lists go in as JSON so every name keeps its role and authority links
+    if (record.constituents) {
+      metafields.push({ key: 'constituents', value: JSON.stringify(record.constituents), namespace: 'art', value_type: 'json_string' });
+    }
+    if (record.tags) {
+      metafields.push({ key: 'met_tags', value: JSON.stringify(record.tags.map(tag => tag.term)), namespace: 'art', value_type: 'json_string' });
+    }
+
+    return metafields;
+  }
+  
+  /**
+   * Attach additional views to a product after the primary image. An image that fails
+   * to upload is logged and left out, the product stays.
+   * @param {number} productId - Shopify product ID
+   * @param {Object} artwork - Met object record
+   * @param {string[]} imagePaths - Downloaded additional images, in Met order
+   */
+  async addProductImages(productId, artwork, imagePaths) {
+    for (const [index, imagePath] of imagePaths.entries()) {
+      try {
+        // The product already exists, so wait for budget rather than pausing the job halfway
+        const waitTime = this.rateLimits.getWaitTime('shopify');
+        if (waitTime > 0) {
+          await new Promise(resolve => setTimeout(resolve, waitTime));
+        }
+        await this.checkRateLimits();
+        
+        await this.shopify.productImage.create(productId, {
+          attachment: fs.readFileSync(imagePath).toString('base64'),
+          filename: `${artwork.objectID}_${index + 1}.jpg`,
+          alt: `${artwork.title} (view ${index + 2})`,
+          position: index + 2
+        });
+      } catch (error) {
+        console.error(`Error adding image ${index + 1} to product ${productId}:`, error.message);
+      }
+    }
+  }
+  
+  // seo holds the seoTitle, metaDescription and altText written with the descriptions, missing values are left to Shopify
+  async uploadArtwork(artwork, shortDescription, expandedDescription, imagePath, collections, tags, price = 99.99, additionalImagePaths = [], seo = {}) {
     if (!this.isConfigured) {
       throw new Error('Shopify API is not configured');
     }
@@ -52,6 +122,8 @@ class ShopifyService {
         product_type: artwork.classification || 'Artwork',
         tags: tags.join(', '),
         published: true,
+        metafields_global_title_tag: seo.seoTitle || undefined,
+        metafields_global_description_tag: seo.metaDescription || undefined,
         variants: [
           {
             price: price.toString(),
@@ -66,7 +138,8 @@ class ShopifyService {
         images: [
           {
             attachment: base64Image,
-            filename: `${artwork.objectID}.jpg`
+            filename: `${artwork.objectID}.jpg`,
+            alt: seo.altText || artwork.title
           }
         ],
         metafields: [
@@ -101,13 +174,17 @@ class ShopifyService {
             value: expandedDescription,
             namespace: 'art',
             value_type: 'string'
-          }
+          },
+          ...this.buildRecordMetafields(normalizeArtwork(artwork))
         ]
       };
       
       // Create the product in Shopify
       const newProduct = await this.shopify.product.create(product);
       
+      // Add the other views one request at a time, a single request with every image could get too large
+      await this.addProductImages(newProduct.id, artwork, additionalImagePaths);
+      
       // Add the product to collections
       for (const collectionName of collections) {
         try {
@@ -149,6 +226,41 @@ class ShopifyService {
     }
   }
   
+  /**
+   * Look up a product previously created for a Met object by its variant SKU
+   * @param {number} objectId - Met Museum object ID
+   * @returns {Promise<string|null>} - Shopify product ID, or null if none exists
+   */
+  async findProductByObjectId(objectId) {
+    if (!this.isConfigured) {
+      throw new Error('Shopify API is not configured');
+    }
+    
+    try {
+      await this.checkRateLimits();
+      
+      const data = await this.shopify.graphql(
+        `query findVariant($query: String!) {
+          productVariants(first: 1, query: $query) {
+            edges { node { product { id } } }
+          }
+        }`,
+        { query: `sku:MET-${objectId}` }
+      );
+      
+      const edge = data.productVariants.edges[0];
+      if (!edge) {
+        return null;
+      }
+      
+      // GraphQL returns gid://shopify/Product/123, the REST API uses the numeric part
+      return edge.node.product.id.split('/').pop();
+    } catch (error) {
+      this.handleApiError(error);
+      throw error;
+    }
+  }
+  
   createHandle(title) {
     return title
       .toLowerCase()
@@ -0,0 +1,123 @@
+// services/workerPool.js - Bounded worker pool with fair round-robin scheduling between jobs
+class WorkerPool {
+  /**
+   * @param {Object} options
+   * @param {number} options.concurrency - Maximum number of tasks running at once across all jobs
+   * @param {number} options.perJobConcurrency - Default maximum number of tasks running at once per job
+   */
+  constructor({ concurrency = 4, perJobConcurrency = 2 } = {}) {
+    this.concurrency = concurrency;
+    this.perJobConcurrency = perJobConcurrency;
+    this.active = 0;
+
+    // Per-job queues, keyed by job ID. Insertion order drives the round-robin.
+    this.queues = new Map();
+    this.lastServedKey = null;
+  }
+
+  /**
+   * Queue a task for a job. The task starts once a global slot and a slot
+   * within the job's own limit are both free.
+   * @param {string} key - Job ID the task belongs to
+   * @param {Function} task - Async function to run
+   * @param {number} [limit] - Per-job concurrency override
+   * @returns {Promise<*>} - Resolves or rejects with the task's outcome
+   */
+  run(key, task, limit) {
+    return new Promise((resolve, reject) => {
+      let queue = this.queues.get(key);
+
+      if (!queue) {
+        queue = { tasks: [], active: 0, limit: limit || this.perJobConcurrency };
+        this.queues.set(key, queue);
+      } else if (limit) {
+        queue.limit = limit;
+      }
+
+      queue.tasks.push({ task, resolve, reject });
+      this.dispatch();
+    });
+  }
+
+  /**
+   * Drop all tasks of a job that have not started yet
+   * @param {string} key - Job ID
+   * @param {*} reason - Value the dropped tasks resolve with
+   */
+  clear(key, reason = null) {
+    const queue = this.queues.get(key);
+    if (!queue) return;
+
+    queue.tasks.splice(0).forEach(entry => entry.resolve(reason));
+    this.cleanup(key);
+  }
+
+  /**
+   * Number of running and waiting tasks, globally and per job
+   * @returns {Object}
+   */
+  getStats() {
+    const jobs = {};
+    for (const [key, queue] of this.queues.entries()) {
+      jobs[key] = { active: queue.active, waiting: queue.tasks.length, limit: queue.limit };
+    }
+
+    return {
+      concurrency: this.concurrency,
+      active: this.active,
+      jobs
+    };
+  }
+
+  dispatch() {
+    while (this.active < this.concurrency) {
+      const key = this.pickNextKey();
+      if (key === null) return;
+
+      const queue = this.queues.get(key);
+      const entry = queue.tasks.shift();
+
+      this.active++;
+      queue.active++;
+      this.lastServedKey = key;
+
+      Promise.resolve()
+        .then(entry.task)
+        .then(entry.resolve, entry.reject)
+        .finally(() => {
+          this.active--;
+          queue.active--;
+          this.cleanup(key);
+          this.dispatch();
+        });
+    }
+  }
+
+  // Pick the first job after the last served one that has waiting tasks and spare capacity
+  pickNextKey() {
+    const keys = Array.from(this.queues.keys());
+    if (keys.length === 0) return null;
+
+    const start = this.lastServedKey === null ? 0 : keys.indexOf(this.lastServedKey) + 1;
+
+    for (let i = 0; i < keys.length; i++) {
+      const key = keys[(start + i) % keys.length];
+      const queue = this.queues.get(key);
+
+      if (queue.tasks.length > 0 && queue.active < queue.limit) {
+        return key;
+      }
+    }
+
+    return null;
+  }
+
+  cleanup(key) {
+    const queue = this.queues.get(key);
+    if (queue && queue.active === 0 && queue.tasks.length === 0) {
+      this.queues.delete(key);
+    }
+  }
+}
+
+module.exports = WorkerPool;
@@ -0,0 +1,29 @@
+// test/collectionApiSearch.test.js - Time periods of category imports translated to date ranges
+const { test } = require('node:test');
+const assert = require('node:assert');
+const CollectionApiSearch = require('../services/collectionApiSearch');
+
+test('a combined time period searches every period it names', () => {
+  const search = new CollectionApiSearch({});
+
+  const { dateRanges } = search.buildCategoryQuery({ timePeriods: ['Prehistoric / Ancient', 'Prehistoric / Renaissance'] });
+
+  assert.deepStrictEqual(dateRanges, [
+    { dateBegin: -10000, dateEnd: 500 },
+    { dateBegin: -10000, dateEnd: -3000 },
+    { dateBegin: 1400, dateEnd: 1600 }
+  ]);
+});
+
+test('time periods match on their full name', () => {
+  const search = new CollectionApiSearch({});
+
+  const { dateRanges } = search.buildCategoryQuery({
+    timePeriods: ['Mid to Late 20th Century (1945–1999)', 'Baroque / Rococo (1600–1750)', 'Ancient art']
+  });
+
+  assert.deepStrictEqual(dateRanges, [
+    { dateBegin: 1945, dateEnd: 1999 },
+    { dateBegin: 1600, dateEnd: 1750 }
+  ]);
+});
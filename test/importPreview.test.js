@@ -0,0 +1,86 @@
+// test/importPreview.test.js - Dry runs stay bounded, with the search backends replaced
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MetService = require('../services/metService');
+const OpenAIService = require('../services/openaiService');
+const ImportPreview = require('../services/importPreview');
+
+// Preview on a category search with 4000 matches, every other object a painting
+function createPreview() {
+  const metService = new MetService();
+  const calls = { searches: [], details: 0 };
+
+  const backend = {
+    searchCategory: async (query, options) => {
+      calls.searches.push({ query, options });
+      return { objectIds: Array.from({ length: options.maxItems }, (_, index) => index + 1), total: 4000 };
+    }
+  };
+  metService.searchBackends = { collectionapi: backend, collectionlisting: backend };
+  metService.getObjectDetails = async (objectId) => {
+    calls.details++;
+    return {
+      objectID: objectId,
+      title: `Object ${objectId}`,
+      isPublicDomain: true,
+      primaryImage: 'image.jpg',
+      classification: objectId % 2 ? 'Paintings' : 'Ceramics',
+      objectBeginDate: 1850
+    };
+  };
+  metService.openai.resolveTemplate = async () => OpenAIService.BUILT_IN_TEMPLATE;
+
+  return { preview: new ImportPreview(metService), calls };
+}
+
+test('artwork types are estimated from the sample instead of filtering the search', async () => {
+  const { preview, calls } = createPreview();
+
+  const result = await preview.preview('category', { artworkTypes: ['Paintings'] }, { maxItems: 1000, llmProvider: 'stub' });
+
+  assert.strictEqual(calls.searches.length, 1);
+  assert.deepStrictEqual(calls.searches[0].query.artworkTypes, []);
+  assert.strictEqual(calls.searches[0].options.maxItems, 100);
+  assert.strictEqual(calls.details, 8);
+  assert.strictEqual(result.totalFound, 4000);
+  assert.strictEqual(result.importCount, 250);
+});
+
+test('a preview without max items reads a single page', async () => {
+  const { preview, calls } = createPreview();
+
+  const result = await preview.preview('category', {}, { maxItems: 0, llmProvider: 'stub' });
+
+  assert.strictEqual(calls.searches[0].options.maxItems, 100);
+  assert.strictEqual(result.importCount, 4000);
+});
+
+test('artwork types without max items are rejected', async () => {
+  const { preview, calls } = createPreview();
+
+  await assert.rejects(
+    preview.preview('category', { artworkTypes: ['Paintings'] }, { maxItems: 0 }),
+    { code: 'ART_TYPE_LIMIT_REQUIRED' }
+  );
+  assert.strictEqual(calls.searches.length, 0);
+});
+
+test('the OpenAI price overrides leave other providers at their own prices', async (t) => {
+  const { preview } = createPreview();
+  const models = { openai: 'gpt-4o-mini', anthropic: 'claude-3-5-haiku-20241022' };
+  t.mock.method(preview.openai, 'getProvider', (name) => ({ name, model: models[name] }));
+
+  const saved = { input: process.env.OPENAI_PRICE_INPUT_PER_1K, output: process.env.OPENAI_PRICE_OUTPUT_PER_1K };
+  process.env.OPENAI_PRICE_INPUT_PER_1K = '1';
+  process.env.OPENAI_PRICE_OUTPUT_PER_1K = '1';
+  t.after(() => {
+    Object.entries({ OPENAI_PRICE_INPUT_PER_1K: saved.input, OPENAI_PRICE_OUTPUT_PER_1K: saved.output })
+      .forEach(([name, value]) => (value === undefined ? delete process.env[name] : (process.env[name] = value)));
+  });
+
+  const openai = preview.estimateAiCost(1, 4000, { llmProvider: 'openai' });
+  const anthropic = preview.estimateAiCost(1, 4000, { llmProvider: 'anthropic' });
+
+  assert.strictEqual(openai.cost, (openai.inputTokens + openai.outputTokens) / 1000);
+  assert.strictEqual(anthropic.cost, Math.round((anthropic.inputTokens / 1000 * 0.0008 + anthropic.outputTokens / 1000 * 0.004) * 10000) / 10000);
+});
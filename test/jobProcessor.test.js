@@ -0,0 +1,92 @@
+// test/jobProcessor.test.js - Lease-guarded status changes, with the Job collection replaced by one stored job
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const JobProcessor = require('../services/jobProcessor');
+const jobLog = require('../services/jobLog');
+
+// Processor owning a job whose stored copy is only changed through Job.updateOne
+function createProcessor(t, fields) {
+  const processor = new JobProcessor();
+  const stored = {
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Test job',
+    source: 'url',
+    query: { url: 'https://www.metmuseum.org/art/collection/search?q=wheat' },
+    options: { maxItems: 10, skipExisting: false },
+    lease: { owner: processor.instanceId },
+    ...fields
+  };
+  const logged = [];
+
+  t.mock.method(Job, 'updateOne', async (filter, update) => {
+    const matches = Object.entries(filter).every(([path, value]) => (
+      path === '_id' || path.split('.').reduce((current, key) => current && current[key], stored) === value
+    ));
+    if (!matches) {
+      return { modifiedCount: 0 };
+    }
+
+    Object.assign(stored, update.$set);
+    return { modifiedCount: 1 };
+  });
+  t.mock.method(jobLog, 'record', async (jobId, type) => {
+    logged.push(type);
+  });
+
+  const job = Job.hydrate(JSON.parse(JSON.stringify(stored)));
+  return { processor, job, stored, logged };
+}
+
+test('a cancel during initialization is not overwritten by the failure path', async (t) => {
+  const { processor, job, stored, logged } = createProcessor(t, { status: 'pending' });
+
+  // The user cancels while the search runs, then the search fails
+  t.mock.method(processor.metService, 'findObjectIds', async () => {
+    Object.assign(stored, { status: 'failed', error: 'Cancelled by user' });
+    throw new Error('Met API unreachable');
+  });
+
+  await processor.initializeJob(job);
+
+  assert.strictEqual(stored.status, 'failed');
+  assert.strictEqual(stored.error, 'Cancelled by user');
+  assert.ok(!logged.includes('failed'));
+});
+
+test('a failed initialization is recorded while the job is still initializing', async (t) => {
+  const { processor, job, stored, logged } = createProcessor(t, { status: 'pending' });
+
+  t.mock.method(processor.metService, 'findObjectIds', async () => {
+    throw new Error('Met API unreachable');
+  });
+
+  await processor.initializeJob(job);
+
+  assert.strictEqual(stored.status, 'failed');
+  assert.strictEqual(stored.error, 'Met API unreachable');
+  assert.deepStrictEqual(logged, ['failed']);
+});
+
+test('a job reclaimed by another processor is left alone', async (t) => {
+  const { processor, job, stored, logged } = createProcessor(t, { status: 'pending' });
+
+  t.mock.method(processor.metService, 'findObjectIds', async () => {
+    stored.lease = { owner: 'other-instance' };
+    throw new Error('Met API unreachable');
+  });
+
+  await processor.initializeJob(job);
+
+  assert.strictEqual(stored.status, 'initializing');
+  assert.ok(!logged.includes('failed'));
+});
+
+test('a job paused after its claim is not started', async (t) => {
+  const { processor, job, stored } = createProcessor(t, { status: 'paused', pauseReason: 'user' });
+
+  await processor.processJob(job, { halted: false });
+
+  assert.strictEqual(stored.status, 'paused');
+});
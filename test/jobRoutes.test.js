@@ -0,0 +1,248 @@
+// test/jobRoutes.test.js - Job routes called directly, with the Job collection replaced by stored jobs
+const { test } = require('node:test');
+const assert = require('node:assert');
+const mongoose = require('mongoose');
+const Job = require('../models/Job');
+const ImportItem = require('../models/ImportItem');
+const ImportedObject = require('../models/ImportedObject');
+const ArtworkPipeline = require('../services/artworkPipeline');
+const jobEvents = require('../services/jobEvents');
+const jobLog = require('../services/jobLog');
+const router = require('../routes/jobRoutes');
+
+// Apply the update operators the routes use to a stored document
+function applyUpdate(stored, update) {
+  Object.entries(update.$inc || {}).forEach(([path, amount]) => {
+    stored[path] = (stored[path] || 0) + amount;
+  });
+  Object.assign(stored, update.$set);
+  Object.keys(update.$unset || {}).forEach(path => delete stored[path]);
+}
+
+function matchesFilter(stored, filter) {
+  return Object.entries(filter).every(([path, value]) => {
+    if (path === '_id') {
+      return String(stored._id) === String(value);
+    }
+    return value && value.$in ? value.$in.includes(stored[path]) : stored[path] === value;
+  });
+}
+
+// Job collection of stored documents, loaded and updated the way Mongoose would
+function createJobs(t, documents) {
+  const stored = documents.map(fields => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Test job',
+    source: 'url',
+    query: { url: 'https://www.metmuseum.org/art/collection/search?q=wheat' },
+    totalObjects: 10,
+    processedCount: 0,
+    failedCount: 0,
+    skippedCount: 0,
+    ...fields
+  }));
+  const load = (document) => document && Job.hydrate(JSON.parse(JSON.stringify(document)));
+
+  t.mock.method(Job, 'findById', async (id) => load(stored.find(document => String(document._id) === String(id))));
+  t.mock.method(Job, 'findOneAndUpdate', async (filter, update) => {
+    const document = stored.find(candidate => matchesFilter(candidate, filter));
+    if (document) {
+      applyUpdate(document, update);
+    }
+    return load(document);
+  });
+  t.mock.method(Job, 'findByIdAndUpdate', async (id, update) => Job.findOneAndUpdate({ _id: id }, update));
+  t.mock.method(jobEvents, 'publishJob', () => {});
+  t.mock.method(jobLog, 'record', async () => {});
+
+  return stored;
+}
+
+// Call the handler of a route and resolve with the status and body it sent
+async function callRoute(method, path, req) {
+  const layer = router.stack.find(entry => entry.route && entry.route.path === path && entry.route.methods[method]);
+  const res = {
+    statusCode: 200,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+
+  await layer.route.stack[0].handle({ params: {}, body: {}, query: {}, ...req }, res, () => {});
+  return res;
+}
+
+test('requeue keeps the failures counted by workers while it runs', async (t) => {
+  const [stored] = createJobs(t, [{ status: 'paused', processedCount: 4, failedCount: 3 }]);
+
+  // An item still in flight when the job paused fails between the load and the requeue
+  t.mock.method(ImportItem, 'requeueFailed', async () => {
+    stored.failedCount += 1;
+    return 3;
+  });
+
+  const res = await callRoute('post', '/:id/requeue', { params: { id: String(stored._id) } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.requeued, 3);
+  assert.strictEqual(stored.failedCount, 1);
+  assert.strictEqual(stored.progress, 50);
+  assert.strictEqual(stored.status, 'paused');
+  assert.strictEqual(res.body.job.failedCount, 1);
+});
+
+test('retrying failed items reopens a finished job', async (t) => {
+  const [stored] = createJobs(t, [{
+    status: 'completed',
+    processedCount: 8,
+    failedCount: 2,
+    progress: 100,
+    completedAt: new Date()
+  }]);
+  t.mock.method(ImportItem, 'requeueFailed', async () => 2);
+
+  const res = await callRoute('post', '/:id/retry-failed', { params: { id: String(stored._id) } });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(stored.status, 'initialized');
+  assert.strictEqual(stored.failedCount, 0);
+  assert.strictEqual(stored.progress, 80);
+  assert.strictEqual(stored.completedAt, undefined);
+  assert.strictEqual(res.body.job.status, 'initialized');
+});
+
+// Completed item whose generated copy was flagged, so its publish stage was skipped
+function createFlaggedItem(t, job) {
+  const item = ImportItem.hydrate({
+    _id: new mongoose.Types.ObjectId(),
+    job: job._id,
+    objectId: 436535,
+    title: 'Wheat Field with Cypresses',
+    status: 'completed',
+    processed: true,
+    completedAt: new Date(),
+    metadata: { objectID: 436535, title: 'Wheat Field with Cypresses', primaryImage: 'https://images.metmuseum.org/wheat.jpg' },
+    stages: {
+      metadata: { status: 'completed' },
+      image: { status: 'completed' },
+      descriptions: { status: 'completed' },
+      categorized: { status: 'completed' },
+      published: { status: 'skipped' }
+    },
+    review: { required: true, errors: ['seoTitle is required'], flaggedAt: new Date() }
+  });
+  t.mock.method(item, 'save', async () => item);
+  t.mock.method(ImportItem, 'findOne', async () => item);
+  return item;
+}
+
+const approvedCopy = {
+  shortDescription: 'A wheat field under a swirling sky.',
+  expandedDescription: 'Van Gogh painted the cypresses near the asylum at Saint-Rémy in 1889.',
+  seoTitle: 'Wheat Field with Cypresses by Van Gogh',
+  metaDescription: 'Museum-quality print of Van Gogh\'s Wheat Field with Cypresses.',
+  altText: 'Golden wheat field with dark cypresses under a blue sky',
+  suggestedTags: ['van gogh', 'landscape']
+};
+
+test('approving an item of an uploading job publishes it on the next run', async (t) => {
+  const [stored] = createJobs(t, [{
+    status: 'completed',
+    processedCount: 10,
+    progress: 100,
+    options: { skipShopifyUpload: false }
+  }]);
+  const item = createFlaggedItem(t, stored);
+  const recordImport = t.mock.method(ImportedObject, 'recordImport', async () => {});
+
+  const res = await callRoute('put', '/:id/items/:objectId/review', {
+    params: { id: String(stored._id), objectId: '436535' },
+    body: approvedCopy
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.publishQueued, true);
+  assert.strictEqual(item.status, 'pending');
+  assert.strictEqual(item.getCurrentStage(), 'published');
+  assert.strictEqual(recordImport.mock.callCount(), 0);
+  assert.strictEqual(stored.status, 'initialized');
+  assert.strictEqual(stored.processedCount, 9);
+  assert.strictEqual(stored.progress, 90);
+
+  // The processor runs the remaining stage with the approved copy
+  const uploads = [];
+  const pipeline = new ArtworkPipeline({
+    downloadImage: async () => '/tmp/436535.jpg',
+    shopify: {
+      uploadArtwork: async (...args) => {
+        uploads.push(args);
+        return 'gid://shopify/Product/1';
+      }
+    }
+  });
+
+  const status = await pipeline.run(item, stored.options);
+
+  assert.strictEqual(status, 'completed');
+  assert.strictEqual(item.stages.published.status, 'completed');
+  assert.strictEqual(item.shopifyProductId, 'gid://shopify/Product/1');
+  assert.strictEqual(uploads.length, 1);
+  assert.strictEqual(uploads[0][1], approvedCopy.shortDescription);
+  assert.deepStrictEqual(uploads[0][8], {
+    seoTitle: approvedCopy.seoTitle,
+    metaDescription: approvedCopy.metaDescription,
+    altText: approvedCopy.altText
+  });
+});
+
+test('approving an item of a job without Shopify upload registers it right away', async (t) => {
+  const [stored] = createJobs(t, [{
+    status: 'completed',
+    processedCount: 10,
+    progress: 100,
+    options: { skipShopifyUpload: true }
+  }]);
+  const item = createFlaggedItem(t, stored);
+  const recordImport = t.mock.method(ImportedObject, 'recordImport', async () => {});
+
+  const res = await callRoute('put', '/:id/items/:objectId/review', {
+    params: { id: String(stored._id), objectId: '436535' },
+    body: approvedCopy
+  });
+
+  assert.strictEqual(res.statusCode, 200);
+  assert.strictEqual(res.body.publishQueued, false);
+  assert.strictEqual(item.status, 'completed');
+  assert.strictEqual(item.review.required, false);
+  assert.strictEqual(recordImport.mock.callCount(), 1);
+  assert.strictEqual(stored.status, 'completed');
+  assert.strictEqual(stored.processedCount, 10);
+});
+
+test('reordering the queue reuses the priorities the jobs already have', async (t) => {
+  const stored = createJobs(t, [
+    { status: 'initialized', priority: 10 },
+    { status: 'pending', priority: 0 },
+    { status: 'pending', priority: 0 }
+  ]);
+  t.mock.method(Job, 'find', (filter) => ({
+    select: async () => stored.filter(job => filter._id.$in.includes(String(job._id)))
+  }));
+  t.mock.method(Job, 'bulkWrite', async (operations) => {
+    operations.forEach(({ updateOne }) => Job.findOneAndUpdate(updateOne.filter, updateOne.update));
+  });
+
+  // Drag the last job to the top, twice
+  const [urgent, first, second] = stored.map(job => String(job._id));
+  for (let run = 0; run < 2; run++) {
+    const res = await callRoute('put', '/queue', { body: { jobIds: [second, urgent, first] } });
+    assert.strictEqual(res.statusCode, 200);
+  }
+
+  assert.deepStrictEqual(stored.map(job => job.priority), [0, -1, 10]);
+});
@@ -0,0 +1,33 @@
+// test/metObjectListParser.test.js - Header detection of pasted and uploaded object lists
+const { test } = require('node:test');
+const assert = require('node:assert');
+const parseObjectList = require('../utils/metObjectListParser');
+
+test('a mistyped first ID is reported instead of being read as a header', () => {
+  const list = parseObjectList('43653x\n436535\n436536');
+
+  assert.deepStrictEqual(list.objectIds, [436535, 436536]);
+  assert.deepStrictEqual(list.invalid, [{ line: 1, value: '43653x', reason: 'Not an object ID or object page URL' }]);
+});
+
+test('a broken first URL is reported instead of being read as a header', () => {
+  const list = parseObjectList('https://www.metmuseum.org/art/collectio/436535\n436536');
+
+  assert.deepStrictEqual(list.objectIds, [436536]);
+  assert.strictEqual(list.invalid.length, 1);
+  assert.strictEqual(list.invalid[0].line, 1);
+});
+
+test('a header naming the ID column is read from that column', () => {
+  const list = parseObjectList('Object ID,Title\n436535,Wheat Field with Cypresses\n436536,The Harvesters');
+
+  assert.deepStrictEqual(list.objectIds, [436535, 436536]);
+  assert.deepStrictEqual(list.invalid, []);
+});
+
+test('a header of column names without an ID column is skipped', () => {
+  const list = parseObjectList('Title,Link\nWheat Field,https://www.metmuseum.org/art/collection/search/436535');
+
+  assert.deepStrictEqual(list.objectIds, [436535]);
+  assert.deepStrictEqual(list.invalid, []);
+});
@@ -0,0 +1,76 @@
+// test/metService.test.js - Object search of MetService, with the search backends replaced
+const { test } = require('node:test');
+const assert = require('node:assert');
+const MetService = require('../services/metService');
+const { buildUrlQuery } = require('../utils/metUrlParser');
+
+const OBJECT_URL = 'https://www.metmuseum.org/art/collection/search/436535';
+const SEARCH_URL = 'https://www.metmuseum.org/art/collection/search?q=sunflowers';
+
+// MetService whose backends answer every search with the given object IDs
+function createService(objectIds) {
+  const metService = new MetService();
+  const searches = [];
+  const backend = {
+    search: async (query) => {
+      searches.push(query);
+      return { objectIds, total: objectIds.length };
+    }
+  };
+  metService.searchBackends = { collectionlisting: backend, collectionapi: backend };
+  return { metService, searches };
+}
+
+test('a multi-URL query does not take the filters of its first URL', () => {
+  const query = buildUrlQuery([OBJECT_URL, SEARCH_URL]);
+
+  assert.deepStrictEqual(query, { url: OBJECT_URL, urls: [OBJECT_URL, SEARCH_URL] });
+});
+
+test('an object URL followed by a search URL imports the objects of both', async () => {
+  const { metService, searches } = createService([11, 12]);
+
+  const result = await metService.findObjectIds('url', buildUrlQuery([OBJECT_URL, SEARCH_URL]));
+
+  assert.deepStrictEqual(result.objectIds, [436535, 11, 12]);
+  assert.strictEqual(result.total, 3);
+  assert.strictEqual(result.backend, 'list');
+  assert.deepStrictEqual(result.sourceUrls, { 436535: [OBJECT_URL], 11: [SEARCH_URL], 12: [SEARCH_URL] });
+  assert.strictEqual(searches.length, 1);
+  assert.strictEqual(searches[0].q, 'sunflowers');
+});
+
+test('a single object URL needs no search', async () => {
+  const { metService, searches } = createService([11]);
+
+  const result = await metService.findObjectIds('url', buildUrlQuery(OBJECT_URL));
+
+  assert.deepStrictEqual(result.objectIds, [436535]);
+  assert.strictEqual(searches.length, 0);
+});
+
+test('the artwork type filter checks a limited number of candidates', async () => {
+  const { metService } = createService([]);
+  let requests = 0;
+  metService.waitForBudget = async () => {};
+  metService.getObjectDetails = async () => {
+    requests++;
+    return { isPublicDomain: true, primaryImage: 'image.jpg', classification: 'Ceramics' };
+  };
+
+  const candidates = Array.from({ length: 5000 }, (_, index) => index + 1);
+  const result = await metService.filterForArtTypes(candidates, ['Paintings'], { maxItems: 10 });
+
+  assert.deepStrictEqual(result, []);
+  assert.strictEqual(requests, 100);
+});
+
+test('a category search with artwork types needs max items', async () => {
+  const { metService, searches } = createService([1, 2, 3]);
+
+  await assert.rejects(
+    metService.findObjectIds('category', { artworkTypes: ['Paintings'] }, { maxItems: 0 }),
+    { code: 'ART_TYPE_LIMIT_REQUIRED' }
+  );
+  assert.strictEqual(searches.length, 0);
+});
@@ -0,0 +1,41 @@
+// utils/artTypeFilter.js - Limits of the artwork type filter of category imports
+// The search APIs can't filter on classification, so every candidate costs an object
+// request from the Met budget that running jobs share.
+
+// Candidates checked per wanted object, rare types come up short rather than searching on
+const CANDIDATES_PER_ITEM = 10;
+
+// Upper bound however far maxItems is widened, about 6 minutes of the Met budget
+const MAX_CANDIDATES = 500;
+
+/**
+ * Number of search results the artwork type filter looks at
+ * @param {number} maxItems - Objects wanted
+ * @returns {number}
+ */
+function getCandidateLimit(maxItems) {
+  return Math.min(maxItems * CANDIDATES_PER_ITEM, MAX_CANDIDATES);
+}
+
+/**
+ * Check that a category import with artwork types has a max items limit
+ * @param {string} source - Job source
+ * @param {Object} query - Job query
+ * @param {Object} [options] - Job options, a missing maxItems takes the job default
+ * @returns {string|null} - Error message, null when the import is bounded
+ */
+function checkArtTypeLimit(source, query, options = {}) {
+  const filtered = source === 'category' && query && (query.artworkTypes || []).length > 0;
+
+  if (filtered && options.maxItems !== undefined && options.maxItems !== null && !(options.maxItems > 0)) {
+    return 'Max items must be set when filtering on artwork types, every candidate is checked on the Met API';
+  }
+  return null;
+}
+
+module.exports = {
+  CANDIDATES_PER_ITEM,
+  MAX_CANDIDATES,
+  getCandidateLimit,
+  checkArtTypeLimit
+};
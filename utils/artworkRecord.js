@@ -0,0 +1,112 @@
+// utils/artworkRecord.js - Normalized artwork record built from a Met object
+// The Met marks missing values with empty strings, the record leaves them out instead
+
+// Empty strings, null and empty arrays become undefined
+function clean(value) {
+  if (typeof value === 'string') {
+    const trimmed = value.trim();
+    return trimmed || undefined;
+  }
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value : undefined;
+  }
+  return value === null ? undefined : value;
+}
+
+// Measurements of the whole object in centimeters, from the "Overall" element when there is one
+function normalizeMeasurements(measurements) {
+  if (!Array.isArray(measurements) || measurements.length === 0) {
+    return undefined;
+  }
+
+  const element = measurements.find(entry => entry.elementName === 'Overall') || measurements[0];
+  const values = element.elementMeasurements || {};
+  const dimensions = {
+    height: values.Height,
+    width: values.Width,
+    depth: values.Depth || values.Length,
+    diameter: values.Diameter
+  };
+
+  Object.keys(dimensions).forEach(key => {
+    if (typeof dimensions[key] !== 'number') {
+      delete dimensions[key];
+    }
+  });
+
+  return Object.keys(dimensions).length > 0 ? dimensions : undefined;
+}
+
+/**
+ * Build the normalized record of a Met object, as stored on import items and mapped
+ * to Shopify metafields and CSV columns
+ * @param {Object} artwork - Response of the Met objects/:id endpoint
+ * @returns {Object} - Artwork record without empty fields
+ */
+function normalizeArtwork(artwork) {
+  if (!artwork) return undefined;
+
+  const constituents = (artwork.constituents || []).map(constituent => ({
+    constituentId: constituent.constituentID,
+    role: clean(constituent.role),
+    name: clean(constituent.name),
+    ulanUrl: clean(constituent.constituentULAN_URL),
+    wikidataUrl: clean(constituent.constituentWikidata_URL),
+    gender: clean(constituent.gender)
+  }));
+
+  const tags = (artwork.tags || []).map(tag => ({
+    term: clean(tag.term),
+    aatUrl: clean(tag.AAT_URL),
+    wikidataUrl: clean(tag.Wikidata_URL)
+  })).filter(tag => tag.term);
+
+  return {
+    accessionNumber: clean(artwork.accessionNumber),
+    objectName: clean(artwork.objectName),
+    classification: clean(artwork.classification),
+    medium: clean(artwork.medium),
+    culture: clean(artwork.culture),
+    period: clean(artwork.period),
+    dynasty: clean(artwork.dynasty),
+    reign: clean(artwork.reign),
+    dimensions: clean(artwork.dimensions),
+    dimensionsCm: normalizeMeasurements(artwork.measurements),
+    creditLine: clean(artwork.creditLine),
+    objectDate: clean(artwork.objectDate),
+    objectBeginDate: typeof artwork.objectBeginDate === 'number' ? artwork.objectBeginDate : undefined,
+    objectEndDate: typeof artwork.objectEndDate === 'number' ? artwork.objectEndDate : undefined,
+    artist: {
+      displayName: clean(artwork.artistDisplayName),
+      displayBio: clean(artwork.artistDisplayBio),
+      role: clean(artwork.artistRole),
+      nationality: clean(artwork.artistNationality),
+      beginDate: clean(artwork.artistBeginDate),
+      endDate: clean(artwork.artistEndDate),
+      ulanUrl: clean(artwork.artistULAN_URL),
+      wikidataUrl: clean(artwork.artistWikidata_URL)
+    },
+    constituents: clean(constituents),
+    geography: {
+      type: clean(artwork.geographyType),
+      city: clean(artwork.city),
+      state: clean(artwork.state),
+      county: clean(artwork.county),
+      country: clean(artwork.country),
+      region: clean(artwork.region),
+      subregion: clean(artwork.subregion),
+      locale: clean(artwork.locale),
+      excavation: clean(artwork.excavation),
+      river: clean(artwork.river)
+    },
+    tags: clean(tags),
+    isHighlight: Boolean(artwork.isHighlight),
+    isPublicDomain: Boolean(artwork.isPublicDomain),
+    galleryNumber: clean(artwork.GalleryNumber),
+    objectUrl: clean(artwork.objectURL),
+    objectWikidataUrl: clean(artwork.objectWikidata_URL),
+    metadataDate: artwork.metadataDate ? new Date(artwork.metadataDate) : undefined
+  };
+}
+
+module.exports = { normalizeArtwork };
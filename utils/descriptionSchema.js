@@ -0,0 +1,129 @@
+// utils/descriptionSchema.js - Schema of the JSON reply with an artwork's product copy
+// Limits follow what Shopify and search engines show without cutting the text off
+
+const DESCRIPTION_FIELDS = {
+  shortDescription: {
+    type: 'string',
+    maxLength: 1500,
+    description: 'concise product description of about 5 sentences'
+  },
+  expandedDescription: {
+    type: 'string',
+    maxLength: 8000,
+    description: 'detailed description of 2-4 paragraphs separated by blank lines'
+  },
+  seoTitle: {
+    type: 'string',
+    maxLength: 70,
+    description: 'product page title for search engines'
+  },
+  metaDescription: {
+    type: 'string',
+    maxLength: 160,
+    description: 'summary shown in search results'
+  },
+  altText: {
+    type: 'string',
+    maxLength: 250,
+    description: 'what the image shows, for screen readers'
+  },
+  suggestedTags: {
+    type: 'array',
+    minItems: 1,
+    maxItems: 10,
+    itemMaxLength: 40,
+    description: 'short product tags such as subject, style or color'
+  }
+};
+
+// Instructions appended to every description prompt
+function describeReplyFormat() {
+  const lines = Object.entries(DESCRIPTION_FIELDS).map(([name, field]) => {
+    if (field.type === 'array') {
+      return `  "${name}": ["${field.minItems} to ${field.maxItems} ${field.description}, at most ${field.itemMaxLength} characters each"]`;
+    }
+    return `  "${name}": "${field.description}, at most ${field.maxLength} characters"`;
+  });
+
+  return `Reply with only a JSON object, without any other text or code fences, with exactly these fields:
+{
+${lines.join(',\n')}
+}`;
+}
+
+/**
+ * Read the JSON object of a model reply. Code fences and text around the object are ignored.
+ * @param {string} text - Reply of the model
+ * @returns {Object} - The parsed object
+ * @throws {Error} - When the reply has no valid JSON object
+ */
+function parseJsonReply(text) {
+  const body = (text || '').replace(/```(?:json)?/gi, '');
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+
+  if (start === -1 || end < start) {
+    throw new Error('The reply contains no JSON object');
+  }
+
+  try {
+    return JSON.parse(body.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`The reply is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Check product copy against the schema
+ * @param {Object} data - Parsed reply or copy edited by a reviewer
+ * @returns {Object} - errors as { field, message } and the value with trimmed text and de-duplicated tags
+ */
+function validateDescriptions(data) {
+  const errors = [];
+  const value = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { errors: [{ field: 'reply', message: 'The reply must be a JSON object' }], value };
+  }
+
+  Object.entries(DESCRIPTION_FIELDS).forEach(([name, field]) => {
+    const input = data[name];
+
+    if (field.type === 'array') {
+      if (!Array.isArray(input) || input.some(tag => typeof tag !== 'string')) {
+        errors.push({ field: name, message: `${name} must be a list of strings` });
+        return;
+      }
+
+      const tags = [...new Set(input.map(tag => tag.trim()).filter(Boolean))];
+      if (tags.length < field.minItems || tags.length > field.maxItems) {
+        errors.push({ field: name, message: `${name} must have ${field.minItems} to ${field.maxItems} entries, got ${tags.length}` });
+      }
+      tags.filter(tag => tag.length > field.itemMaxLength).forEach(tag => {
+        errors.push({ field: name, message: `Tag "${tag}" is longer than ${field.itemMaxLength} characters` });
+      });
+      value[name] = tags;
+      return;
+    }
+
+    if (typeof input !== 'string' || !input.trim()) {
+      errors.push({ field: name, message: `${name} is required` });
+      return;
+    }
+
+    const text = input.trim();
+    if (text.length > field.maxLength) {
+      errors.push({ field: name, message: `${name} is ${text.length} characters, at most ${field.maxLength} are allowed` });
+    }
+    value[name] = text;
+  });
+
+  return { errors, value };
+}
+
+module.exports = {
+  DESCRIPTION_FIELDS,
+  describeReplyFormat,
+  parseJsonReply,
+  validateDescriptions
+};
@@ -0,0 +1,61 @@
+// utils/errorClassifier.js - Sort errors from the Met, OpenAI and Shopify APIs into retry classes
+const ERROR_CLASSES = ['network', 'timeout', 'rate_limit', 'server_error', 'not_found', 'client_error', 'unknown'];
+
+const NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH', 'ERR_NETWORK'];
+const TIMEOUT_CODES = ['ETIMEDOUT', 'ECONNABORTED', 'ESOCKETTIMEDOUT', 'ERR_GOT_REQUEST_ERROR'];
+
+/**
+ * Determine the retry class of an error
+ * @param {Error|Object} error - Error thrown by axios, shopify-api-node or our own services
+ * @returns {string} - One of ERROR_CLASSES
+ */
+function classifyError(error) {
+  if (!error) return 'unknown';
+
+  // Errors we created ourselves already know their class
+  if (error.errorClass && ERROR_CLASSES.includes(error.errorClass)) {
+    return error.errorClass;
+  }
+
+  if (error.code === 'RATE_LIMIT_EXCEEDED') {
+    return 'rate_limit';
+  }
+
+  // axios uses response.status, got (shopify-api-node) uses response.statusCode
+  const status = error.response && (error.response.status || error.response.statusCode);
+  if (status) {
+    if (status === 429) return 'rate_limit';
+    if (status === 404 || status === 410) return 'not_found';
+    if (status === 408) return 'timeout';
+    if (status >= 500) return 'server_error';
+    if (status >= 400) return 'client_error';
+  }
+
+  if (TIMEOUT_CODES.includes(error.code) || /timeout|timed out/i.test(error.message || '')) {
+    return 'timeout';
+  }
+
+  if (NETWORK_CODES.includes(error.code) || (error.request && !error.response)) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Create an error with a known retry class
+ * @param {string} message - Error message
+ * @param {string} errorClass - One of ERROR_CLASSES
+ * @returns {Error}
+ */
+function createClassifiedError(message, errorClass) {
+  const error = new Error(message);
+  error.errorClass = errorClass;
+  return error;
+}
+
+module.exports = {
+  ERROR_CLASSES,
+  classifyError,
+  createClassifiedError
+};
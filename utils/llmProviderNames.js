@@ -0,0 +1,8 @@
+// utils/llmProviderNames.js - Names of the LLM providers, shared by the Job model and services/llmProviders.js
+// Kept apart from the provider classes so models don't load the provider SDKs
+
+const PROVIDER_NAMES = ['openai', 'azure', 'anthropic', 'local', 'stub'];
+
+module.exports = {
+  PROVIDER_NAMES
+};
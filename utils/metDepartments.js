@@ -0,0 +1,41 @@
+// utils/metDepartments.js - Met Museum curatorial departments and their IDs
+const DEPARTMENTS = [
+  { id: 1, name: 'American Decorative Arts' },
+  { id: 3, name: 'Ancient Near Eastern Art' },
+  { id: 4, name: 'Arms and Armor' },
+  { id: 5, name: 'Arts of Africa, Oceania, and the Americas' },
+  { id: 6, name: 'Asian Art' },
+  { id: 7, name: 'The Cloisters' },
+  { id: 8, name: 'The Costume Institute' },
+  { id: 9, name: 'Drawings and Prints' },
+  { id: 10, name: 'Egyptian Art' },
+  { id: 11, name: 'European Paintings' },
+  { id: 12, name: 'European Sculpture and Decorative Arts' },
+  { id: 13, name: 'Greek and Roman Art' },
+  { id: 14, name: 'Islamic Art' },
+  { id: 15, name: 'The Robert Lehman Collection' },
+  { id: 16, name: 'The Libraries' },
+  { id: 17, name: 'Medieval Art' },
+  { id: 18, name: 'Musical Instruments' },
+  { id: 19, name: 'Photographs' },
+  { id: 21, name: 'Modern and Contemporary Art' },
+  { id: 22, name: 'American Paintings and Sculpture' }
+];
+
+// URL slug of a department name as used on metmuseum.org, without a leading "the"
+function slugify(name) {
+  return name.toLowerCase().replace(/&/g, 'and').replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '').replace(/^the-/, '');
+}
+
+/**
+ * Find a department by the slug of its page, e.g. "european-paintings" or "the-costume-institute"
+ * @param {string} slug - Last path segment of a department page
+ * @returns {Object|null} - The department, or null if no department has that slug
+ */
+function findDepartmentBySlug(slug) {
+  const wanted = slugify(slug);
+  return DEPARTMENTS.find(department => slugify(department.name) === wanted) || null;
+}
+
+module.exports = DEPARTMENTS;
+module.exports.findDepartmentBySlug = findDepartmentBySlug;
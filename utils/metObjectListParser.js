@@ -0,0 +1,159 @@
+// utils/metObjectListParser.js - Utility to parse lists of Met object IDs and object page URLs
+const MET_HOSTS = ['metmuseum.org', 'www.metmuseum.org', 'collectionapi.metmuseum.org'];
+
+// Object pages (/art/collection/search/12345) and Collection API records (/objects/12345)
+const OBJECT_PATH_PATTERN = /\/(?:art\/collection\/search|public\/collection\/v1\/objects)\/(\d+)\/?$/;
+
+// Header names of the column holding the object ID, e.g. in the Met's open access CSV
+const ID_COLUMNS = ['object id', 'objectid', 'object_id', 'id'];
+
+// Lists longer than this should be split into several jobs
+const MAX_OBJECTS = 10000;
+
+/**
+ * Read the object ID from a Met object page or Collection API URL
+ * @param {string} url - URL to read
+ * @returns {number|null} - Object ID, or null if the URL is not a Met object URL
+ */
+function parseObjectUrl(url) {
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  if (!MET_HOSTS.includes(parsedUrl.hostname.toLowerCase())) {
+    return null;
+  }
+
+  const match = parsedUrl.pathname.match(OBJECT_PATH_PATTERN);
+  return match ? parseInt(match[1]) : null;
+}
+
+// Split one CSV line on commas, semicolons or tabs, keeping quoted values together
+function splitCsvLine(line) {
+  const cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"') {
+      if (quoted && line[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else {
+        quoted = !quoted;
+      }
+    } else if (!quoted && [',', ';', '\t'].includes(char)) {
+      cells.push(cell.trim());
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  cells.push(cell.trim());
+
+  return cells;
+}
+
+// Whether a value looks like an attempt at an ID or URL, e.g. a mistyped ID, rather than a column name
+function looksLikeEntry(value) {
+  return /\d/.test(value) || /^https?:\/\//i.test(value) || /^(www\.)?metmuseum\.org/i.test(value);
+}
+
+// A first line is a header when it names the ID column, or holds text without anything like an ID or URL.
+// Otherwise an invalid first entry is reported like any other line.
+function isHeaderLine(cells) {
+  const values = cells.filter(Boolean);
+
+  if (values.some(cell => ID_COLUMNS.includes(cell.toLowerCase()))) {
+    return true;
+  }
+  return values.length > 0 && values.every(cell => cell.split(/\s+/).every(token => !looksLikeEntry(token)));
+}
+
+// Object ID of one list entry, or the reason it is not one
+function parseEntry(value) {
+  if (/^\d+$/.test(value)) {
+    const objectId = parseInt(value);
+    return objectId > 0 ? { objectId } : { reason: 'Object IDs start at 1' };
+  }
+
+  if (/^https?:\/\//i.test(value) || /^(www\.)?metmuseum\.org\//i.test(value)) {
+    const objectId = parseObjectUrl(/^https?:\/\//i.test(value) ? value : `https://${value}`);
+    return objectId ? { objectId } : { reason: 'Not a Met object page URL' };
+  }
+
+  return { reason: 'Not an object ID or object page URL' };
+}
+
+/**
+ * Parse pasted text or the contents of a CSV/TXT file into object IDs. Entries can be
+ * separated by new lines, commas, semicolons, tabs or spaces. A CSV with a header row
+ * is read from its object ID column, or row by row when it has none.
+ * @param {string} text - IDs, object page URLs or CSV rows
+ * @returns {Object} - objectIds in list order without duplicates, invalid entries with
+ *   their line number and reason, and the number of duplicates left out
+ */
+function parseObjectList(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new Error('The list is empty');
+  }
+
+  const lines = text.replace(/^\uFEFF/, '').split(/\r?\n/);
+  const objectIds = [];
+  const seen = new Set();
+  const invalid = [];
+  let duplicates = 0;
+
+  // A header may name the ID column
+  let idColumn = -1;
+  let firstLine = 0;
+  const header = splitCsvLine(lines[0]);
+  const hasHeader = lines.length > 1 && isHeaderLine(header);
+  if (hasHeader) {
+    idColumn = header.findIndex(cell => ID_COLUMNS.includes(cell.toLowerCase()));
+    firstLine = 1;
+  }
+
+  for (let i = firstLine; i < lines.length; i++) {
+    const cells = splitCsvLine(lines[i]);
+    let values;
+
+    if (idColumn >= 0) {
+      values = [cells[idColumn] || ''];
+    } else if (hasHeader) {
+      // Without an ID column, each row counts once: its first ID or object URL
+      const match = cells.find(cell => cell && !parseEntry(cell).reason);
+      values = [match || cells.find(Boolean) || ''];
+    } else {
+      values = cells.flatMap(cell => cell.split(/\s+/));
+    }
+
+    values.filter(Boolean).forEach(value => {
+      const entry = parseEntry(value);
+
+      if (entry.reason) {
+        invalid.push({ line: i + 1, value, reason: entry.reason });
+      } else if (seen.has(entry.objectId)) {
+        duplicates++;
+      } else {
+        seen.add(entry.objectId);
+        objectIds.push(entry.objectId);
+      }
+    });
+  }
+
+  if (objectIds.length > MAX_OBJECTS) {
+    throw new Error(`The list has ${objectIds.length} objects, split it into lists of at most ${MAX_OBJECTS}`);
+  }
+
+  return { objectIds, invalid, duplicates };
+}
+
+module.exports = parseObjectList;
+module.exports.parseObjectUrl = parseObjectUrl;
+module.exports.MAX_OBJECTS = MAX_OBJECTS;
@@ -1,83 +1,253 @@
-// utils/metUrlParser.js - Utility to parse Met Museum search URLs
-function parseMetUrl(url) {
-  try {
-    // Create URL object to parse parameters
-    const parsedUrl = new URL(url);
-    const params = parsedUrl.searchParams;
-    console.log("params", params);
-    // Initialize the query object with all required fields
-    const query = {
-      q: params.get('q') || '',
-      showOnly: params.get('showOnly') || null,
-      artist: null,
-      material: null,
-      era: null,
-      geolocation: params.get('geolocation') || null,
-      department: null,
-      pkgIds: null,
-      exhibitionId: null,
-      feature: null,
-      searchField: null,
-    };
-
-    // Process showOnly parameter
-    if (params.has('showOnly')) {
-      const showOnlyValue = params.get('showOnly');
-      if (showOnlyValue) {
-        query.showOnly = showOnlyValue;
-      }
-    }
+// utils/metUrlParser.js - Utility to parse and validate Met Museum collection URLs
+const DEPARTMENTS = require('./metDepartments');
+const { findDepartmentBySlug } = DEPARTMENTS;
+const { parseObjectUrl } = require('./metObjectListParser');
 
-    // Process department if present
-    if (params.has('department')) {
-      query.department = params.get('department');
-    }
+const MET_HOSTS = ['metmuseum.org', 'www.metmuseum.org'];
 
-    // Process date/era if present
-    if (params.has('era')) {
-      query.era = params.get('era');
-    }
+// Filters the website combines with "|" when one is given several times
+const MULTI_VALUE_PARAMS = ['showOnly', 'material', 'era', 'geolocation', 'department'];
+const SINGLE_VALUE_PARAMS = ['q', 'artist', 'pkgIds', 'exhibitionId', 'feature', 'searchField', 'sortBy', 'sortOrder'];
+const NUMBER_PARAMS = ['page', 'perPage', 'offset'];
 
-    // Process material if present
-    if (params.has('material')) {
-      query.material = params.get('material');
-    }
+const SHOW_ONLY_VALUES = ['highlights', 'withImage', 'onDisplay', 'openAccess', 'hasVideo', 'hasAudio'];
+const SORT_ORDERS = ['asc', 'desc'];
 
-    // Process artist if present
-    if (params.has('artist')) {
-      query.artist = params.get('artist');
-    }
+const SEARCH_PATH = /^\/art\/collection\/search\/?$/;
+const DEPARTMENT_PATH = /^\/(?:about-the-met\/collection-areas|about-the-met\/curatorial-departments|departments)\/([^/]+)\/?$/;
+const EXHIBITION_PATH = /^\/exhibitions\/(?:listings\/\d{4}\/)?([^/]+)\/?$/;
+
+// Parameters of the URL, including the ones old search pages kept after "#!?"
+function getParams(parsedUrl) {
+  const params = new URLSearchParams(parsedUrl.search);
+  const hashQuery = parsedUrl.hash.match(/^#!?\?(.*)$/);
 
-    // Process search field if present
-    if (params.has('searchField')) {
-      query.searchField = params.get('searchField');
+  if (hashQuery) {
+    new URLSearchParams(hashQuery[1]).forEach((value, key) => params.append(key, value));
+  }
+  return params;
+}
+
+// Read the search parameters into the query, noting values that can't be used
+function readSearchParams(params, query, errors, warnings) {
+  MULTI_VALUE_PARAMS.forEach(name => {
+    const values = params.getAll(name)
+      .flatMap(value => value.split('|'))
+      .map(value => value.trim())
+      .filter(Boolean);
+
+    if (values.length > 0) {
+      query[name] = [...new Set(values)].join('|');
     }
+  });
 
-    // Process sorting parameters if present
-    if (params.has('sortBy')) {
-      query.sortBy = params.get('sortBy');
+  SINGLE_VALUE_PARAMS.forEach(name => {
+    const values = params.getAll(name).filter(value => value.trim());
+
+    if (values.length > 0) {
+      query[name] = values[0].trim();
     }
-    if (params.has('sortOrder')) {
-      query.sortOrder = params.get('sortOrder');
+    if (new Set(values).size > 1) {
+      warnings.push({ field: name, message: `${name} is given ${values.length} times, only "${values[0]}" is used` });
     }
+  });
 
-    // Process pagination parameters if present
-    if (params.has('page')) {
-      query.page = parseInt(params.get('page')) || 1;
-    }
-    if (params.has('perPage')) {
-      query.perPage = parseInt(params.get('perPage')) || 40;
+  NUMBER_PARAMS.forEach(name => {
+    if (!params.has(name)) return;
+
+    const value = params.get(name);
+    const number = Number(value);
+    const minimum = name === 'offset' ? 0 : 1;
+
+    if (!Number.isInteger(number) || number < minimum) {
+      errors.push({ field: name, message: `${name} must be a whole number of at least ${minimum}, got "${value}"` });
+    } else {
+      query[name] = number;
     }
-    if (params.has('offset')) {
-      query.offset = parseInt(params.get('offset')) || 0;
+  });
+
+  if (query.showOnly) {
+    query.showOnly.split('|').filter(value => !SHOW_ONLY_VALUES.includes(value)).forEach(value => {
+      warnings.push({ field: 'showOnly', message: `Unknown filter "${value}" is passed on as is` });
+    });
+  }
+
+  if (query.sortOrder && !SORT_ORDERS.includes(query.sortOrder.toLowerCase())) {
+    errors.push({ field: 'sortOrder', message: `sortOrder must be asc or desc, got "${query.sortOrder}"` });
+  }
+
+  if (query.department) {
+    const unknown = query.department.split('|').filter(id => !DEPARTMENTS.some(department => String(department.id) === id));
+    if (unknown.length > 0) {
+      errors.push({ field: 'department', message: `Unknown department ID ${unknown.join(', ')}` });
     }
+  }
+}
+
+/**
+ * Check a Met Museum URL and turn it into a job query. Accepts collection search pages
+ * (also with the "#!?" parameters of old links), object pages, department pages and
+ * exhibition pages on metmuseum.org.
+ * @param {string} url - URL to check
+ * @returns {Object} - valid, type (search, object, department or exhibition), the query,
+ *   field-level errors and warnings as { field, message }
+ */
+function validateMetUrl(url) {
+  const errors = [];
+  const warnings = [];
+  const query = {
+    q: '',
+    showOnly: null,
+    artist: null,
+    material: null,
+    era: null,
+    geolocation: null,
+    department: null,
+    pkgIds: null,
+    exhibitionId: null,
+    feature: null,
+    searchField: null
+  };
+  const result = (type) => ({ valid: errors.length === 0, type, query: { ...query, urlType: type }, errors, warnings });
+
+  if (typeof url !== 'string' || !url.trim()) {
+    errors.push({ field: 'url', message: 'URL is required' });
+    return result(null);
+  }
+
+  let parsedUrl;
+  try {
+    parsedUrl = new URL(url.trim());
+  } catch (error) {
+    errors.push({ field: 'url', message: 'Not a valid URL' });
+    return result(null);
+  }
 
-    console.log("Parsed query:", query);
-    return query;
+  if (!['http:', 'https:'].includes(parsedUrl.protocol)) {
+    errors.push({ field: 'url', message: 'URL must start with http:// or https://' });
+  }
+  if (!MET_HOSTS.includes(parsedUrl.hostname.toLowerCase())) {
+    errors.push({ field: 'host', message: `${parsedUrl.hostname} is not metmuseum.org` });
+    return result(null);
+  }
+
+  let path;
+  try {
+    path = decodeURIComponent(parsedUrl.pathname).replace(/\/{2,}/g, '/');
   } catch (error) {
-    console.error("Error parsing URL:", error);
-    throw new Error("Invalid URL format");
+    errors.push({ field: 'path', message: 'The URL path is not encoded correctly' });
+    return result(null);
+  }
+  const params = getParams(parsedUrl);
+
+  // Object page: import exactly that object
+  const objectId = parseObjectUrl(parsedUrl.href);
+  if (objectId) {
+    query.objectIds = [objectId];
+    return result('object');
+  }
+
+  if (SEARCH_PATH.test(path) || path === '/art/collection' || path === '/art/collection/') {
+    readSearchParams(params, query, errors, warnings);
+
+    // Search pages scoped to an exhibition list exactly its objects
+    return result(query.exhibitionId ? 'exhibition' : 'search');
+  }
+
+  const departmentMatch = path.match(DEPARTMENT_PATH);
+  if (departmentMatch) {
+    // Filters such as showOnly=openAccess still apply to the department's artworks
+    readSearchParams(params, query, errors, warnings);
+    const department = findDepartmentBySlug(departmentMatch[1]);
+    if (!department) {
+      errors.push({ field: 'department', message: `Unknown department page "${departmentMatch[1]}"` });
+    } else {
+      query.department = String(department.id);
+    }
+    return result('department');
+  }
+
+  const exhibitionMatch = path.match(EXHIBITION_PATH);
+  if (exhibitionMatch && exhibitionMatch[1] !== 'listings') {
+    // The page itself has no exhibition ID, so search for the objects by the exhibition title
+    readSearchParams(params, query, errors, warnings);
+    query.q = exhibitionMatch[1].replace(/-/g, ' ');
+    warnings.push({
+      field: 'url',
+      message: 'Exhibition pages are searched by their title. For exactly the exhibited objects, ' +
+        'paste the search URL the exhibition page links to.'
+    });
+    return result('exhibition');
+  }
+
+  errors.push({
+    field: 'path',
+    message: `${parsedUrl.pathname} is not a collection search, object, department or exhibition page`
+  });
+  return result(null);
+}
+
+/**
+ * Parse a Met Museum URL into a job query
+ * @param {string} url - Collection search, object, department or exhibition URL
+ * @returns {Object} - Job query
+ * @throws {Error} - With code INVALID_MET_URL and the field-level errors when the URL can't be used
+ */
+function parseMetUrl(url) {
+  const { valid, query, errors } = validateMetUrl(url);
+
+  if (!valid) {
+    const error = new Error(`Invalid Met URL: ${errors.map(entry => entry.message).join('; ')}`);
+    error.code = 'INVALID_MET_URL';
+    error.errors = errors;
+    throw error;
+  }
+
+  return query;
+}
+
+/**
+ * Build the job query of a URL import from one or several search URLs. A single URL
+ * gives { url, ...parsed search fields, urls: [url] }. Several URLs give only
+ * { url: first URL, urls: every URL in order }, each one is parsed again when searched.
+ * @param {string|string[]} urls - Met search URLs
+ * @returns {Object} - Job query
+ * @throws {Error} - With the field-level errors of every URL, fields prefixed with urls[index]
+ */
+function buildUrlQuery(urls) {
+  const list = (Array.isArray(urls) ? urls : [urls])
+    .map(url => (typeof url === 'string' ? url.trim() : ''))
+    .filter(Boolean);
+  const unique = [...new Set(list)];
+
+  if (unique.length === 0) {
+    const error = new Error('URL is required');
+    error.code = 'INVALID_MET_URL';
+    error.errors = [{ field: 'url', message: 'URL is required' }];
+    throw error;
+  }
+
+  // Check every URL up front so a typo in the fifth one does not surface during the run
+  const results = unique.map(validateMetUrl);
+  const errors = results.flatMap((result, index) => result.errors.map(entry => ({
+    ...entry,
+    field: unique.length > 1 ? `urls[${index}].${entry.field}` : entry.field
+  })));
+
+  if (errors.length > 0) {
+    const error = new Error(`Invalid Met URL: ${errors.map(entry => entry.message).join('; ')}`);
+    error.code = 'INVALID_MET_URL';
+    error.errors = errors;
+    throw error;
+  }
+
+  // The filters of a single URL are searched directly, several URLs are parsed again one by one
+  if (unique.length > 1) {
+    return { url: unique[0], urls: unique };
   }
+  return { url: unique[0], ...results[0].query, urls: unique };
 }
 
 module.exports = parseMetUrl;
+module.exports.validateMetUrl = validateMetUrl;
+module.exports.buildUrlQuery = buildUrlQuery;
@@ -0,0 +1,102 @@
+// utils/promptTemplate.js - Variables and rendering of description prompt templates
+const { normalizeArtwork } = require('./artworkRecord');
+
+// Variables a template can use as {{name}}, with what they contain
+const TEMPLATE_VARIABLES = [
+  { name: 'title', description: 'Title of the artwork' },
+  { name: 'artist', description: 'Artist display name, "Unknown artist" when there is none' },
+  { name: 'artistBio', description: 'Artist nationality and life dates' },
+  { name: 'date', description: 'Object date, e.g. "ca. 1665"' },
+  { name: 'medium', description: 'Medium, e.g. "Oil on canvas"' },
+  { name: 'department', description: 'Met curatorial department' },
+  { name: 'classification', description: 'Classification, e.g. "Paintings"' },
+  { name: 'objectName', description: 'Object name, e.g. "Painting" or "Vase"' },
+  { name: 'culture', description: 'Culture the artwork comes from' },
+  { name: 'period', description: 'Period or dynasty' },
+  { name: 'dimensions', description: 'Dimensions as written by the Met' },
+  { name: 'creditLine', description: 'Credit line' },
+  { name: 'tags', description: 'Subject keywords the Met assigned, comma separated' },
+  { name: 'rawDescription', description: 'Original Met description, or a summary when the object has none' },
+  { name: 'objectId', description: 'Met object ID' }
+];
+
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z]+)\s*\}\}/g;
+
+// Short description of an artwork when the Met has no description text
+function getRawDescription(artwork) {
+  return artwork.objectDescription ||
+    artwork.description ||
+    artwork.creditLine ||
+    `${artwork.title} (${artwork.objectDate || 'Unknown date'}) by ${artwork.artistDisplayName || 'Unknown artist'}. ${artwork.medium || ''}`;
+}
+
+/**
+ * Values of the template variables for an artwork
+ * @param {Object} artwork - The artwork data from Met API
+ * @returns {Object} - Variable name to text
+ */
+function buildTemplateVariables(artwork) {
+  const record = normalizeArtwork(artwork);
+
+  return {
+    title: artwork.title || 'Untitled',
+    artist: artwork.artistDisplayName || 'Unknown artist',
+    artistBio: artwork.artistDisplayBio || '',
+    date: artwork.objectDate || 'Unknown date',
+    medium: artwork.medium || 'Unknown medium',
+    department: artwork.department || 'Unknown department',
+    classification: artwork.classification || 'Unknown type',
+    objectName: record.objectName || '',
+    culture: record.culture || '',
+    period: record.period || record.dynasty || '',
+    dimensions: record.dimensions || '',
+    creditLine: record.creditLine || '',
+    tags: (record.tags || []).map(tag => tag.term).join(', '),
+    rawDescription: getRawDescription(artwork),
+    objectId: String(artwork.objectID || '')
+  };
+}
+
+/**
+ * Replace the {{variables}} of a template. Unknown variables are left as they are,
+ * validateTemplate keeps them out of saved templates.
+ * @param {string} text - Template text
+ * @param {Object} variables - Variable name to text
+ * @returns {string}
+ */
+function renderTemplate(text, variables) {
+  return (text || '').replace(VARIABLE_PATTERN, (match, name) => (
+    Object.prototype.hasOwnProperty.call(variables, name) ? variables[name] : match
+  ));
+}
+
+/**
+ * Check the text of a template version
+ * @param {Object} template - system and prompt text
+ * @returns {Object[]} - Field-level errors as { field, message }, empty when the template can be used
+ */
+function validateTemplate({ system, prompt }) {
+  const errors = [];
+  const known = TEMPLATE_VARIABLES.map(variable => variable.name);
+
+  if (!prompt || !prompt.trim()) {
+    errors.push({ field: 'prompt', message: 'Prompt is required' });
+  }
+
+  Object.entries({ system, prompt }).forEach(([field, text]) => {
+    for (const [, name] of (text || '').matchAll(VARIABLE_PATTERN)) {
+      if (!known.includes(name)) {
+        errors.push({ field, message: `Unknown variable {{${name}}}` });
+      }
+    }
+  });
+
+  return errors;
+}
+
+module.exports = {
+  TEMPLATE_VARIABLES,
+  buildTemplateVariables,
+  renderTemplate,
+  validateTemplate
+};